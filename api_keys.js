@@ -0,0 +1,362 @@
+/**
+ * api_keys.js — Claves de API con permisos por tienda y peticiones firmadas
+ * =====================================================
+ * Antes todo se protegía comparando WA_SECRET con `!==` (no constante en tiempo),
+ * también por `?secret=` (acababa en logs y en el historial del navegador) y cada
+ * ruta de /chatbot/* repetía su propia comprobación. Ahora:
+ *   ✅ Claves con nombre, guardadas como hash (sha256) — la clave solo se ve al crearla
+ *   ✅ Permisos (scopes): send, broadcast, analytics (solo lectura), admin (todo)
+ *   ✅ Caducidad (expires_at) y revocación (revoked_at)
+ *   ✅ Firma HMAC opcional con timestamp: se rechazan peticiones viejas y repetidas.
+ *      Se firma con la clave en claro; el servidor la guarda cifrada (AES-256-GCM) con
+ *      API_KEYS_ENCRYPTION_KEY, que no está en la BD ni es WA_SECRET: una copia de la BD no sirve
+ *      para firmar. Sin API_KEYS_ENCRYPTION_KEY no se guarda nada cifrado y no se aceptan firmas
+ *   ✅ Comparaciones en tiempo constante
+ *   ✅ Un único middleware requireScope() para server.js y /chatbot/*
+ *   ✅ Tokens cortos (?token=) solo para GET desde el navegador (EventSource, /status)
+ * =====================================================
+ *
+ * TABLA EN SUPABASE:
+ *   create table api_keys (
+ *     id           text primary key,               -- parte pública de la clave: ck_xxxxxxxxxxxx
+ *     store_id     text not null,
+ *     name         text not null,
+ *     key_hash     text not null,                  -- sha256 hex de la clave completa
+ *     signing_key  text,                           -- la clave cifrada, para verificar firmas
+ *     scopes       text[] not null,
+ *     expires_at   timestamptz,
+ *     revoked_at   timestamptz,
+ *     last_used_at timestamptz,
+ *     created_at   timestamptz default now()
+ *   );
+ *   create index on api_keys (store_id);
+ *   Ya creada: alter table api_keys add column if not exists signing_key text;
+ *   (las claves sin signing_key — anteriores, o creadas sin API_KEYS_ENCRYPTION_KEY — siguen valiendo
+ *    en Bearer; para firmar hay que crear otra)
+ *
+ * AUTENTICACIÓN (cualquiera de estas):
+ *   Authorization: Bearer <clave>   o   x-api-key: <clave>
+ *   x-secret: <WA_SECRET de la tienda>   → clave "legacy" con todos los permisos
+ *                                            (para crear las primeras claves y el panel actual)
+ *   Firmada:  x-key-id: ck_...  x-timestamp: <unix s>  x-content-sha256: <sha256 hex del cuerpo>
+ *             x-signature: hex(HMAC-SHA256(clave, `${ts}\n${METHOD}\n${url}\n${contentSha256}`))
+ *             url = ruta completa con query (req.originalUrl). La clave no viaja.
+ *             Con cuerpo, la firma solo admite JSON (el multipart no se puede verificar).
+ *   GET con ?token=  → token de POST /auth/token (caduca en minutos)
+ *
+ * VARIABLES DE ENTORNO:
+ *   API_KEYS_STORE      = supabase | memory   (memory para pruebas en local)
+ *   SIGNATURE_WINDOW_S  = 300   (margen de reloj aceptado para x-timestamp)
+ *   STREAM_TOKEN_TTL_S  = 600
+ *   API_KEYS_ENCRYPTION_KEY = secreto para cifrar signing_key, distinto de WA_SECRET y de la clave de
+ *                             Supabase. Sin él, peticiones firmadas desactivadas. Si cambia, las claves
+ *                             dejan de poder firmar y hay que crearlas de nuevo
+ */
+
+const crypto           = require('crypto')
+const { createLogger } = require('./logger')
+
+const TABLE             = 'api_keys'
+const SCOPES            = ['send', 'broadcast', 'analytics', 'admin']
+const SIGNATURE_WINDOW  = parseInt(process.env.SIGNATURE_WINDOW_S || '300') * 1000
+const TOKEN_TTL_MS      = parseInt(process.env.STREAM_TOKEN_TTL_S || '600') * 1000
+const CACHE_TTL_MS      = 60 * 1000
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000
+const LEGACY_ID         = 'legacy'
+const KEY_ID_RE         = /^ck_[0-9a-f]{12}$/
+const EMPTY_SHA256      = crypto.createHash('sha256').update('').digest('hex')
+const ENCRYPTION_KEY    = process.env.API_KEYS_ENCRYPTION_KEY || ''
+
+const log = createLogger('Auth')
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex')
+
+// Tiempo constante también con longitudes distintas: se comparan los hashes
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(a).digest(),
+    crypto.createHash('sha256').update(b).digest(),
+  )
+}
+
+const deny = (error, status = 401) => ({ status, error })
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ALMACENAMIENTO
+// ══════════════════════════════════════════════════════════════════════════════
+
+function createSupabaseKeyStore(supabase, storeId) {
+  async function run(query) {
+    const { data, error } = await query
+    if (error) throw new Error(`api_keys Supabase: ${error.message}`)
+    return data
+  }
+  return {
+    async insert(row) {
+      return run(supabase.from(TABLE).insert({ ...row, store_id: storeId }).select().single())
+    },
+    async get(id) {
+      return run(supabase.from(TABLE).select('*').eq('store_id', storeId).eq('id', id).maybeSingle())
+    },
+    async list() {
+      return run(supabase.from(TABLE).select('id,name,scopes,expires_at,revoked_at,last_used_at,created_at')
+        .eq('store_id', storeId).order('created_at', { ascending: false }))
+    },
+    async update(id, patch) {
+      await run(supabase.from(TABLE).update(patch).eq('store_id', storeId).eq('id', id))
+    },
+  }
+}
+
+function createMemoryKeyStore() {
+  const rows = new Map()
+  return {
+    async insert(row) { rows.set(row.id, { ...row }); return { ...row } },
+    async get(id) { return rows.has(id) ? { ...rows.get(id) } : null },
+    async list() {
+      return [...rows.values()]
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(({ key_hash, signing_key, ...r }) => r)
+    },
+    async update(id, patch) { if (rows.has(id)) rows.set(id, { ...rows.get(id), ...patch }) },
+  }
+}
+
+function createKeyStore(supabase, storeId) {
+  if (process.env.API_KEYS_STORE === 'memory') {
+    log.warn('Claves de API en memoria — se pierden al reiniciar', { store: storeId })
+    return createMemoryKeyStore()
+  }
+  return createSupabaseKeyStore(supabase, storeId)
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// CLAVES DE UNA TIENDA
+// ══════════════════════════════════════════════════════════════════════════════
+
+function createApiKeys({ store, keyStore }) {
+  const cache   = new Map()   // id → { row, ts }
+  const seen    = new Map()   // firma → caducidad (anti-replay)
+  const touched = new Map()   // id → último last_used_at escrito
+  // Los tokens cortos se firman con un secreto derivado del de la tienda: sobreviven a un reinicio
+  const tokenSecret = crypto.createHmac('sha256', store.secret).update('stream-token').digest()
+  // Cifra signing_key. Nunca con store.secret: WA_SECRET suele vivir junto a la clave de Supabase,
+  // y con la BD y él se recuperarían todas las claves en claro
+  const sealSecret  = ENCRYPTION_KEY ? crypto.createHmac('sha256', ENCRYPTION_KEY).update('api-key-signing').digest() : null
+  let warnedUnsigned = false
+
+  // Clave en claro → "iv.tag.cifrado" (base64url); el id va como AAD: no vale copiarla a otra fila.
+  // Sin sealSecret → null: la clave vale en Bearer pero no para firmar
+  function sealKey(id, key) {
+    if (!sealSecret) return null
+    const iv     = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', sealSecret, iv).setAAD(Buffer.from(id))
+    const data   = Buffer.concat([cipher.update(key, 'utf8'), cipher.final()])
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64url')).join('.')
+  }
+
+  // → la clave en claro, o null (sin signing_key o cifrada con otro secreto)
+  function openKey(row) {
+    if (!sealSecret) return null
+    try {
+      const [iv, tag, data] = String(row.signing_key || '').split('.').map(p => Buffer.from(p, 'base64url'))
+      const decipher = crypto.createDecipheriv('aes-256-gcm', sealSecret, iv).setAAD(Buffer.from(row.id))
+      decipher.setAuthTag(tag)
+      const key = Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8')
+      return safeEqual(sha256(key), row.key_hash) ? key : null
+    } catch { return null }
+  }
+
+  async function getKey(id) {
+    if (!KEY_ID_RE.test(id)) return null
+    const hit = cache.get(id)
+    if (hit && Date.now() - hit.ts < CACHE_TTL_MS) return hit.row
+    const row = await keyStore.get(id)
+    cache.set(id, { row, ts: Date.now() })
+    return row
+  }
+
+  // null si la clave se puede usar; si no, el motivo
+  function unusable(row) {
+    if (!row) return deny('No autorizado')
+    if (row.revoked_at) return deny('Clave revocada')
+    if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) return deny('Clave caducada')
+    return null
+  }
+
+  function touch(id) {
+    const now = Date.now()
+    if (now - (touched.get(id) || 0) < TOUCH_INTERVAL_MS) return
+    touched.set(id, now)
+    keyStore.update(id, { last_used_at: new Date(now).toISOString() })
+      .catch(e => log.warn('No se pudo actualizar last_used_at', { store: store.id, keyId: id, err: e }))
+  }
+
+  const principal = (row) => ({ auth: { keyId: row.id, name: row.name, scopes: row.scopes || [] } })
+  const legacy    = { keyId: LEGACY_ID, name: 'WA_SECRET', scopes: ['admin'] }
+
+  // ── Clave en claro: ck_xxxxxxxxxxxx.<secreto> ──────────────────────────────
+  async function fromKey(key) {
+    const id  = key.split('.')[0]
+    const row = await getKey(id)
+    if (!row || !safeEqual(sha256(key), row.key_hash)) return deny('No autorizado')
+    return unusable(row) || principal(row)
+  }
+
+  // ── Firma HMAC ─────────────────────────────────────────────────────────────
+  async function fromSignature(req) {
+    const id        = String(req.headers['x-key-id'])
+    const ts        = Number(req.headers['x-timestamp'])
+    const signature = String(req.headers['x-signature'] || '')
+    const digest    = String(req.headers['x-content-sha256'] || EMPTY_SHA256).toLowerCase()
+
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts * 1000) > SIGNATURE_WINDOW) {
+      return deny('Firma caducada o x-timestamp inválido')
+    }
+    if (!sealSecret) {
+      if (!warnedUnsigned) log.warn('Petición firmada rechazada: falta API_KEYS_ENCRYPTION_KEY', { store: store.id })
+      warnedUnsigned = true
+      return deny('Peticiones firmadas desactivadas en este servidor (falta API_KEYS_ENCRYPTION_KEY)')
+    }
+    const row = await getKey(id)
+    if (!row) return deny('No autorizado')
+    const key = openKey(row)
+    if (!key) return deny('Esta clave no admite firma: crea una nueva')
+    const payload  = `${ts}\n${req.method}\n${req.originalUrl}\n${digest}`
+    const expected = crypto.createHmac('sha256', key).update(payload).digest('hex')
+    if (!safeEqual(signature.toLowerCase(), expected)) return deny('Firma inválida')
+    const blocked = unusable(row)
+    if (blocked) return blocked
+
+    // Anti-replay: la misma firma no vale dos veces dentro de la ventana
+    const now = Date.now()
+    if (seen.has(expected)) return deny('Petición repetida')
+    if (seen.size > 5000) for (const [sig, exp] of seen) if (exp < now) seen.delete(sig)
+    seen.set(expected, now + 2 * SIGNATURE_WINDOW)
+
+    req.signedBodyDigest = digest
+    const bodyError = checkBodyDigest(req)
+    return bodyError ? deny(bodyError) : principal(row)
+  }
+
+  // ── Token corto para GET desde el navegador ────────────────────────────────
+  function issueToken(auth, scopes) {
+    const granted = scopes?.length ? scopes.filter(s => hasScope(auth, s)) : auth.scopes
+    const payload = Buffer.from(JSON.stringify({ k: auth.keyId, s: granted, exp: Date.now() + TOKEN_TTL_MS })).toString('base64url')
+    const sig     = crypto.createHmac('sha256', tokenSecret).update(payload).digest('base64url')
+    return { token: `${payload}.${sig}`, scopes: granted, expires_at: new Date(Date.now() + TOKEN_TTL_MS).toISOString() }
+  }
+
+  async function fromToken(req, token) {
+    if (req.method !== 'GET') return deny('Los tokens solo valen para GET')
+    const [payload, sig] = String(token).split('.')
+    const expected = crypto.createHmac('sha256', tokenSecret).update(payload || '').digest('base64url')
+    if (!sig || !safeEqual(sig, expected)) return deny('Token inválido')
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString())
+    if (data.exp <= Date.now()) return deny('Token caducado')
+    // La clave de origen sigue mandando: revocarla invalida sus tokens
+    if (data.k === LEGACY_ID) return { auth: { ...legacy, scopes: data.s } }
+    const row = await getKey(data.k)
+    const blocked = unusable(row)
+    if (blocked) return blocked
+    const { auth } = principal(row)
+    return { auth: { ...auth, scopes: data.s.filter(s => hasScope(auth, s)) } }
+  }
+
+  // → { auth: { keyId, name, scopes } }  o  { status, error }
+  async function authenticate(req) {
+    const bearer = (req.headers.authorization || '').match(/^Bearer (.+)$/)?.[1]
+    const key    = req.headers['x-api-key'] || bearer
+    if (req.headers['x-signature']) return fromSignature(req)
+    if (key) return fromKey(String(key))
+    if (req.headers['x-secret']) {
+      return safeEqual(String(req.headers['x-secret']), store.secret) ? { auth: legacy } : deny('No autorizado')
+    }
+    if (req.query.token) return fromToken(req, req.query.token)
+    return deny('No autorizado')
+  }
+
+  // ── Gestión ───────────────────────────────────────────────────────────────
+  async function create({ name, scopes, expiresAt = null }) {
+    const id  = `ck_${crypto.randomBytes(6).toString('hex')}`
+    const key = `${id}.${crypto.randomBytes(24).toString('base64url')}`
+    const row = await keyStore.insert({
+      id, name, scopes, key_hash: sha256(key), signing_key: sealKey(id, key),
+      expires_at: expiresAt, revoked_at: null, last_used_at: null,
+      created_at: new Date().toISOString(),
+    })
+    log.info('Clave creada', { store: store.id, keyId: id, name, scopes })
+    return { key, id: row.id, name: row.name, scopes: row.scopes, expires_at: row.expires_at }
+  }
+
+  async function revoke(id) {
+    const row = await keyStore.get(id)
+    if (!row) return false
+    await keyStore.update(id, { revoked_at: new Date().toISOString() })
+    cache.delete(id)
+    log.info('Clave revocada', { store: store.id, keyId: id })
+    return true
+  }
+
+  return { authenticate, issueToken, create, revoke, touch, list: () => keyStore.list() }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// MIDDLEWARE
+// ══════════════════════════════════════════════════════════════════════════════
+
+function hasScope(auth, scope) {
+  return auth.scopes.includes('admin') || auth.scopes.includes(scope)
+}
+
+// Cuerpo de una petición firmada: debe coincidir con x-content-sha256 (null si cuadra).
+// Si el cuerpo aún no se ha leído (/send), lo vuelve a llamar el parser desde `verify`.
+function checkBodyDigest(req) {
+  if (!req.signedBodyDigest) return null
+  const pending = req.rawBody === undefined && Number(req.headers['content-length'] || 0) > 0
+  if (pending) return req.is('multipart/form-data') ? 'Las peticiones firmadas deben enviar JSON' : null
+  return safeEqual(sha256(req.rawBody || ''), req.signedBodyDigest) ? null : 'x-content-sha256 no coincide con el cuerpo'
+}
+
+/**
+ * requireScope('send')                  → basta con uno de los scopes (admin vale para todo)
+ * requireScope('send', 'analytics')
+ * Deja el principal en req.auth. La tienda la resuelve el montaje (req.gw.apiKeys).
+ */
+function requireScope(...scopes) {
+  return async (req, res, next) => {
+    const path = req.originalUrl.split('?')[0]
+    let result
+    try {
+      result = await req.gw.apiKeys.authenticate(req)
+    } catch (e) {
+      log.error('Error comprobando la clave', { store: req.gw.store.id, path, err: e })
+      return res.status(503).json({ error: 'No se pudo comprobar la clave' })
+    }
+    const { auth, status, error } = result
+    if (error) {
+      log.warn('Intento no autorizado', { store: req.gw.store.id, ip: req.ip, path, err: error })
+      return res.status(status).json({ error })
+    }
+    if (!scopes.some(s => hasScope(auth, s))) {
+      log.warn('Permiso insuficiente', { store: req.gw.store.id, keyId: auth.keyId, path, need: scopes })
+      return res.status(403).json({ error: `Permiso insuficiente (${scopes.join(' | ')})` })
+    }
+    req.auth = auth
+    if (auth.keyId !== LEGACY_ID) req.gw.apiKeys.touch(auth.keyId)
+    next()
+  }
+}
+
+module.exports = {
+  SCOPES,
+  createApiKeys,
+  createKeyStore,
+  createMemoryKeyStore,
+  createSupabaseKeyStore,
+  requireScope,
+  hasScope,
+  checkBodyDigest,
+  safeEqual,
+}
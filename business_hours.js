@@ -0,0 +1,254 @@
+/**
+ * business_hours.js — Horario de apertura configurable (settings.business_hours)
+ * =====================================================
+ * El horario estaba fijo en el código (martes a domingo 14–21) y se calculaba con
+ * new Date().getHours(), que en Railway es UTC: el bot decía "cerrado" durante
+ * una hora de servicio. Ahora:
+ *   ✅ Horario semanal con varios tramos por día
+ *   ✅ Zona horaria explícita (Europe/Madrid por defecto), también en verano/invierno
+ *   ✅ Festivos y cierres por vacaciones (rangos de fechas)
+ *   ✅ Horarios especiales de un día (ampliaciones, ferias) que mandan sobre el resto
+ *   ✅ "Abrimos hoy a las 14:00" / "mañana" / "el martes" calculado, no escrito a mano
+ *   ✅ Textos en español, inglés, portugués y francés (lang en cada función de texto)
+ * Sin dependencias: la hora local sale de Intl.DateTimeFormat.
+ * =====================================================
+ *
+ * settings.business_hours (JSON) — todo opcional, lo que falte toma el valor por defecto:
+ *   {
+ *     "timezone": "Europe/Madrid",
+ *     "weekly":   { "mon": [], "tue": [["14:00", "21:00"]], ..., "sun": [["14:00", "21:00"]] },
+ *     "holidays": [{ "date": "2026-12-25", "reason": "Navidad" }],              (o solo "2026-12-25")
+ *     "closures": [{ "from": "2026-08-10", "to": "2026-08-24", "reason": "Vacaciones" }],
+ *     "special":  [{ "date": "2026-09-20", "hours": [["12:00", "23:30"]], "reason": "Feria" }]
+ *   }
+ * Precedencia para un día: special > holidays/closures > weekly.
+ * "24:00" vale como hora de cierre; un tramo no puede pasar de medianoche.
+ */
+
+const DAYS      = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const DATE_RE   = /^\d{4}-\d{2}-\d{2}$/
+const TIME_RE   = /^([01]\d|2[0-4]):([0-5]\d)$/
+const LOOKAHEAD_DAYS = 60
+
+// Nombres y frases por idioma (el del cliente, ver chatbot_i18n.js); {t} hora, {d} día, {date} fecha
+const LOCALES = {
+  es: {
+    days:   ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+    months: ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'],
+    and: 'y', to: 'a', closed: 'cerrado',
+    today: 'hoy a las {t}', tomorrow: 'mañana a las {t}', week: 'el {d} a las {t}', later: 'el {d} {date} a las {t}',
+  },
+  en: {
+    days:   ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    and: 'and', to: 'to', closed: 'closed',
+    today: 'today at {t}', tomorrow: 'tomorrow at {t}', week: 'on {d} at {t}', later: 'on {d} {date} at {t}',
+  },
+  pt: {
+    days:   ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'],
+    months: ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'],
+    and: 'e', to: 'a', closed: 'fechado',
+    today: 'hoje às {t}', tomorrow: 'amanhã às {t}', week: '{d} às {t}', later: '{d} {date} às {t}',
+  },
+  fr: {
+    days:   ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+    months: ['janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'],
+    and: 'et', to: 'à', closed: 'fermé',
+    today: "aujourd'hui à {t}", tomorrow: 'demain à {t}', week: '{d} à {t}', later: '{d} {date} à {t}',
+  },
+}
+const locale = (lang) => LOCALES[lang] || LOCALES.es
+const phrase = (template, vars) => template.replace(/\{(\w+)\}/g, (_, k) => vars[k])
+
+// Horario de siempre de CarmoCream: martes a domingo, 14:00 – 21:00
+const DEFAULT_HOURS = {
+  timezone: 'Europe/Madrid',
+  weekly: {
+    mon: [], tue: [['14:00', '21:00']], wed: [['14:00', '21:00']], thu: [['14:00', '21:00']],
+    fri: [['14:00', '21:00']], sat: [['14:00', '21:00']], sun: [['14:00', '21:00']],
+  },
+  holidays: [],
+  closures: [],
+  special:  [],
+}
+
+const toMinutes = (hhmm) => {
+  const [, h, m] = hhmm.match(TIME_RE)
+  return Number(h) * 60 + Number(m)
+}
+const fmtMinutes = (min) => `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`
+
+// ── Validación ────────────────────────────────────────────────────────────────
+function parseIntervals(list, where, errors) {
+  if (!Array.isArray(list)) { errors.push(`${where}: debe ser una lista de tramos`); return [] }
+  const out = []
+  for (const pair of list) {
+    if (!Array.isArray(pair) || !TIME_RE.test(pair[0] || '') || !TIME_RE.test(pair[1] || '')) {
+      errors.push(`${where}: tramo inválido ${JSON.stringify(pair)} (usa ["HH:MM", "HH:MM"])`)
+      continue
+    }
+    const [start, end] = [toMinutes(pair[0]), toMinutes(pair[1])]
+    if (end <= start || start >= 24 * 60) { errors.push(`${where}: ${pair[0]}–${pair[1]} no es un tramo válido`); continue }
+    out.push([start, end])
+  }
+  return out.sort((a, b) => a[0] - b[0])
+}
+
+/**
+ * parseBusinessHours(json) → { hours, errors }
+ * Con errores se usa lo que sí sea válido; lo inválido cae al valor por defecto.
+ */
+function parseBusinessHours(raw) {
+  const errors = []
+  const input  = raw && typeof raw === 'object' ? raw : {}
+
+  let timezone = input.timezone || DEFAULT_HOURS.timezone
+  try { new Intl.DateTimeFormat('es-ES', { timeZone: timezone }) } catch {
+    errors.push(`timezone desconocida: ${timezone}`)
+    timezone = DEFAULT_HOURS.timezone
+  }
+
+  const weekly = {}
+  for (const day of DAYS) {
+    let value = input.weekly?.[day] ?? DEFAULT_HOURS.weekly[day]
+    if (!Array.isArray(value)) {
+      errors.push(`weekly.${day}: debe ser una lista de tramos`)
+      value = DEFAULT_HOURS.weekly[day]
+    }
+    weekly[day] = parseIntervals(value, `weekly.${day}`, errors)
+  }
+
+  const closed = []   // { from, to, reason } — los festivos son cierres de un día
+  for (const h of input.holidays || []) {
+    const date = typeof h === 'string' ? h : h?.date
+    if (!DATE_RE.test(date || '')) { errors.push(`holidays: fecha inválida ${JSON.stringify(h)}`); continue }
+    closed.push({ from: date, to: date, reason: h?.reason || 'Festivo' })
+  }
+  for (const c of input.closures || []) {
+    if (!DATE_RE.test(c?.from || '') || !DATE_RE.test(c?.to || '') || c.to < c.from) {
+      errors.push(`closures: rango inválido ${JSON.stringify(c)}`)
+      continue
+    }
+    closed.push({ from: c.from, to: c.to, reason: c.reason || 'Cerrado' })
+  }
+
+  const special = {}
+  for (const s of input.special || []) {
+    if (!DATE_RE.test(s?.date || '')) { errors.push(`special: fecha inválida ${JSON.stringify(s)}`); continue }
+    special[s.date] = { intervals: parseIntervals(s.hours || [], `special.${s.date}`, errors), reason: s.reason || null }
+  }
+
+  return { hours: { timezone, weekly, closed, special }, errors }
+}
+
+// ── Fechas en la zona horaria de la tienda ──────────────────────────────────────
+// → { date: 'YYYY-MM-DD', weekday: 0-6, minutes: minutos desde medianoche }
+function localParts(now, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  }).formatToParts(now).map(p => [p.type, p.value]))
+  const date = `${parts.year}-${parts.month}-${parts.day}`
+  return { date, weekday: weekdayOf(date), minutes: Number(parts.hour) * 60 + Number(parts.minute) }
+}
+
+// Aritmética de calendario: no depende de la zona horaria ni de los cambios de hora
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay()
+const addDays   = (date, n) => new Date(Date.parse(`${date}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10)
+const shortDate = (date, L = LOCALES.es) => `${Number(date.slice(8, 10))} ${L.months[Number(date.slice(5, 7)) - 1]}`
+
+// Tramos de un día concreto → { intervals, reason, kind: weekly | special | closed }
+function hoursForDate(hours, date) {
+  if (hours.special[date]) return { ...hours.special[date], kind: 'special' }
+  const closure = hours.closed.find(c => c.from <= date && date <= c.to)
+  if (closure) return { intervals: [], reason: closure.reason, kind: 'closed' }
+  return { intervals: hours.weekly[DAYS[weekdayOf(date)]], reason: null, kind: 'weekly' }
+}
+
+function whenLabel(today, date, minutes, lang) {
+  const L    = locale(lang)
+  const vars = { t: fmtMinutes(minutes), d: L.days[weekdayOf(date)], date: shortDate(date, L) }
+  const diff = Math.round((Date.parse(date) - Date.parse(today)) / 86400000)
+  return phrase(diff === 0 ? L.today : diff === 1 ? L.tomorrow : diff < 7 ? L.week : L.later, vars)
+}
+
+/**
+ * openStatus(hours, now?, lang?) →
+ *   { open, closesAt: 'HH:MM' | null, nextOpen: { date, time, label } | null, today: { intervals, reason, kind } }
+ *   label en el idioma pedido (español por defecto): "hoy a las 14:00", "tomorrow at 14:00"
+ */
+function openStatus(hours, now = new Date(), lang = 'es') {
+  const local = localParts(now, hours.timezone)
+  const today = hoursForDate(hours, local.date)
+  const slot  = today.intervals.find(([s, e]) => local.minutes >= s && local.minutes < e)
+  if (slot) return { open: true, closesAt: fmtMinutes(slot[1] % (24 * 60)), nextOpen: null, today }
+
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const date  = addDays(local.date, i)
+    const start = hoursForDate(hours, date).intervals.map(([s]) => s).find(s => i > 0 || s > local.minutes)
+    if (start !== undefined) {
+      return { open: false, closesAt: null, nextOpen: { date, time: fmtMinutes(start), label: whenLabel(local.date, date, start, lang) }, today }
+    }
+  }
+  return { open: false, closesAt: null, nextOpen: null, today }
+}
+
+// ── Textos ──────────────────────────────────────────────────────────────────
+const intervalsText = (intervals, L) => intervals.length
+  ? intervals.map(([s, e]) => `${fmtMinutes(s)} – ${fmtMinutes(e)}`).join(` ${L.and} `)
+  : L.closed
+
+// "Martes a Domingo: 14:00 – 21:00" agrupando días seguidos con el mismo horario (semana de lunes a domingo)
+function weeklyLines(hours, lang) {
+  const L     = locale(lang)
+  const order = [1, 2, 3, 4, 5, 6, 0]
+  const lines = []
+  let group   = null
+  for (const wd of order) {
+    const text = intervalsText(hours.weekly[DAYS[wd]], L)
+    if (group && group.text === text) { group.last = wd; continue }
+    group = { first: wd, last: wd, text }
+    lines.push(group)
+  }
+  const cap = (s) => s[0].toUpperCase() + s.slice(1)
+  return lines.map(g => {
+    const span = (g.last - g.first + 7) % 7
+    const days = span === 0 ? cap(L.days[g.first])
+      : `${cap(L.days[g.first])} ${span === 1 ? L.and : L.to} ${cap(L.days[g.last])}`
+    return g.text === L.closed ? `❌ ${days}: ${L.closed}` : `📅 ${days}: ${g.text}`
+  })
+}
+
+// Festivos, cierres y horarios especiales de los próximos `days` días
+function upcomingExceptions(hours, now = new Date(), days = 14, lang) {
+  const L     = locale(lang)
+  const today = localParts(now, hours.timezone).date
+  const until = addDays(today, days)
+  const lines = []
+  for (const c of hours.closed) {
+    if (c.to < today || c.from > until) continue
+    const range = c.from === c.to ? shortDate(c.from, L) : `${shortDate(c.from, L)} – ${shortDate(c.to, L)}`
+    lines.push({ key: c.from, text: `🚫 ${range}: ${L.closed} (${c.reason})` })
+  }
+  for (const [date, s] of Object.entries(hours.special)) {
+    if (date < today || date > until) continue
+    lines.push({ key: date, text: `⭐ ${shortDate(date, L)}: ${intervalsText(s.intervals, L)}${s.reason ? ` (${s.reason})` : ''}` })
+  }
+  return lines.sort((a, b) => a.key.localeCompare(b.key)).map(l => l.text)
+}
+
+// Hora local de la tienda para mostrar (p.ej. "Realizado a las 20:15")
+function formatLocalTime(date, hours) {
+  return new Date(date).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit', timeZone: hours.timezone })
+}
+
+module.exports = {
+  DEFAULT_HOURS,
+  parseBusinessHours,
+  openStatus,
+  hoursForDate,
+  weeklyLines,
+  upcomingExceptions,
+  formatLocalTime,
+  localParts,
+}
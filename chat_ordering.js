@@ -0,0 +1,381 @@
+/**
+ * chat_ordering.js — Hacer un pedido entero por WhatsApp, sin pasar por la web
+ * =====================================================
+ * Muchos clientes mayores de Carmona prefieren pedir escribiendo. Cada "quiero pedir"
+ * solo devolvía el enlace a /menu; ahora el bot lleva la conversación:
+ *   ✅ Elegir producto o combo por número o por nombre (con faltas: fuzzy_match.js)
+ *   ✅ Tamaño (pequeño / mediano / grande según price_medium y price_large) y cantidad
+ *   ✅ Carrito: añadir más, "quitar 2", ver el total en cada paso
+ *   ✅ Pedido mínimo (min_order) y gastos de envío (delivery_fee) de settings; el mínimo
+ *      cuenta después del descuento del cupón
+ *   ✅ Con zonas de reparto (delivery_zones.js): el envío y el mínimo son los de la zona de
+ *      la dirección; si queda fuera, se pide otra
+ *   ✅ Nombre y dirección, propuestos a partir del último pedido del cliente
+ *   ✅ Cupón de descuento (tabla coupons, con su mínimo)
+ *   ✅ Resumen y confirmación → fila real en `orders` (status pending), igual que la web,
+ *      así que aparece en el panel de cocina
+ * En cualquier paso "cancelar" o "salir" abandona el pedido sin guardar nada.
+ * Los textos salen de chatbot_i18n.js en el idioma de la conversación (conv.lang).
+ * =====================================================
+ *
+ * TABLA orders — columnas que escribe el bot además de las de siempre
+ * (customer_name, customer_phone, delivery_address, items, total, status):
+ *   alter table orders
+ *     add column if not exists subtotal       numeric,
+ *     add column if not exists delivery_fee   numeric,
+ *     add column if not exists discount       numeric,
+ *     add column if not exists coupon_code    text,
+ *     add column if not exists payment_method text,
+ *     add column if not exists source         text;   -- web | whatsapp
+ * order_number lo pone la BD (default / trigger), como en los pedidos de la web.
+ *
+ * La conversación vive en el Map `conversations` del chatbot:
+ *   { state: 'ordering', lang, step, catalog, cart, pending, name, address, zone, coupon, ts }
+ */
+
+const fuzzy = require('./fuzzy_match')
+const { YES, NO } = require('./chatbot_i18n')
+
+const MAX_QTY        = 20
+const MAX_CART_LINES = 15
+const CATALOG_LIST   = 20
+
+// Palabras de control en español, inglés, portugués y francés
+const ABORT  = /^(cancelar|cancela|salir|dejalo|olvidalo|no quiero nada|parar|cancel|stop|exit|sair|desistir|annuler|arreter)$/
+const DONE   = /^(listo|ya|ya esta|nada mas|eso es todo|eso es|terminar|fin|no|nada|no gracias|ya no|done|that'?s all|nothing else|finish|no thanks|pronto|e so|mais nada|nao|fini|c'?est tout|rien|non)$/
+const REMOVE = /^(quitar|borrar|eliminar|remove|delete|remover|tirar|retirer|supprimer)\s+(\d{1,2})$/
+const NUMBER_WORDS = {
+  un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+  one: 1, two: 2, three: 3, four: 4, five: 5, um: 1, dois: 2, deux: 2, trois: 3,
+}
+
+// label es lo que ve la cocina en el pedido (siempre en español); al cliente se le muestra traducido
+const SIZES = [
+  { key: 'small',  label: 'Pequeño', field: 'price',        words: /pequen|normal|chico|peque|small|petit/ },
+  { key: 'medium', label: 'Mediano', field: 'price_medium', words: /median|medium|medio|moyen/ },
+  { key: 'large',  label: 'Grande',  field: 'price_large',  words: /grand|large|big/ },
+]
+
+const money = (n) => `€${Number(n || 0).toFixed(2)}`
+
+function parseQty(n) {
+  const m = n.match(/^x?\s*(\d{1,2})\s*(x|uds?|unidades?)?$/)
+  if (m) return Number(m[1])
+  return NUMBER_WORDS[n] || null
+}
+
+/**
+ * createChatOrdering({ ... }) → { start, handle }
+ *   t(lang, key, vars)                    → texto del idioma del cliente (chatbot_i18n.js + {{web}})
+ *   getProducts / getCombos / getCoupons  → listas activas (caché del chatbot)
+ *   findLastOrder(phone)                  → último pedido, para proponer nombre y dirección
+ *   insertOrder(row)                      → fila insertada (con order_number)
+ *   limits(conv)                          → { minOrder, deliveryFee } actuales (los de conv.zone si la hay)
+ *   zoneFor(phone, address)               → (async) { name, fee, minOrder } | { outside: true } | null (sin zonas
+ *                                           o sin poder situarla: valen los generales)
+ *   isOpen()                              → false con la tienda cerrada (al empezar y al confirmar)
+ *   eta(lang, order)                      → "25–35 min, sobre las 20:50" para el pedido recién creado
+ *   norm(text)                            → normalización del chatbot
+ */
+function createChatOrdering({ getProducts, getCombos, getCoupons, findLastOrder, insertOrder, limits, zoneFor, isOpen, eta, norm, t, log }) {
+
+  // ── Textos ────────────────────────────────────────────────────────────────
+  const say = (conv, key, vars) => t(conv.lang, `order.${key}`, vars)
+
+  const sizeName = (conv, label) => {
+    const size = SIZES.find(s => s.label === label)
+    return size ? say(conv, `size.${size.key}`) : label
+  }
+
+  function catalogText(conv) {
+    const lines = conv.catalog.slice(0, CATALOG_LIST).map((p, i) => {
+      const price = p.price_medium || p.price_large ? t(conv.lang, 'price.from', { price: money(p.price) }) : money(p.price)
+      return `*${i + 1}.* ${p.emoji || (p.isCombo ? '🎁' : '🍨')} ${p.name} — ${price}`
+    })
+    if (conv.catalog.length > CATALOG_LIST) lines.push(say(conv, 'catalog_more'))
+    return lines.join('\n')
+  }
+
+  function totals(conv) {
+    const { minOrder, deliveryFee } = limits(conv)
+    const subtotal = conv.cart.reduce((s, l) => s + l.price * l.qty, 0)
+    let discount   = 0
+    if (conv.coupon) {
+      discount = conv.coupon.discount_type === 'percent'
+        ? subtotal * Number(conv.coupon.discount_value || 0) / 100
+        : Math.min(Number(conv.coupon.discount_value || 0), subtotal)
+    }
+    discount = Math.round(discount * 100) / 100
+    const total = Math.round((subtotal - discount + deliveryFee) * 100) / 100
+    return { subtotal, discount, deliveryFee, total, minOrder }
+  }
+
+  // Lo que cuenta para el pedido mínimo: productos menos el descuento (sin el envío)
+  const belowMinimum = (sum) => sum.minOrder > 0 && sum.subtotal - sum.discount < sum.minOrder
+
+  function minimumReply(conv, sum) {
+    const paid = sum.subtotal - sum.discount
+    const vars = { min: money(sum.minOrder), subtotal: money(paid), missing: money(sum.minOrder - paid), catalog: catalogText(conv) }
+    return { reply: say(conv, 'min', vars), conv: { ...conv, step: 'more', pending: null } }
+  }
+
+  function cartText(conv) {
+    const lines = conv.cart.map((l, i) =>
+      `${i + 1}. ${l.qty}x ${l.product_name}${l.size ? ` (${sizeName(conv, l.size)})` : ''} · ${money(l.price * l.qty)}`)
+    return say(conv, 'cart', { lines: lines.join('\n'), subtotal: money(totals(conv).subtotal) })
+  }
+
+  function summaryText(conv) {
+    const sum = totals(conv)
+    return say(conv, 'summary', {
+      cart:     cartText(conv),
+      discount: sum.discount ? say(conv, 'summary_discount', { code: conv.coupon.code, discount: money(sum.discount) }) : '',
+      fee:      sum.deliveryFee ? money(sum.deliveryFee) : say(conv, 'free'),
+      total:    money(sum.total),
+      name:     conv.name,
+      address:  conv.address,
+    })
+  }
+
+  const askMore = (conv) => ({
+    reply: say(conv, 'more', { cart: cartText(conv) }),
+    conv:  { ...conv, step: 'more', pending: null },
+  })
+
+  // ── Pasos ─────────────────────────────────────────────────────────────────
+  // → { reply, conv }; conv null = no se puede pedir por chat (closed: la tienda está cerrada,
+  // el chatbot contesta con el horario; si no, no hay catálogo)
+  async function start(phone, lang) {
+    // Antes de preguntar nada: "quiero pedir" con la tienda cerrada no debe llegar hasta el resumen
+    if (!isOpen()) return { reply: null, conv: null, closed: true }
+    const [products, combos] = await Promise.all([getProducts(), getCombos()])
+    const catalog = [
+      ...combos.map(c => ({ id: c.id, name: c.name, emoji: c.emoji, price: Number(c.price || 0), isCombo: true })),
+      ...products.map(p => ({
+        id: p.id, name: p.name, emoji: p.emoji, price: Number(p.price || 0),
+        price_medium: p.price_medium ? Number(p.price_medium) : null,
+        price_large:  p.price_large  ? Number(p.price_large)  : null,
+      })),
+    ]
+    if (!catalog.length) return { reply: null, conv: null }
+    const last = await findLastOrder(phone).catch(() => null)
+    const conv = {
+      state: 'ordering', lang, step: 'item', catalog, cart: [], pending: null, coupon: null,
+      name: null, address: null, zone: null, lastName: last?.customer_name || null, lastAddress: last?.delivery_address || null,
+      ts: Date.now(),
+    }
+    return { reply: say(conv, 'start', { catalog: catalogText(conv) }), conv }
+  }
+
+  // Número del menú o nombre (aproximado) → producto; si hay dudas, pregunta
+  function chooseItem(conv, n) {
+    const num = n.match(/^#?(\d{1,3})$/)
+    let item  = num ? conv.catalog[Number(num[1]) - 1] : null
+    if (!item && !num) {
+      const match = fuzzy.bestMatch(n, conv.catalog, p => norm(p.name))
+      if (match?.score >= fuzzy.ACCEPT) item = match.item
+      else if (match?.score >= fuzzy.SUGGEST) {
+        return { reply: say(conv, 'suggest', { name: match.item.name }), conv: { ...conv, step: 'item_confirm', pending: { item: match.item } } }
+      }
+    }
+    if (!item) return { reply: say(conv, 'not_found', { catalog: catalogText(conv) }), conv }
+    return afterItem(conv, item)
+  }
+
+  function sizeOptions(item) {
+    return SIZES.filter(s => item[s.field]).map(s => ({ ...s, price: item[s.field] }))
+  }
+
+  function afterItem(conv, item) {
+    if (conv.cart.length >= MAX_CART_LINES) return { reply: say(conv, 'cart_full', { max: MAX_CART_LINES }), conv: { ...conv, step: 'more' } }
+    const sizes = item.isCombo ? [] : sizeOptions(item)
+    if (sizes.length > 1) {
+      const list = sizes.map((s, i) => `*${i + 1}.* ${say(conv, `size.${s.key}`)} — ${money(s.price)}`).join('\n')
+      return { reply: say(conv, 'size', { emoji: item.emoji || '🍨', name: item.name, list }), conv: { ...conv, step: 'size', pending: { item } } }
+    }
+    return askQty({ ...conv, pending: { item, size: null, price: item.price } })
+  }
+
+  const askQty = (conv) => ({
+    reply: say(conv, 'qty', { name: conv.pending.item.name, size: conv.pending.size ? ` (${sizeName(conv, conv.pending.size)})` : '', max: MAX_QTY }),
+    conv:  { ...conv, step: 'qty' },
+  })
+
+  function addLine(conv, qty) {
+    const { item, size, price } = conv.pending
+    const same = conv.cart.find(l => l.id === item.id && !!l.isCombo === !!item.isCombo && l.size === size)
+    const cart = same
+      ? conv.cart.map(l => l === same ? { ...l, qty: Math.min(MAX_QTY, l.qty + qty) } : l)
+      : [...conv.cart, {
+        id: item.id, product_name: item.name, emoji: item.emoji || null, qty, price, size,
+        ...(item.isCombo ? { isCombo: true, comboId: item.id } : {}),
+      }]
+    return askMore({ ...conv, cart })
+  }
+
+  function askName(conv) {
+    if (conv.lastName) return { reply: say(conv, 'name_last', { name: conv.lastName }), conv: { ...conv, step: 'name' } }
+    return { reply: say(conv, 'name'), conv: { ...conv, step: 'name' } }
+  }
+
+  function askAddress(conv) {
+    if (conv.lastAddress) return { reply: say(conv, 'address_last', { address: conv.lastAddress }), conv: { ...conv, step: 'address' } }
+    return { reply: say(conv, 'address'), conv: { ...conv, step: 'address' } }
+  }
+
+  // Dirección elegida → zona de reparto; su mínimo puede ser mayor que lo que lleva en el carrito
+  async function setAddress(phone, conv, address) {
+    const zone = await zoneFor(phone, address).catch(e => { log.warn('No se pudo mirar la zona de la dirección', { err: e }); return null })
+    if (zone?.outside) return { reply: say(conv, 'address_outside', { address }), conv: { ...conv, step: 'address' } }
+    const next = { ...conv, address, zone }
+    const sum  = totals(next)
+    if (belowMinimum(sum)) return minimumReply(next, sum)
+    return askCoupon(next)
+  }
+
+  const askCoupon = (conv) => ({
+    reply: say(conv, 'coupon'),
+    conv:  { ...conv, step: 'coupon' },
+  })
+
+  const askConfirm = (conv) => ({ reply: summaryText(conv), conv: { ...conv, step: 'confirm' } })
+
+  async function applyCoupon(conv, text) {
+    const code    = text.trim().toUpperCase()
+    const coupons = await getCoupons()
+    const coupon  = coupons.find(c => String(c.code || '').toUpperCase() === code)
+    if (!coupon) return { reply: say(conv, 'coupon_unknown', { code }), conv }
+    const { subtotal } = totals(conv)
+    if (coupon.min_order && subtotal < Number(coupon.min_order)) {
+      return { reply: say(conv, 'coupon_min', { code: coupon.code, min: money(coupon.min_order), subtotal: money(subtotal) }), conv }
+    }
+    // Un cupón del 100 % o de importe fijo puede dejarlo por debajo del mínimo de la tienda
+    const sum = totals({ ...conv, coupon })
+    if (belowMinimum(sum)) {
+      return { reply: say(conv, 'coupon_below_min', { code: coupon.code, subtotal: money(sum.subtotal - sum.discount), min: money(sum.minOrder) }), conv }
+    }
+    return askConfirm({ ...conv, coupon })
+  }
+
+  async function placeOrder(phone, conv) {
+    if (!isOpen()) return { reply: say(conv, 'closed'), conv: null, intent: 'closed_hours' }
+    const sum = totals(conv)
+    // min_order puede haber cambiado en settings mientras se pedía
+    if (belowMinimum(sum)) return minimumReply(conv, sum)
+    const row = {
+      customer_name:    conv.name,
+      customer_phone:   phone.replace('@c.us', ''),
+      delivery_address: conv.address,
+      items:            conv.cart,
+      subtotal:         Math.round(sum.subtotal * 100) / 100,
+      delivery_fee:     sum.deliveryFee,
+      discount:         sum.discount,
+      coupon_code:      conv.coupon?.code || null,
+      total:            sum.total,
+      payment_method:   'cash',
+      source:           'whatsapp',
+      status:           'pending',
+    }
+    try {
+      const order = await insertOrder(row)
+      log.info('Pedido por WhatsApp creado', { phone, order: order?.order_number ?? order?.id, total: sum.total, lang: conv.lang })
+      return {
+        reply:  say(conv, 'created', {
+          order_number: order?.order_number ?? order?.id ?? '—',
+          total:        money(sum.total),
+          address:      conv.address,
+          eta:          await eta(conv.lang, order || { status: 'pending' }),
+        }),
+        conv:   null,
+        intent: 'order_created',
+      }
+    } catch (e) {
+      log.error('No se pudo crear el pedido por WhatsApp', { phone, err: e })
+      return { reply: say(conv, 'failed'), conv: { ...conv, step: 'confirm' } }
+    }
+  }
+
+  /**
+   * handle(phone, conv, text) → { reply, conv, intent }
+   *   conv null = la conversación de pedido termina (creado o cancelado)
+   */
+  async function handle(phone, conv, text) {
+    const n = norm(text)
+    conv = { ...conv, ts: Date.now() }
+    if (ABORT.test(n)) return { reply: say(conv, 'aborted'), conv: null, intent: 'ordering_aborted' }
+
+    const out = await step(phone, conv, text, n)
+    return { intent: 'ordering', ...out }
+  }
+
+  async function step(phone, conv, text, n) {
+    switch (conv.step) {
+      case 'item':
+        return chooseItem(conv, n)
+
+      case 'item_confirm':
+        if (YES.test(n)) return afterItem(conv, conv.pending.item)
+        return chooseItem({ ...conv, step: conv.cart.length ? 'more' : 'item', pending: null }, n)
+
+      case 'size': {
+        const sizes = sizeOptions(conv.pending.item)
+        const num   = n.match(/^(\d)$/)
+        const size  = num ? sizes[Number(num[1]) - 1] : sizes.find(s => s.words.test(n))
+        if (!size) return { reply: say(conv, 'size_invalid', { max: sizes.length }), conv }
+        return askQty({ ...conv, pending: { ...conv.pending, size: size.label, price: size.price } })
+      }
+
+      case 'qty': {
+        const qty = parseQty(n)
+        if (!qty || qty < 1 || qty > MAX_QTY) return { reply: say(conv, 'qty_invalid', { max: MAX_QTY }), conv }
+        return addLine(conv, qty)
+      }
+
+      case 'more': {
+        const remove = n.match(REMOVE)
+        if (remove) {
+          const idx = Number(remove[2]) - 1
+          if (!conv.cart[idx]) return { reply: say(conv, 'no_line', { line: remove[2] }), conv }
+          const cart = conv.cart.filter((_, i) => i !== idx)
+          if (!cart.length) return { reply: say(conv, 'empty', { catalog: catalogText(conv) }), conv: { ...conv, cart, step: 'item' } }
+          return askMore({ ...conv, cart })
+        }
+        if (DONE.test(n)) {
+          const sum = totals(conv)
+          if (belowMinimum(sum)) return minimumReply(conv, sum)
+          return askName(conv)
+        }
+        return chooseItem(conv, n)
+      }
+
+      case 'name': {
+        if (conv.lastName && YES.test(n)) return askAddress({ ...conv, name: conv.lastName })
+        const name = text.trim().replace(/\s+/g, ' ').slice(0, 60)
+        if (name.length < 2 || !/[a-zñ]/i.test(name)) return { reply: say(conv, 'name_invalid'), conv }
+        return askAddress({ ...conv, name })
+      }
+
+      case 'address': {
+        if (conv.lastAddress && YES.test(n)) return setAddress(phone, conv, conv.lastAddress)
+        const address = text.trim().replace(/\s+/g, ' ').slice(0, 200)
+        if (address.length < 6 || !/[a-z]/i.test(address)) return { reply: say(conv, 'address_invalid'), conv }
+        return setAddress(phone, conv, address)
+      }
+
+      case 'coupon':
+        if (NO.test(n)) return askConfirm({ ...conv, coupon: null })
+        return applyCoupon(conv, text)
+
+      case 'confirm':
+        if (YES.test(n)) return placeOrder(phone, conv)
+        return { reply: say(conv, 'confirm'), conv }
+
+      default:
+        return { reply: null, conv: null }
+    }
+  }
+
+  return { start, handle }
+}
+
+module.exports = { createChatOrdering }
@@ -0,0 +1,678 @@
+/**
+ * chatbot_i18n.js — Respuestas del chatbot en español, inglés, portugués y francés
+ * =====================================================
+ * En verano escriben turistas en inglés (y algo de portugués y francés) y el bot
+ * solo entendía y contestaba en español.
+ *   ✅ Plantillas por idioma para todo lo que ve el cliente (menú, estado, horario,
+ *      cancelación, pedido por chat, fallback...) — si falta una, sale la española
+ *   ✅ Palabras clave por idioma para cada intención (se suman a las regex en español)
+ *   ✅ Detección del idioma por las palabras de los primeros mensajes
+ *   ✅ Cambio a mano: "english", "português", "français", "español" (o "idioma" / "language")
+ * Los avisos al equipo (notifyAdmin, admin.*) solo existen en español.
+ * =====================================================
+ *
+ * Plantillas: {{variable}}; {{web}}, {{instagram}}, {{review}} los pone el chatbot siempre.
+ * Estos son los textos de serie: cada tienda puede cambiarlos en settings (message_templates.js).
+ */
+
+const DEFAULT_LANG = 'es'
+const LANGUAGES    = { es: 'Español', en: 'English', pt: 'Português', fr: 'Français' }
+
+// Palabras que delatan el idioma (texto normalizado: minúsculas, sin tildes).
+// Solo palabras que no existan también en los otros idiomas ("hello" lo usan también en español,
+// "que" y "por favor" en portugués).
+const MARKERS = {
+  en: ['the', 'is', 'are', 'you', 'how', 'what', 'when', 'where', 'much', 'hi', 'please', 'thanks',
+    'thank', 'order', 'want', 'can', 'have', 'open', 'price', 'delivery', 'my', 'do', 'does', 'i', 'would', 'like', 'cancel',
+    'your', 'opening', 'hours', 'today'],
+  pt: ['voce', 'voces', 'obrigado', 'obrigada', 'oi', 'ola', 'quanto', 'custa', 'nao', 'sim', 'bom', 'boa', 'tem',
+    'meu', 'minha', 'fazer', 'gostaria', 'cardapio', 'entregam', 'entrega', 'aberta', 'hoje', 'encomenda', 'quero',
+    'queria', 'onde', 'voces'],
+  fr: ['bonjour', 'merci', 'combien', 'vous', 'je', 'est', 'avez', 'voudrais', 'salut', 'oui', 'commande',
+    'commander', 'livraison', 'ouvert', 'quand', 'bonsoir', 'carte', 'prix', 'annuler', 'nous', 'vos', 'votre', 'sont',
+    'quels', 'quelle', 'horaires', 'livrez', 'aujourd'],
+  es: ['hola', 'quiero', 'cuanto', 'gracias', 'pedido', 'el', 'tienen', 'teneis', 'donde', 'cuando', 'horario',
+    'buenas', 'mi', 'vale', 'cuesta', 'abierto', 'hay', 'estoy', 'quisiera'],
+}
+
+// Cambio explícito de idioma (mensaje entero)
+const SWITCH = [
+  [/^(english|in english|ingles|en ingles|anglais)$/, 'en'],
+  [/^(portugues|em portugues|portuguese|en portugues)$/, 'pt'],
+  [/^(francais|en francais|frances|en frances|french)$/, 'fr'],
+  [/^(espanol|en espanol|castellano|spanish|espagnol)$/, 'es'],
+]
+const ASK_LANGUAGE = /^(idioma|language|lingua|langue|languages|idiomas)$/
+
+// Sí / no en cualquiera de los cuatro idiomas
+const YES = /^(si|s|vale|ok|okay|claro|confirmo|confirmar|dale|correcto|eso|exacto|perfecto|yes|y|yeah|yep|sure|confirm|sim|oui|d'accord|daccord|confirme)$/
+const NO  = /^(no|nop|nope|nah|tampoco|nao|non|ninguno|nada|none)$/
+
+// Palabras clave por intención en otros idiomas (las de español están en el chatbot)
+const KEYWORDS = {
+  closed_hours:  { en: /i want to order|place an order|can i order/, pt: /quero pedir|fazer um pedido|quero encomendar/, fr: /je voudrais commander|passer (une )?commande|je veux commander/ },
+  order_lookup:  { en: /order|number/, pt: /pedido|numero|encomenda/, fr: /commande|numero/ },
+  complaint:     { en: /complain|complaint|problem|arrived cold|was wrong|missing|wrong order/, pt: /reclamacao|problema|chegou frio|errado|faltou/, fr: /plainte|probleme|arrive froid|manquait|erreur/ },
+  modify_order:  { en: /change my order|modify|change the address|add to my order/, pt: /mudar|alterar|modificar/, fr: /modifier|changer/ },
+  new_order:     { en: /i want to order|place an order|can i order|order now|i'?d like to order/, pt: /quero pedir|fazer um pedido|quero encomendar/, fr: /je voudrais commander|passer (une )?commande|je veux commander/ },
+  cancel:        { en: /cancel/, pt: /cancelar|anular/, fr: /annuler/ },
+  order_status:  { en: /status|where is my order|my order|when will it arrive|has it left/, pt: /meu pedido|onde esta|quando chega|estado/, fr: /ma commande|ou est|quand arrive|statut/ },
+  menu:          { en: /menu|what do you (have|sell)|products|flavou?rs/, pt: /cardapio|menu|o que tem|produtos|sabores/, fr: /\bcarte\b(?! bancaire)|menu|qu'?est-ce que vous avez|produits|parfums/ },
+  price:         { en: /how much|price|cost/, pt: /quanto custa|quanto e|preco/, fr: /combien|prix|coute/ },
+  coupons:       { en: /discount|coupon|promo|code|offer/, pt: /desconto|cupom|cupao|promocao|codigo/, fr: /reduction|code promo|promo|coupon|offre/ },
+  hours:         { en: /opening hours|open|hours|closed|what time/, pt: /horario|aberto|aberta|fechado|quando abrem/, fr: /horaires?|ouvert|ferme|quand ouvrez/ },
+  delivery_zone: { en: /do you deliver|deliver to|delivery area|zone/, pt: /entregam|zona de entrega|entrega em/, fr: /livrez|zone de livraison|zone/ },
+  payment:       { en: /pay|payment|card|cash/, pt: /pagar|pagamento|cartao|dinheiro/, fr: /payer|paiement|carte bancaire|especes/ },
+  allergens:     { en: /allerg|lactose|gluten|vegan|ingredients/, pt: /alerg|lactose|gluten|vegano|ingredientes/, fr: /allerg|lactose|gluten|vegan|ingredients/ },
+  delivery_time: { en: /how long|delivery time|how fast/, pt: /quanto tempo|demora|tempo de entrega/, fr: /combien de temps|delai|temps de livraison/ },
+  min_order:     { en: /minimum order|minimum/, pt: /pedido minimo|minimo/, fr: /minimum de commande|minimum/ },
+  human:         { en: /talk to|human|person|someone|agent|help me/, pt: /falar com|pessoa|humano|atendente|ajuda/, fr: /parler a|humain|quelqu'?un|personne|aide/ },
+  thanks:        { en: /thanks|thank you|great|delicious|loved it/, pt: /obrigad|otimo|delicioso|adorei/, fr: /merci|genial|delicieux|super/ },
+  greeting:      { en: /^(hi|hello|hey|good (morning|afternoon|evening))$/, pt: /^(ola|oi|bom dia|boa tarde|boa noite)$/, fr: /^(bonjour|salut|bonsoir|coucou)$/ },
+}
+
+const TEMPLATES = {
+  es: {
+    'state.pending':    '⏳ Recibido, pendiente de confirmar',
+    'state.preparing':  '👨‍🍳 En preparación',
+    'state.ready':      '✅ Listo para entregar',
+    'state.delivering': '🛵 En camino hacia ti',
+    'state.delivered':  '🎉 Entregado',
+    'state.cancelled':  '❌ Cancelado',
+    'tip.pending':      'Lo hemos recibido y lo gestionamos en breve. Te avisamos cuando avance 👍',
+    'tip.preparing':    '¡Estamos preparándolo ahora mismo! En unos minutos sale 🛵',
+    'tip.ready':        'Ya está listo y esperando al repartidor. ¡Enseguida en camino! 🛵',
+    'tip.delivering':   '¡Tu repartidor ya está en camino! En breve llega a tu puerta 🍓',
+    'tip.delivered':    '¡Esperamos que lo hayas disfrutado! Si quieres repetir, ya sabes 😄',
+    'tip.cancelled':    'El pedido fue cancelado. Para hacer uno nuevo visita la web 👇',
+
+    'label.closed_hours':  'hacer un pedido',
+    'label.order_lookup':  'consultar un pedido',
+    'label.complaint':     'poner una queja',
+    'label.modify_order':  'cambiar tu pedido',
+    'label.new_order':     'hacer un pedido',
+    'label.cancel':        'cancelar tu pedido',
+    'label.order_status':  'ver el estado de tu pedido',
+    'label.menu':          'ver el menú',
+    'label.price':         'saber los precios',
+    'label.coupons':       'ver las promociones',
+    'label.hours':         'nuestro horario',
+    'label.delivery_zone': 'la zona de reparto',
+    'label.payment':       'las formas de pago',
+    'label.allergens':     'alérgenos e ingredientes',
+    'label.delivery_time': 'el tiempo de entrega',
+    'label.min_order':     'el pedido mínimo',
+    'label.human':         'hablar con el equipo',
+
+    'language.switched': '👍 Perfecto, a partir de ahora te escribo en español.',
+    'language.options':  '🌍 Escribe el idioma que prefieras: *español*, *English*, *português* o *français*.',
+
+    'items.title': '🛒 *Productos:*',
+    'items.more':  '  _...y {{count}} más_',
+    'menu.combos':   '*🎁 Combos:*',
+    'menu.products': '*🍓 Productos:*',
+    'menu.more':     '  _...y {{count}} productos más en la web_',
+    'price.from':    'desde {{price}}',
+
+    'price.item':       '💰 {{emoji}} *{{name}}* — {{price}}\n\n👉 *{{web}}/menu*',
+    'suggest.question': '🤔 ¿Te refieres a {{what}}?\n\nResponde *Sí* o escríbelo de otra forma 😊',
+    'suggest.rejected': 'Vale 😊 ¿Me lo escribes de otra forma? O escribe *"hablar"* y te atiende el equipo.',
+
+    'cancel_confirm.not_found': '❌ No encontré tu pedido. Escribe *"hablar"* y te ayudamos.',
+    'cancel_confirm.too_late':  '⚠️ *Ya no podemos cancelar el pedido #{{order_number}}.*\n\nEstado actual: *{{state}}*\n{{tip}}\n\nSi hay algún problema al recibirlo escribe *"queja"* 🙏',
+    'cancel_confirm.done':      '✅ *Pedido #{{order_number}} cancelado.*\n\nCuando quieras volver, aquí estamos 🍓',
+    'cancel_confirm.failed':    '❌ Hubo un problema al cancelar. Escribe *"hablar"* y lo resolvemos.',
+    'cancel_confirm.kept':      '✅ ¡Perfecto! Tu pedido sigue activo. ¿En qué más te ayudo? 😊',
+    'cancel_confirm.ask':       'Responde *Sí* para cancelar o *No* para mantener el pedido.',
+
+    'fallback': '👋 Soy el asistente de *CarmoCream* 🍓\n\nPara ver el menú y pedir:\n👉 *{{web}}/menu*\n\nTambién puedo ayudarte con:\n• *"menú"* — Productos y precios\n• *"mi pedido"* — Estado en tiempo real\n• *"cancelar"* — Cancelar pedido\n• *"horario"* — Cuándo estamos abiertos\n• *"zona"* — Zona de reparto\n• *"hablar"* — Hablar con el equipo\n\n_CarmoCream · Carmona · Sin Lactosa_ 🍓',
+
+    'closed.reply':  '🕐 Ahora mismo estamos cerrados{{reason}}.\n\n{{hours}}\n\n{{reopen}} — puedes ver el menú ya:\n👉 *{{web}}/menu*\n\n¡Hasta pronto! 🍓',
+    'closed.reason': ' por {{reason}}',
+    'reopen.at':     'Abrimos {{when}}',
+    'reopen.unknown': 'Aún no tenemos fecha de apertura',
+    'hours.reply':      '🕐 *Horario CarmoCream*\n\n{{hours}}\n\n{{now}}\n\n👉 *{{web}}/menu*',
+    'hours.open_now':   '🟢 *Ahora estamos abiertos* hasta las {{closes}} 🍓',
+    'hours.closed_now': '🔴 Ahora estamos cerrados{{reason}}. {{reopen}}.',
+    'hours.upcoming':   '*Próximos días:*',
+
+    'order_lookup.found': '📋 *Pedido #{{order_number}}*\n\nEstado: *{{state}}*{{arrival}}\n💰 Total: {{total}}{{items}}\n\n{{tip}}',
+    'complaint.reply':    '😔 Sentimos mucho el problema.\n\nHemos notificado al equipo y alguien te contactará *en menos de 30 minutos*.\n\nSi es urgente escribe *"hablar"* 🙏',
+    'modify.none':        '❓ No encontré ningún pedido activo.\n\nPara hacer uno:\n👉 *{{web}}/menu*',
+    'modify.too_late':    '⚠️ El pedido *#{{order_number}}* ya está en *{{state}}* y no se puede modificar.\n\nSi hay un problema al recibirlo escribe *"queja"* 🙏',
+    'modify.received':    '✏️ Recibida tu solicitud para el pedido *#{{order_number}}*.\nHemos avisado al equipo. Te confirmamos en breve 🙏',
+    'new_order.web':      '🍓 ¡Perfecto! Haz tu pedido aquí:\n👉 *{{web}}/menu*\n\nEntrega en *20–35 min*{{fee}}{{min}}\n\n_Pago en efectivo al repartidor._',
+    'new_order.fee':      ' · Envío: {{fee}}',
+    'new_order.free':     ' · Envío gratis',
+    'new_order.min':      '\n\nPedido mínimo: *{{min}}*',
+    'cancel.none':        '❌ No encontré pedidos activos en tu número.\n\nSi crees que es un error, escribe *"hablar"* 🙏',
+    'cancel.already':     'ℹ️ Tu pedido *#{{order_number}}* ya estaba cancelado.',
+    'cancel.too_late':    '⚠️ *Lo sentimos, el pedido #{{order_number}} ya no se puede cancelar.*\n\nEstado: *{{state}}*\n{{tip}}\n\nSi hay algún problema escribe *"queja"* 🙏',
+    'cancel.ask':         '⚠️ *¿Seguro que quieres cancelar?*\n\nPedido *#{{order_number}}* · {{total}}\nEstado: {{state}}{{items}}\n\nResponde *Sí* para cancelar o *No* para mantenerlo.',
+    'status.none':        '📋 No encontré pedidos activos en tu número.\n\nSi acabas de pedir, puede tardar unos segundos. Inténtalo de nuevo en un momento 😊\n\n¿Quieres hacer uno?\n👉 *{{web}}/menu*',
+    'status.found':       '📋 *Pedido #{{order_number}}*\n\n🕐 Realizado a las: *{{time}}*\n💰 Total: *{{total}}*\n📦 Estado: *{{state}}*{{arrival}}{{items}}\n\n{{tip}}\n\n_Si necesitas ayuda escribe *"hablar"* 🙏_',
+    'notify.status':      '🔔 *Pedido #{{order_number}}*: {{state}}{{arrival}}\n\n{{tip}}\n\n_¿Dudas? Escribe *"mi pedido"* o *"hablar"*_',
+    'notify.confirmation': '✅ *¡Pedido #{{order_number}} recibido!*{{items}}\n\n💰 Total: *{{total}}* {{delivery}}\n📍 {{address}}\n⏱️ Llegada estimada: *{{eta}}*\n\n{{actions}}',
+    'notify.delivery_fee': '(envío {{fee}} incluido)',
+    'notify.delivery_free': '(envío gratis)',
+    'notify.eta':         '{{from}}–{{to}} min, sobre las {{time}}',
+    'eta.arrival':        '\n🕒 Llega aprox. a las *{{time}}*',
+    'notify.actions_cancel': '¿Algo no está bien? Mientras no empecemos a prepararlo puedes responder *cancelar*. Para cualquier otra cosa, *hablar* 🙋',
+    'notify.actions':     '¿Necesitas algo? Responde *hablar* y te atiende el equipo 🙋',
+    'menu.empty':         'Puedes ver el menú completo en:\n👉 *{{web}}/menu*',
+    'menu.reply':         '🍓 *Menú CarmoCream* — Todo Sin Lactosa\n\n{{list}}\n\n👉 *{{web}}/menu*\n\n¿Te apetece algo? 😋',
+    'price.empty':        'Todos los precios en:\n👉 *{{web}}/menu*',
+    'price.list':         '💰 *Precios:*\n\n{{list}}\n\n👉 *{{web}}/menu* 🛒',
+    'coupons.none':       'Ahora mismo no hay promociones activas 😊\nSíguenos en Instagram:\n👉 *{{instagram}}*\n\n{{web}}/menu',
+    'coupons.line':       '🎟️ *{{code}}* — {{value}} descuento{{min}}',
+    'coupons.min':        ' (mín. {{min}})',
+    'coupons.reply':      '🎟️ *Promociones activas:*\n\n{{list}}\n\nAplícalos al pedir en:\n👉 *{{web}}/menu* 🛒',
+    'delivery_zone.reply': '🛵 *Zona de reparto:*\n\nRepartimos por *Carmona* y alrededores.\n\nSi no estás seguro/a de si llegamos a tu zona, dinos la dirección y te confirmamos 😊\n\n👉 *{{web}}/menu*',
+    'zone.ask':           '🛵 Dime tu dirección (calle y número) o mándanos tu *ubicación* 📍 y te digo si llegamos y cuánto cuesta el envío.',
+    'zone.inside':        '✅ *¡Sí llegamos!* Zona *{{zone}}*\n\n🛵 Envío: *{{fee}}*{{minimum}}\n\n👉 *{{web}}/menu*',
+    'zone.minimum':       '\n🛒 Pedido mínimo: *{{min}}*',
+    'zone.free':          'gratis',
+    'zone.outside':       '😔 Lo sentimos, esa dirección queda fuera de nuestra zona de reparto.\n\nSi quieres, escribe *"hablar"* y lo vemos con el equipo 🙏',
+    'zone.not_found':     '🤔 No encuentro esa dirección. ¿Puedes mandarnos tu *ubicación* 📍 (clip → Ubicación) o escribirla con calle y número?',
+    'payment.reply':      '💵 *Formas de pago:*\n\n💵 Efectivo al repartidor\n📲 Bizum\n💳 Tarjeta\n\n👉 *{{web}}/menu*',
+    'allergens.reply':    '🌿 *CarmoCream — 100% Sin Lactosa*\n\nTodos nuestros productos son sin lactosa.\n\nSi tienes otra alergia específica escribe *"hablar"* 🙏',
+    'delivery_time.reply': '⏱️ Ahora mismo tardamos unos *{{from}}–{{to}} min*: si pides ya, llega aprox. a las *{{time}}* 🛵\n\n👨‍🍳 Pedidos en cocina: {{count}}\n\n👉 *{{web}}/menu*',
+    'min_order.yes':      '📦 El pedido mínimo es de *{{min}}*\n\n👉 *{{web}}/menu*',
+    'min_order.none':     '📦 ¡No tenemos pedido mínimo! 🎉\n\n👉 *{{web}}/menu*',
+    'human.reply':        '¡Claro! 🙋 He notificado al equipo.\n\nAlguien te responderá en este chat en unos minutos.\n\n¿Hay algo más en lo que pueda ayudarte mientras? 😊',
+    'thanks.reply':       '🍓 ¡Muchísimas gracias! Nos alegra saberlo.\n\nSi tienes un momento, una reseña nos ayuda a crecer:\n👉 {{review}}\n\n¡Hasta pronto! *{{instagram}}*',
+    'greeting.returning': '¡Hola {{name}}! 🍓 ¡Qué alegría verte de nuevo!\n\n¿Hacemos tu pedido de siempre o quieres ver las novedades?\n👉 *{{web}}/menu*\n\nEscríbeme si necesitas cualquier cosa 😊',
+    'greeting.returning_anon': '¡Hola! 🍓 ¡Qué alegría verte de nuevo!\n\n¿Hacemos tu pedido de siempre o quieres ver las novedades?\n👉 *{{web}}/menu*\n\nEscríbeme si necesitas cualquier cosa 😊',
+    'review.request':     '🍓 ¡Hola {{name}}! Esperamos que hayas disfrutado tu pedido *#{{order_number}}* de CarmoCream.\n\nSi tienes un momento, deja tu valoración:\n👉 {{review}}\n\n¡Hasta pronto! 🙏 *{{instagram}}*',
+    'greeting.new':       '¡Hola! 👋 Bienvenido/a a *CarmoCream* 🍓\nPostres artesanales 100% Sin Lactosa · Carmona\n\nPuedo ayudarte con:\n🛒 *"menú"* — Ver productos y precios\n📋 *"mi pedido"* — Estado en tiempo real\n❌ *"cancelar"* — Cancelar tu pedido\n🕐 *"horario"* — Cuándo estamos abiertos\n💬 *"hablar"* — Atención personal\n\nO pide directamente:\n👉 *{{web}}/menu*',
+
+    'order.start':        '🍓 ¡Vamos con tu pedido! ¿Qué te apetece? Escribe el *número* o el nombre:\n\n{{catalog}}\n\n_Escribe *cancelar* en cualquier momento para dejarlo. Si prefieres la web: {{web}}/menu_',
+    'order.catalog_more': '_...y más en la web: {{web}}/menu_',
+    'order.suggest':      '🤔 ¿Te refieres a *{{name}}*? Responde *Sí* o escribe otro.',
+    'order.not_found':    'No lo encuentro 😅 Escribe el *número* del menú:\n\n{{catalog}}',
+    'order.cart_full':    'Tu pedido ya tiene {{max}} productos distintos. Escribe *listo* para terminar.',
+    'order.size':         '{{emoji}} *{{name}}* — ¿qué tamaño?\n\n{{list}}',
+    'order.size_invalid': 'Responde con el número del tamaño (1–{{max}}) 🙏',
+    'order.size.small':   'Pequeño',
+    'order.size.medium':  'Mediano',
+    'order.size.large':   'Grande',
+    'order.qty':          '¿Cuántos *{{name}}*{{size}} quieres? (1–{{max}})',
+    'order.qty_invalid':  'Escribe solo el número, del 1 al {{max}} 🙏',
+    'order.cart':         '🛒 *Tu pedido:*\n{{lines}}\n*Subtotal: {{subtotal}}*',
+    'order.more':         '{{cart}}\n\n¿Algo más? Escribe otro número o nombre del menú, *quitar 2* para borrar una línea, o *listo* para terminar.',
+    'order.no_line':      'No hay línea {{line}} en tu pedido.',
+    'order.empty':        'Pedido vacío. ¿Qué te apetece?\n\n{{catalog}}',
+    'order.min':          '📦 El pedido mínimo es de *{{min}}* y llevas {{subtotal}}. Te faltan *{{missing}}*: añade algo más 😊\n\n{{catalog}}',
+    'order.name_last':    '¿A nombre de *{{name}}*? Responde *Sí* o escribe otro nombre.',
+    'order.name':         '👤 ¿A qué nombre va el pedido?',
+    'order.name_invalid': 'Escríbeme tu nombre, por favor 🙏',
+    'order.address_last': '📍 ¿Lo llevamos a *{{address}}*? Responde *Sí* o escribe la dirección (calle, número, piso).',
+    'order.address':      '📍 ¿A qué dirección lo llevamos? (calle, número, piso)',
+    'order.address_outside': '😔 A *{{address}}* no llegamos, queda fuera de nuestra zona de reparto. Escribe otra dirección o *cancelar* para dejarlo.',
+    'order.address_invalid': 'Necesito la dirección completa: calle, número y piso si hay 🙏',
+    'order.coupon':       '🎟️ ¿Tienes un código de descuento? Escríbelo, o responde *no*.',
+    'order.coupon_unknown': '❌ El código *{{code}}* no existe o ha caducado. Prueba otro o responde *no*.',
+    'order.coupon_min':   '⚠️ *{{code}}* es para pedidos desde {{min}} (llevas {{subtotal}}). Prueba otro o responde *no*.',
+    'order.coupon_below_min': '⚠️ Con *{{code}}* el pedido se queda en {{subtotal}} y el mínimo es *{{min}}* (después del descuento). Prueba otro o responde *no* para seguir sin cupón.',
+    'order.summary':      '📝 *Resumen del pedido*\n\n{{cart}}\n{{discount}}🛵 Envío: {{fee}}\n💰 *Total: {{total}}*\n\n👤 {{name}}\n📍 {{address}}\n💵 Pago en efectivo al repartidor\n\nResponde *Sí* para confirmar o *cancelar* para dejarlo.',
+    'order.summary_discount': '🎟️ Cupón *{{code}}*: -{{discount}}\n',
+    'order.free':         'gratis',
+    'order.confirm':      'Responde *Sí* para confirmar el pedido o *cancelar* para dejarlo.',
+    'order.closed':       '🕐 Lo sentimos, acabamos de cerrar y ya no podemos aceptar el pedido. ¡Te esperamos en el próximo turno! 🍓',
+    'order.created':      '✅ *¡Pedido #{{order_number}} recibido!*\n\n💰 Total: *{{total}}* (efectivo al repartidor)\n📍 {{address}}\n⏱️ Llegada estimada: *{{eta}}*\n\nTe avisamos cuando salga. Escribe *"mi pedido"* para ver cómo va 🍓',
+    'order.failed':       '❌ No hemos podido guardar el pedido. Inténtalo en un momento o pídelo en la web:\n👉 *{{web}}/menu*',
+    'order.aborted':      '👌 Pedido cancelado, no se ha guardado nada. ¡Cuando quieras! 🍓',
+
+    'admin.complaint':    '🚨 *QUEJA — CarmoCream*\n\n📞 {{phone}}\n💬 "{{message}}"\n\n👉 Responde */tomar {{phone}}* para llevarlo tú',
+    'admin.modify':       '✏️ *MODIFICACIÓN — CarmoCream*\n\n📞 {{phone}} · #{{order_number}}\n💬 "{{message}}"\n\n👉 Responde */tomar {{phone}}* para llevarlo tú',
+    'admin.human':        '🙋 *ATENCIÓN HUMANA — CarmoCream*\n\n📞 {{phone}}\n💬 "{{message}}"\n\n👉 Responde */tomar {{phone}}* para llevarlo tú',
+  },
+
+  en: {
+    'state.pending':    '⏳ Received, waiting for confirmation',
+    'state.preparing':  '👨‍🍳 Being prepared',
+    'state.ready':      '✅ Ready for delivery',
+    'state.delivering': '🛵 On its way to you',
+    'state.delivered':  '🎉 Delivered',
+    'state.cancelled':  '❌ Cancelled',
+    'tip.pending':      'We have it and will handle it shortly. We will let you know when it moves 👍',
+    'tip.preparing':    'We are preparing it right now! It leaves in a few minutes 🛵',
+    'tip.ready':        'It is ready and waiting for the rider. On its way very soon! 🛵',
+    'tip.delivering':   'Your rider is on the way! It will be at your door shortly 🍓',
+    'tip.delivered':    'We hope you enjoyed it! You know where to find us 😄',
+    'tip.cancelled':    'The order was cancelled. To place a new one visit our website 👇',
+
+    'label.closed_hours':  'placing an order',
+    'label.order_lookup':  'looking up an order',
+    'label.complaint':     'making a complaint',
+    'label.modify_order':  'changing your order',
+    'label.new_order':     'placing an order',
+    'label.cancel':        'cancelling your order',
+    'label.order_status':  'your order status',
+    'label.menu':          'our menu',
+    'label.price':         'prices',
+    'label.coupons':       'current promotions',
+    'label.hours':         'our opening hours',
+    'label.delivery_zone': 'the delivery area',
+    'label.payment':       'payment methods',
+    'label.allergens':     'allergens and ingredients',
+    'label.delivery_time': 'delivery time',
+    'label.min_order':     'the minimum order',
+    'label.human':         'talking to our team',
+
+    'language.switched': '👍 Great, I will write to you in English from now on.',
+    'language.options':  '🌍 Type the language you prefer: *español*, *English*, *português* or *français*.',
+
+    'items.title':   '🛒 *Items:*',
+    'items.more':    '  _...and {{count}} more_',
+    'menu.combos':   '*🎁 Combos:*',
+    'menu.products': '*🍓 Products:*',
+    'menu.more':     '  _...and {{count}} more products on the website_',
+    'price.from':    'from {{price}}',
+
+    'price.item':       '💰 {{emoji}} *{{name}}* — {{price}}\n\n👉 *{{web}}/menu*',
+    'suggest.question': '🤔 Did you mean {{what}}?\n\nReply *Yes* or write it another way 😊',
+    'suggest.rejected': 'OK 😊 Could you write it another way? Or type *"human"* to talk to our team.',
+
+    'cancel_confirm.not_found': '❌ I could not find your order. Type *"human"* and we will help you.',
+    'cancel_confirm.too_late':  '⚠️ *We can no longer cancel order #{{order_number}}.*\n\nCurrent status: *{{state}}*\n{{tip}}\n\nIf there is a problem when it arrives, type *"complaint"* 🙏',
+    'cancel_confirm.done':      '✅ *Order #{{order_number}} cancelled.*\n\nWe are here whenever you want to come back 🍓',
+    'cancel_confirm.failed':    '❌ Something went wrong while cancelling. Type *"human"* and we will sort it out.',
+    'cancel_confirm.kept':      '✅ Great! Your order is still active. Anything else I can help with? 😊',
+    'cancel_confirm.ask':       'Reply *Yes* to cancel or *No* to keep the order.',
+
+    'fallback': '👋 I am the *CarmoCream* assistant 🍓\n\nTo see the menu and order:\n👉 *{{web}}/menu*\n\nI can also help with:\n• *"menu"* — Products and prices\n• *"my order"* — Live status\n• *"cancel"* — Cancel an order\n• *"hours"* — When we are open\n• *"delivery"* — Delivery area\n• *"human"* — Talk to our team\n\n_CarmoCream · Carmona · Lactose free_ 🍓',
+
+    'closed.reply':  '🕐 We are closed right now{{reason}}.\n\n{{hours}}\n\n{{reopen}} — you can already check the menu:\n👉 *{{web}}/menu*\n\nSee you soon! 🍓',
+    'closed.reason': ' ({{reason}})',
+    'reopen.at':     'We open {{when}}',
+    'reopen.unknown': 'We do not have a reopening date yet',
+    'hours.reply':      '🕐 *CarmoCream opening hours*\n\n{{hours}}\n\n{{now}}\n\n👉 *{{web}}/menu*',
+    'hours.open_now':   '🟢 *We are open now* until {{closes}} 🍓',
+    'hours.closed_now': '🔴 We are closed right now{{reason}}. {{reopen}}.',
+    'hours.upcoming':   '*Coming days:*',
+
+    'order_lookup.found': '📋 *Order #{{order_number}}*\n\nStatus: *{{state}}*{{arrival}}\n💰 Total: {{total}}{{items}}\n\n{{tip}}',
+    'complaint.reply':    '😔 We are really sorry about the problem.\n\nWe have told the team and someone will contact you *within 30 minutes*.\n\nIf it is urgent type *"human"* 🙏',
+    'modify.none':        '❓ I could not find any active order.\n\nTo place one:\n👉 *{{web}}/menu*',
+    'modify.too_late':    '⚠️ Order *#{{order_number}}* is already *{{state}}* and cannot be changed.\n\nIf there is a problem when it arrives, type *"complaint"* 🙏',
+    'modify.received':    '✏️ We got your request for order *#{{order_number}}*.\nThe team has been notified. We will confirm shortly 🙏',
+    'new_order.web':      '🍓 Great! Place your order here:\n👉 *{{web}}/menu*\n\nDelivery in *20–35 min*{{fee}}{{min}}\n\n_Cash payment to the rider._',
+    'new_order.fee':      ' · Delivery: {{fee}}',
+    'new_order.free':     ' · Free delivery',
+    'new_order.min':      '\n\nMinimum order: *{{min}}*',
+    'cancel.none':        '❌ I could not find any active order for your number.\n\nIf you think this is a mistake, type *"human"* 🙏',
+    'cancel.already':     'ℹ️ Your order *#{{order_number}}* was already cancelled.',
+    'cancel.too_late':    '⚠️ *Sorry, order #{{order_number}} can no longer be cancelled.*\n\nStatus: *{{state}}*\n{{tip}}\n\nIf there is a problem type *"complaint"* 🙏',
+    'cancel.ask':         '⚠️ *Are you sure you want to cancel?*\n\nOrder *#{{order_number}}* · {{total}}\nStatus: {{state}}{{items}}\n\nReply *Yes* to cancel or *No* to keep it.',
+    'status.none':        '📋 I could not find any active order for your number.\n\nIf you just ordered it can take a few seconds. Try again in a moment 😊\n\nWant to place one?\n👉 *{{web}}/menu*',
+    'status.found':       '📋 *Order #{{order_number}}*\n\n🕐 Placed at: *{{time}}*\n💰 Total: *{{total}}*\n📦 Status: *{{state}}*{{arrival}}{{items}}\n\n{{tip}}\n\n_If you need help type *"human"* 🙏_',
+    'notify.status':      '🔔 *Order #{{order_number}}*: {{state}}{{arrival}}\n\n{{tip}}\n\n_Questions? Type *"my order"* or *"human"*_',
+    'notify.confirmation': '✅ *Order #{{order_number}} received!*{{items}}\n\n💰 Total: *{{total}}* {{delivery}}\n📍 {{address}}\n⏱️ Estimated arrival: *{{eta}}*\n\n{{actions}}',
+    'notify.delivery_fee': '(delivery {{fee}} included)',
+    'notify.delivery_free': '(free delivery)',
+    'notify.eta':         '{{from}}–{{to}} min, around {{time}}',
+    'eta.arrival':        '\n🕒 Arrives around *{{time}}*',
+    'notify.actions_cancel': 'Something wrong? Until we start preparing it you can reply *cancel*. For anything else, *human* 🙋',
+    'notify.actions':     'Need anything? Reply *human* and the team will help you 🙋',
+    'menu.empty':         'You can see the full menu at:\n👉 *{{web}}/menu*',
+    'menu.reply':         '🍓 *CarmoCream menu* — All lactose free\n\n{{list}}\n\n👉 *{{web}}/menu*\n\nFancy something? 😋',
+    'price.empty':        'All prices at:\n👉 *{{web}}/menu*',
+    'price.list':         '💰 *Prices:*\n\n{{list}}\n\n👉 *{{web}}/menu* 🛒',
+    'coupons.none':       'There are no active promotions right now 😊\nFollow us on Instagram:\n👉 *{{instagram}}*\n\n{{web}}/menu',
+    'coupons.line':       '🎟️ *{{code}}* — {{value}} off{{min}}',
+    'coupons.min':        ' (min. {{min}})',
+    'coupons.reply':      '🎟️ *Active promotions:*\n\n{{list}}\n\nUse them when ordering at:\n👉 *{{web}}/menu* 🛒',
+    'delivery_zone.reply': '🛵 *Delivery area:*\n\nWe deliver in *Carmona* and the surrounding area.\n\nIf you are not sure we reach you, send us the address and we will confirm 😊\n\n👉 *{{web}}/menu*',
+    'zone.ask':           '🛵 Tell me your address (street and number) or send us your *location* 📍 and I will tell you if we deliver there and the delivery fee.',
+    'zone.inside':        '✅ *Yes, we deliver there!* Zone *{{zone}}*\n\n🛵 Delivery: *{{fee}}*{{minimum}}\n\n👉 *{{web}}/menu*',
+    'zone.minimum':       '\n🛒 Minimum order: *{{min}}*',
+    'zone.free':          'free',
+    'zone.outside':       '😔 Sorry, that address is outside our delivery area.\n\nIf you like, type *"human"* and we will check with the team 🙏',
+    'zone.not_found':     '🤔 I cannot find that address. Could you send us your *location* 📍 (clip → Location) or write it with street and number?',
+    'payment.reply':      '💵 *Payment methods:*\n\n💵 Cash to the rider\n📲 Bizum\n💳 Card\n\n👉 *{{web}}/menu*',
+    'allergens.reply':    '🌿 *CarmoCream — 100% lactose free*\n\nAll our products are lactose free.\n\nIf you have any other allergy type *"human"* 🙏',
+    'delivery_time.reply': '⏱️ Right now it takes about *{{from}}–{{to}} min*: order now and it arrives around *{{time}}* 🛵\n\n👨‍🍳 Orders in the kitchen: {{count}}\n\n👉 *{{web}}/menu*',
+    'min_order.yes':      '📦 The minimum order is *{{min}}*\n\n👉 *{{web}}/menu*',
+    'min_order.none':     '📦 There is no minimum order! 🎉\n\n👉 *{{web}}/menu*',
+    'human.reply':        'Of course! 🙋 I have notified the team.\n\nSomeone will reply in this chat in a few minutes.\n\nAnything else I can help with meanwhile? 😊',
+    'thanks.reply':       '🍓 Thank you so much! We are glad to hear it.\n\nIf you have a moment, a review helps us grow:\n👉 {{review}}\n\nSee you soon! *{{instagram}}*',
+    'greeting.returning': 'Hi {{name}}! 🍓 Great to see you again!\n\nShall we do your usual order or do you want to see what is new?\n👉 *{{web}}/menu*\n\nWrite to me if you need anything 😊',
+    'greeting.returning_anon': 'Hi! 🍓 Great to see you again!\n\nShall we do your usual order or do you want to see what is new?\n👉 *{{web}}/menu*\n\nWrite to me if you need anything 😊',
+    'review.request':     '🍓 Hi {{name}}! We hope you enjoyed your CarmoCream order *#{{order_number}}*.\n\nIf you have a moment, please leave a review:\n👉 {{review}}\n\nSee you soon! 🙏 *{{instagram}}*',
+    'greeting.new':       'Hi! 👋 Welcome to *CarmoCream* 🍓\nHandmade desserts, 100% lactose free · Carmona\n\nI can help with:\n🛒 *"menu"* — Products and prices\n📋 *"my order"* — Live status\n❌ *"cancel"* — Cancel your order\n🕐 *"hours"* — When we are open\n💬 *"human"* — Talk to a person\n\nOr order directly:\n👉 *{{web}}/menu*',
+
+    'order.start':        '🍓 Let\'s do your order! What would you like? Type the *number* or the name:\n\n{{catalog}}\n\n_Type *cancel* at any time to stop. If you prefer the website: {{web}}/menu_',
+    'order.catalog_more': '_...and more on the website: {{web}}/menu_',
+    'order.suggest':      '🤔 Did you mean *{{name}}*? Reply *Yes* or type another one.',
+    'order.not_found':    'I cannot find that 😅 Type the menu *number*:\n\n{{catalog}}',
+    'order.cart_full':    'Your order already has {{max}} different items. Type *done* to finish.',
+    'order.size':         '{{emoji}} *{{name}}* — which size?\n\n{{list}}',
+    'order.size_invalid': 'Reply with the size number (1–{{max}}) 🙏',
+    'order.size.small':   'Small',
+    'order.size.medium':  'Medium',
+    'order.size.large':   'Large',
+    'order.qty':          'How many *{{name}}*{{size}} would you like? (1–{{max}})',
+    'order.qty_invalid':  'Just type the number, from 1 to {{max}} 🙏',
+    'order.cart':         '🛒 *Your order:*\n{{lines}}\n*Subtotal: {{subtotal}}*',
+    'order.more':         '{{cart}}\n\nAnything else? Type another menu number or name, *remove 2* to delete a line, or *done* to finish.',
+    'order.no_line':      'There is no line {{line}} in your order.',
+    'order.empty':        'Your order is empty. What would you like?\n\n{{catalog}}',
+    'order.min':          '📦 The minimum order is *{{min}}* and you have {{subtotal}}. You need *{{missing}}* more: add something else 😊\n\n{{catalog}}',
+    'order.name_last':    'Under the name *{{name}}*? Reply *Yes* or type another name.',
+    'order.name':         '👤 What name is the order under?',
+    'order.name_invalid': 'Please type your name 🙏',
+    'order.address_last': '📍 Shall we deliver to *{{address}}*? Reply *Yes* or type the address (street, number, flat).',
+    'order.address':      '📍 Where should we deliver it? (street, number, flat)',
+    'order.address_outside': '😔 We do not deliver to *{{address}}*, it is outside our delivery area. Type another address or *cancel* to drop it.',
+    'order.address_invalid': 'I need the full address: street, number and flat if any 🙏',
+    'order.coupon':       '🎟️ Do you have a discount code? Type it, or reply *no*.',
+    'order.coupon_unknown': '❌ The code *{{code}}* does not exist or has expired. Try another or reply *no*.',
+    'order.coupon_min':   '⚠️ *{{code}}* is for orders from {{min}} (you have {{subtotal}}). Try another or reply *no*.',
+    'order.coupon_below_min': '⚠️ With *{{code}}* the order comes to {{subtotal}} and the minimum is *{{min}}* (after the discount). Try another or reply *no* to go on without a code.',
+    'order.summary':      '📝 *Order summary*\n\n{{cart}}\n{{discount}}🛵 Delivery: {{fee}}\n💰 *Total: {{total}}*\n\n👤 {{name}}\n📍 {{address}}\n💵 Cash payment to the rider\n\nReply *Yes* to confirm or *cancel* to drop it.',
+    'order.summary_discount': '🎟️ Code *{{code}}*: -{{discount}}\n',
+    'order.free':         'free',
+    'order.confirm':      'Reply *Yes* to confirm the order or *cancel* to drop it.',
+    'order.closed':       '🕐 Sorry, we have just closed and cannot take the order any more. See you next opening! 🍓',
+    'order.created':      '✅ *Order #{{order_number}} received!*\n\n💰 Total: *{{total}}* (cash to the rider)\n📍 {{address}}\n⏱️ Estimated arrival: *{{eta}}*\n\nWe will let you know when it leaves. Type *"my order"* to follow it 🍓',
+    'order.failed':       '❌ We could not save the order. Try again in a moment or order on the website:\n👉 *{{web}}/menu*',
+    'order.aborted':      '👌 Order cancelled, nothing was saved. Whenever you like! 🍓',
+  },
+
+  pt: {
+    'state.pending':    '⏳ Recebido, a aguardar confirmação',
+    'state.preparing':  '👨‍🍳 Em preparação',
+    'state.ready':      '✅ Pronto para entregar',
+    'state.delivering': '🛵 A caminho',
+    'state.delivered':  '🎉 Entregue',
+    'state.cancelled':  '❌ Cancelado',
+    'tip.pending':      'Já o recebemos e tratamos dele em breve. Avisamos quando avançar 👍',
+    'tip.preparing':    'Estamos a prepará-lo agora mesmo! Sai em poucos minutos 🛵',
+    'tip.ready':        'Está pronto à espera do estafeta. Já a caminho! 🛵',
+    'tip.delivering':   'O estafeta já está a caminho! Chega em breve 🍓',
+    'tip.delivered':    'Esperamos que tenha gostado! Quando quiser repetir, já sabe 😄',
+    'tip.cancelled':    'O pedido foi cancelado. Para fazer outro visite o site 👇',
+
+    'label.new_order':     'fazer um pedido',
+    'label.closed_hours':  'fazer um pedido',
+    'label.cancel':        'cancelar o seu pedido',
+    'label.order_status':  'o estado do seu pedido',
+    'label.menu':          'ver o menu',
+    'label.price':         'os preços',
+    'label.hours':         'o nosso horário',
+    'label.delivery_zone': 'a zona de entrega',
+    'label.payment':       'as formas de pagamento',
+    'label.human':         'falar com a equipa',
+
+    'language.switched': '👍 Perfeito, a partir de agora escrevo-lhe em português.',
+    'language.options':  '🌍 Escreva o idioma que prefere: *español*, *English*, *português* ou *français*.',
+
+    'items.title':   '🛒 *Produtos:*',
+    'items.more':    '  _...e mais {{count}}_',
+    'menu.combos':   '*🎁 Combos:*',
+    'menu.products': '*🍓 Produtos:*',
+    'menu.more':     '  _...e mais {{count}} produtos no site_',
+    'price.from':    'desde {{price}}',
+
+    'suggest.question': '🤔 Quer dizer {{what}}?\n\nResponda *Sim* ou escreva de outra forma 😊',
+    'suggest.rejected': 'Ok 😊 Pode escrever de outra forma? Ou escreva *"falar"* para falar com a equipa.',
+
+    'cancel_confirm.not_found': '❌ Não encontrei o seu pedido. Escreva *"falar"* e ajudamos.',
+    'cancel_confirm.too_late':  '⚠️ *Já não podemos cancelar o pedido #{{order_number}}.*\n\nEstado atual: *{{state}}*\n{{tip}}',
+    'cancel_confirm.done':      '✅ *Pedido #{{order_number}} cancelado.*\n\nQuando quiser voltar, estamos aqui 🍓',
+    'cancel_confirm.failed':    '❌ Houve um problema ao cancelar. Escreva *"falar"* e resolvemos.',
+    'cancel_confirm.kept':      '✅ Perfeito! O seu pedido continua ativo. Posso ajudar em mais alguma coisa? 😊',
+    'cancel_confirm.ask':       'Responda *Sim* para cancelar ou *Não* para manter o pedido.',
+
+    'fallback': '👋 Sou o assistente da *CarmoCream* 🍓\n\nPara ver o menu e encomendar:\n👉 *{{web}}/menu*\n\nTambém posso ajudar com:\n• *"menu"* — Produtos e preços\n• *"meu pedido"* — Estado em tempo real\n• *"cancelar"* — Cancelar pedido\n• *"horário"* — Quando estamos abertos\n• *"entrega"* — Zona de entrega\n• *"falar"* — Falar com a equipa\n\n_CarmoCream · Carmona · Sem lactose_ 🍓',
+
+    'closed.reply':  '🕐 Neste momento estamos fechados{{reason}}.\n\n{{hours}}\n\n{{reopen}} — já pode ver o menu:\n👉 *{{web}}/menu*\n\nAté breve! 🍓',
+    'closed.reason': ' ({{reason}})',
+    'reopen.at':     'Abrimos {{when}}',
+    'reopen.unknown': 'Ainda não temos data de abertura',
+    'hours.reply':      '🕐 *Horário CarmoCream*\n\n{{hours}}\n\n{{now}}\n\n👉 *{{web}}/menu*',
+    'hours.open_now':   '🟢 *Estamos abertos* até às {{closes}} 🍓',
+    'hours.closed_now': '🔴 Neste momento estamos fechados{{reason}}. {{reopen}}.',
+    'hours.upcoming':   '*Próximos dias:*',
+
+    'order_lookup.found': '📋 *Pedido #{{order_number}}*\n\nEstado: *{{state}}*{{arrival}}\n💰 Total: {{total}}{{items}}\n\n{{tip}}',
+    'complaint.reply':    '😔 Lamentamos muito o problema.\n\nAvisámos a equipa e alguém vai contactá-lo *em menos de 30 minutos*.',
+    'modify.none':        '❓ Não encontrei nenhum pedido ativo.\n\nPara fazer um:\n👉 *{{web}}/menu*',
+    'modify.too_late':    '⚠️ O pedido *#{{order_number}}* já está *{{state}}* e não pode ser alterado.',
+    'modify.received':    '✏️ Recebemos o seu pedido de alteração para o *#{{order_number}}*.\nA equipa foi avisada. Confirmamos em breve 🙏',
+    'new_order.web':      '🍓 Perfeito! Faça o seu pedido aqui:\n👉 *{{web}}/menu*\n\nEntrega em *20–35 min*{{fee}}{{min}}\n\n_Pagamento em dinheiro ao estafeta._',
+    'new_order.fee':      ' · Entrega: {{fee}}',
+    'new_order.free':     ' · Entrega grátis',
+    'new_order.min':      '\n\nPedido mínimo: *{{min}}*',
+    'cancel.none':        '❌ Não encontrei pedidos ativos no seu número.\n\nSe acha que é um erro, escreva *"falar"* 🙏',
+    'cancel.already':     'ℹ️ O seu pedido *#{{order_number}}* já estava cancelado.',
+    'cancel.too_late':    '⚠️ *Lamentamos, o pedido #{{order_number}} já não pode ser cancelado.*\n\nEstado: *{{state}}*\n{{tip}}',
+    'cancel.ask':         '⚠️ *Tem a certeza de que quer cancelar?*\n\nPedido *#{{order_number}}* · {{total}}\nEstado: {{state}}{{items}}\n\nResponda *Sim* para cancelar ou *Não* para manter.',
+    'status.none':        '📋 Não encontrei pedidos ativos no seu número.\n\nSe acabou de encomendar, pode demorar uns segundos 😊\n\nQuer fazer um?\n👉 *{{web}}/menu*',
+    'status.found':       '📋 *Pedido #{{order_number}}*\n\n🕐 Feito às: *{{time}}*\n💰 Total: *{{total}}*\n📦 Estado: *{{state}}*{{arrival}}{{items}}\n\n{{tip}}',
+    'notify.status':      '🔔 *Pedido #{{order_number}}*: {{state}}{{arrival}}\n\n{{tip}}',
+    'notify.confirmation': '✅ *Pedido #{{order_number}} recebido!*{{items}}\n\n💰 Total: *{{total}}* {{delivery}}\n📍 {{address}}\n⏱️ Chegada prevista: *{{eta}}*\n\n{{actions}}',
+    'notify.delivery_fee': '(entrega {{fee}} incluída)',
+    'notify.delivery_free': '(entrega grátis)',
+    'notify.eta':         '{{from}}–{{to}} min, por volta das {{time}}',
+    'eta.arrival':        '\n🕒 Chega por volta das *{{time}}*',
+    'notify.actions_cancel': 'Algo não está bem? Enquanto não começarmos a prepará-lo pode responder *cancelar*. Para outra coisa, *humano* 🙋',
+    'notify.actions':     'Precisa de algo? Responda *humano* e a equipa ajuda 🙋',
+    'menu.empty':         'Pode ver o menu completo em:\n👉 *{{web}}/menu*',
+    'menu.reply':         '🍓 *Menu CarmoCream* — Tudo sem lactose\n\n{{list}}\n\n👉 *{{web}}/menu*\n\nApetece-lhe algo? 😋',
+    'price.empty':        'Todos os preços em:\n👉 *{{web}}/menu*',
+    'price.list':         '💰 *Preços:*\n\n{{list}}\n\n👉 *{{web}}/menu* 🛒',
+    'coupons.none':       'Neste momento não há promoções ativas 😊\nSiga-nos no Instagram:\n👉 *{{instagram}}*',
+    'coupons.line':       '🎟️ *{{code}}* — {{value}} de desconto{{min}}',
+    'coupons.min':        ' (mín. {{min}})',
+    'coupons.reply':      '🎟️ *Promoções ativas:*\n\n{{list}}\n\nUse-as ao encomendar em:\n👉 *{{web}}/menu* 🛒',
+    'delivery_zone.reply': '🛵 *Zona de entrega:*\n\nEntregamos em *Carmona* e arredores.\n\nSe não tem a certeza, envie-nos a morada e confirmamos 😊',
+    'zone.ask':           '🛵 Diga-me a sua morada (rua e número) ou envie a sua *localização* 📍 e digo-lhe se entregamos aí e quanto custa a entrega.',
+    'zone.inside':        '✅ *Sim, entregamos aí!* Zona *{{zone}}*\n\n🛵 Entrega: *{{fee}}*{{minimum}}',
+    'zone.minimum':       '\n🛒 Pedido mínimo: *{{min}}*',
+    'zone.free':          'grátis',
+    'zone.outside':       '😔 Lamentamos, essa morada fica fora da nossa zona de entrega.',
+    'zone.not_found':     '🤔 Não encontro essa morada. Pode enviar a sua *localização* 📍 ou escrevê-la com rua e número?',
+    'payment.reply':      '💵 *Formas de pagamento:*\n\n💵 Dinheiro ao estafeta\n📲 Bizum\n💳 Cartão',
+    'allergens.reply':    '🌿 *CarmoCream — 100% sem lactose*\n\nTodos os nossos produtos são sem lactose.\n\nSe tem outra alergia escreva *"falar"* 🙏',
+    'delivery_time.reply': '⏱️ Neste momento demoramos cerca de *{{from}}–{{to}} min*: se encomendar já, chega por volta das *{{time}}* 🛵\n\n👨‍🍳 Pedidos na cozinha: {{count}}',
+    'min_order.yes':      '📦 O pedido mínimo é de *{{min}}*\n\n👉 *{{web}}/menu*',
+    'min_order.none':     '📦 Não temos pedido mínimo! 🎉\n\n👉 *{{web}}/menu*',
+    'human.reply':        'Claro! 🙋 Avisei a equipa.\n\nAlguém vai responder neste chat dentro de poucos minutos.',
+    'thanks.reply':       '🍓 Muito obrigado! Ficamos contentes.\n\nSe tiver um momento, uma avaliação ajuda-nos a crescer:\n👉 {{review}}\n\nAté breve! *{{instagram}}*',
+    'greeting.returning': 'Olá {{name}}! 🍓 Que bom vê-lo outra vez!\n\n👉 *{{web}}/menu*',
+    'greeting.returning_anon': 'Olá! 🍓 Que bom vê-lo outra vez!\n\n👉 *{{web}}/menu*',
+    'review.request':     '🍓 Olá {{name}}! Esperamos que tenha gostado do seu pedido *#{{order_number}}* da CarmoCream.\n\nSe tiver um momento, deixe a sua avaliação:\n👉 {{review}}\n\nAté breve! 🙏 *{{instagram}}*',
+    'greeting.new':       'Olá! 👋 Bem-vindo/a à *CarmoCream* 🍓\nSobremesas artesanais 100% sem lactose · Carmona\n\nPosso ajudar com:\n🛒 *"menu"* — Produtos e preços\n📋 *"meu pedido"* — Estado em tempo real\n❌ *"cancelar"* — Cancelar o pedido\n🕐 *"horário"* — Quando estamos abertos\n💬 *"falar"* — Atendimento pessoal\n\nOu encomende diretamente:\n👉 *{{web}}/menu*',
+
+    'order.start':        '🍓 Vamos ao seu pedido! O que lhe apetece? Escreva o *número* ou o nome:\n\n{{catalog}}\n\n_Escreva *cancelar* a qualquer momento para desistir. Se preferir o site: {{web}}/menu_',
+    'order.suggest':      '🤔 Quer dizer *{{name}}*? Responda *Sim* ou escreva outro.',
+    'order.not_found':    'Não encontro 😅 Escreva o *número* do menu:\n\n{{catalog}}',
+    'order.size':         '{{emoji}} *{{name}}* — que tamanho?\n\n{{list}}',
+    'order.size_invalid': 'Responda com o número do tamanho (1–{{max}}) 🙏',
+    'order.size.small':   'Pequeno',
+    'order.size.medium':  'Médio',
+    'order.size.large':   'Grande',
+    'order.qty':          'Quantos *{{name}}*{{size}} quer? (1–{{max}})',
+    'order.qty_invalid':  'Escreva só o número, de 1 a {{max}} 🙏',
+    'order.cart':         '🛒 *O seu pedido:*\n{{lines}}\n*Subtotal: {{subtotal}}*',
+    'order.more':         '{{cart}}\n\nMais alguma coisa? Escreva outro número ou nome, *remover 2* para apagar uma linha, ou *pronto* para terminar.',
+    'order.min':          '📦 O pedido mínimo é de *{{min}}* e leva {{subtotal}}. Faltam *{{missing}}*: junte mais alguma coisa 😊\n\n{{catalog}}',
+    'order.name_last':    'Em nome de *{{name}}*? Responda *Sim* ou escreva outro nome.',
+    'order.name':         '👤 Em que nome fica o pedido?',
+    'order.address_last': '📍 Entregamos em *{{address}}*? Responda *Sim* ou escreva a morada (rua, número, andar).',
+    'order.address':      '📍 Qual é a morada de entrega? (rua, número, andar)',
+    'order.address_outside': '😔 Não chegamos a *{{address}}*, fica fora da nossa zona de entrega. Escreva outra morada ou *cancelar* para desistir.',
+    'order.coupon':       '🎟️ Tem um código de desconto? Escreva-o, ou responda *não*.',
+    'order.summary':      '📝 *Resumo do pedido*\n\n{{cart}}\n{{discount}}🛵 Entrega: {{fee}}\n💰 *Total: {{total}}*\n\n👤 {{name}}\n📍 {{address}}\n💵 Pagamento em dinheiro ao estafeta\n\nResponda *Sim* para confirmar ou *cancelar* para desistir.',
+    'order.free':         'grátis',
+    'order.confirm':      'Responda *Sim* para confirmar o pedido ou *cancelar* para desistir.',
+    'order.created':      '✅ *Pedido #{{order_number}} recebido!*\n\n💰 Total: *{{total}}* (dinheiro ao estafeta)\n📍 {{address}}\n⏱️ Chegada prevista: *{{eta}}*\n\nAvisamos quando sair 🍓',
+    'order.aborted':      '👌 Pedido cancelado, nada foi guardado. Até breve! 🍓',
+  },
+
+  fr: {
+    'state.pending':    '⏳ Reçue, en attente de confirmation',
+    'state.preparing':  '👨‍🍳 En préparation',
+    'state.ready':      '✅ Prête à livrer',
+    'state.delivering': '🛵 En route',
+    'state.delivered':  '🎉 Livrée',
+    'state.cancelled':  '❌ Annulée',
+    'tip.pending':      'Nous l\'avons bien reçue et nous nous en occupons. Nous vous prévenons dès que ça avance 👍',
+    'tip.preparing':    'Nous la préparons en ce moment ! Elle part dans quelques minutes 🛵',
+    'tip.ready':        'Elle est prête et attend le livreur. Bientôt en route ! 🛵',
+    'tip.delivering':   'Votre livreur est en route ! Il arrive bientôt 🍓',
+    'tip.delivered':    'Nous espérons que vous avez apprécié ! À bientôt 😄',
+    'tip.cancelled':    'La commande a été annulée. Pour en passer une nouvelle, allez sur le site 👇',
+
+    'label.new_order':     'passer une commande',
+    'label.closed_hours':  'passer une commande',
+    'label.cancel':        'annuler votre commande',
+    'label.order_status':  'le suivi de votre commande',
+    'label.menu':          'voir la carte',
+    'label.price':         'les prix',
+    'label.hours':         'nos horaires',
+    'label.delivery_zone': 'la zone de livraison',
+    'label.payment':       'les moyens de paiement',
+    'label.human':         'parler à l\'équipe',
+
+    'language.switched': '👍 Parfait, je vous écris en français à partir de maintenant.',
+    'language.options':  '🌍 Écrivez la langue que vous préférez : *español*, *English*, *português* ou *français*.',
+
+    'items.title':   '🛒 *Produits :*',
+    'items.more':    '  _...et {{count}} de plus_',
+    'menu.combos':   '*🎁 Formules :*',
+    'menu.products': '*🍓 Produits :*',
+    'menu.more':     '  _...et {{count}} autres produits sur le site_',
+    'price.from':    'à partir de {{price}}',
+
+    'suggest.question': '🤔 Vous voulez dire {{what}} ?\n\nRépondez *Oui* ou écrivez-le autrement 😊',
+    'suggest.rejected': 'D\'accord 😊 Pouvez-vous l\'écrire autrement ? Ou tapez *"parler"* pour joindre l\'équipe.',
+
+    'cancel_confirm.not_found': '❌ Je ne trouve pas votre commande. Tapez *"parler"* et nous vous aidons.',
+    'cancel_confirm.too_late':  '⚠️ *Nous ne pouvons plus annuler la commande #{{order_number}}.*\n\nStatut : *{{state}}*\n{{tip}}',
+    'cancel_confirm.done':      '✅ *Commande #{{order_number}} annulée.*\n\nÀ bientôt 🍓',
+    'cancel_confirm.failed':    '❌ Un problème est survenu lors de l\'annulation. Tapez *"parler"* et nous réglons ça.',
+    'cancel_confirm.kept':      '✅ Parfait ! Votre commande est toujours active. Puis-je vous aider autrement ? 😊',
+    'cancel_confirm.ask':       'Répondez *Oui* pour annuler ou *Non* pour garder la commande.',
+
+    'fallback': '👋 Je suis l\'assistant de *CarmoCream* 🍓\n\nPour voir la carte et commander :\n👉 *{{web}}/menu*\n\nJe peux aussi vous aider avec :\n• *"carte"* — Produits et prix\n• *"ma commande"* — Suivi en temps réel\n• *"annuler"* — Annuler une commande\n• *"horaires"* — Quand nous sommes ouverts\n• *"livraison"* — Zone de livraison\n• *"parler"* — Parler à l\'équipe\n\n_CarmoCream · Carmona · Sans lactose_ 🍓',
+
+    'closed.reply':  '🕐 Nous sommes fermés en ce moment{{reason}}.\n\n{{hours}}\n\n{{reopen}} — vous pouvez déjà voir la carte :\n👉 *{{web}}/menu*\n\nÀ bientôt ! 🍓',
+    'closed.reason': ' ({{reason}})',
+    'reopen.at':     'Nous ouvrons {{when}}',
+    'reopen.unknown': 'Nous n\'avons pas encore de date de réouverture',
+    'hours.reply':      '🕐 *Horaires CarmoCream*\n\n{{hours}}\n\n{{now}}\n\n👉 *{{web}}/menu*',
+    'hours.open_now':   '🟢 *Nous sommes ouverts* jusqu\'à {{closes}} 🍓',
+    'hours.closed_now': '🔴 Nous sommes fermés en ce moment{{reason}}. {{reopen}}.',
+    'hours.upcoming':   '*Prochains jours :*',
+
+    'order_lookup.found': '📋 *Commande #{{order_number}}*\n\nStatut : *{{state}}*{{arrival}}\n💰 Total : {{total}}{{items}}\n\n{{tip}}',
+    'complaint.reply':    '😔 Nous sommes vraiment désolés.\n\nNous avons prévenu l\'équipe, quelqu\'un vous contactera *dans moins de 30 minutes*.',
+    'modify.none':        '❓ Je ne trouve aucune commande active.\n\nPour en passer une :\n👉 *{{web}}/menu*',
+    'modify.too_late':    '⚠️ La commande *#{{order_number}}* est déjà *{{state}}* et ne peut plus être modifiée.',
+    'modify.received':    '✏️ Nous avons reçu votre demande pour la commande *#{{order_number}}*.\nL\'équipe est prévenue. Nous confirmons rapidement 🙏',
+    'new_order.web':      '🍓 Parfait ! Commandez ici :\n👉 *{{web}}/menu*\n\nLivraison en *20–35 min*{{fee}}{{min}}\n\n_Paiement en espèces au livreur._',
+    'new_order.fee':      ' · Livraison : {{fee}}',
+    'new_order.free':     ' · Livraison gratuite',
+    'new_order.min':      '\n\nCommande minimum : *{{min}}*',
+    'cancel.none':        '❌ Je ne trouve aucune commande active pour votre numéro.\n\nSi c\'est une erreur, tapez *"parler"* 🙏',
+    'cancel.already':     'ℹ️ Votre commande *#{{order_number}}* était déjà annulée.',
+    'cancel.too_late':    '⚠️ *Désolés, la commande #{{order_number}} ne peut plus être annulée.*\n\nStatut : *{{state}}*\n{{tip}}',
+    'cancel.ask':         '⚠️ *Voulez-vous vraiment annuler ?*\n\nCommande *#{{order_number}}* · {{total}}\nStatut : {{state}}{{items}}\n\nRépondez *Oui* pour annuler ou *Non* pour la garder.',
+    'status.none':        '📋 Je ne trouve aucune commande active pour votre numéro.\n\nSi vous venez de commander, cela peut prendre quelques secondes 😊\n\nVous voulez commander ?\n👉 *{{web}}/menu*',
+    'status.found':       '📋 *Commande #{{order_number}}*\n\n🕐 Passée à : *{{time}}*\n💰 Total : *{{total}}*\n📦 Statut : *{{state}}*{{arrival}}{{items}}\n\n{{tip}}',
+    'notify.status':      '🔔 *Commande #{{order_number}}* : {{state}}{{arrival}}\n\n{{tip}}',
+    'notify.confirmation': '✅ *Commande #{{order_number}} reçue !*{{items}}\n\n💰 Total : *{{total}}* {{delivery}}\n📍 {{address}}\n⏱️ Arrivée estimée : *{{eta}}*\n\n{{actions}}',
+    'notify.delivery_fee': '(livraison {{fee}} incluse)',
+    'notify.delivery_free': '(livraison gratuite)',
+    'notify.eta':         '{{from}}–{{to}} min, vers {{time}}',
+    'eta.arrival':        '\n🕒 Arrive vers *{{time}}*',
+    'notify.actions_cancel': 'Un souci ? Tant que nous n\'avons pas commencé à la préparer, vous pouvez répondre *annuler*. Pour le reste, *humain* 🙋',
+    'notify.actions':     'Besoin de quelque chose ? Répondez *humain* et l\'équipe vous aide 🙋',
+    'menu.empty':         'Vous pouvez voir toute la carte sur :\n👉 *{{web}}/menu*',
+    'menu.reply':         '🍓 *Carte CarmoCream* — Tout sans lactose\n\n{{list}}\n\n👉 *{{web}}/menu*\n\nUne envie ? 😋',
+    'price.empty':        'Tous les prix sur :\n👉 *{{web}}/menu*',
+    'price.list':         '💰 *Prix :*\n\n{{list}}\n\n👉 *{{web}}/menu* 🛒',
+    'coupons.none':       'Aucune promotion en ce moment 😊\nSuivez-nous sur Instagram :\n👉 *{{instagram}}*',
+    'coupons.line':       '🎟️ *{{code}}* — {{value}} de réduction{{min}}',
+    'coupons.min':        ' (min. {{min}})',
+    'coupons.reply':      '🎟️ *Promotions en cours :*\n\n{{list}}\n\nÀ utiliser en commandant sur :\n👉 *{{web}}/menu* 🛒',
+    'delivery_zone.reply': '🛵 *Zone de livraison :*\n\nNous livrons à *Carmona* et dans les environs.\n\nEn cas de doute, envoyez-nous l\'adresse et nous confirmons 😊',
+    'zone.ask':           '🛵 Donnez-moi votre adresse (rue et numéro) ou envoyez votre *position* 📍 et je vous dis si nous livrons et combien coûte la livraison.',
+    'zone.inside':        '✅ *Oui, nous livrons chez vous !* Zone *{{zone}}*\n\n🛵 Livraison : *{{fee}}*{{minimum}}',
+    'zone.minimum':       '\n🛒 Commande minimum : *{{min}}*',
+    'zone.free':          'gratuite',
+    'zone.outside':       '😔 Désolé, cette adresse est en dehors de notre zone de livraison.',
+    'zone.not_found':     '🤔 Je ne trouve pas cette adresse. Pouvez-vous envoyer votre *position* 📍 ou l\'écrire avec la rue et le numéro ?',
+    'payment.reply':      '💵 *Moyens de paiement :*\n\n💵 Espèces au livreur\n📲 Bizum\n💳 Carte',
+    'allergens.reply':    '🌿 *CarmoCream — 100 % sans lactose*\n\nTous nos produits sont sans lactose.\n\nPour toute autre allergie tapez *"parler"* 🙏',
+    'delivery_time.reply': '⏱️ En ce moment, comptez environ *{{from}}–{{to}} min* : si vous commandez maintenant, elle arrive vers *{{time}}* 🛵\n\n👨‍🍳 Commandes en cuisine : {{count}}',
+    'min_order.yes':      '📦 La commande minimum est de *{{min}}*\n\n👉 *{{web}}/menu*',
+    'min_order.none':     '📦 Pas de minimum de commande ! 🎉\n\n👉 *{{web}}/menu*',
+    'human.reply':        'Bien sûr ! 🙋 J\'ai prévenu l\'équipe.\n\nQuelqu\'un vous répondra dans ce chat d\'ici quelques minutes.',
+    'thanks.reply':       '🍓 Merci beaucoup ! Ça nous fait plaisir.\n\nSi vous avez un instant, un avis nous aide à grandir :\n👉 {{review}}\n\nÀ bientôt ! *{{instagram}}*',
+    'greeting.returning': 'Bonjour {{name}} ! 🍓 Ravis de vous revoir !\n\n👉 *{{web}}/menu*',
+    'greeting.returning_anon': 'Bonjour ! 🍓 Ravis de vous revoir !\n\n👉 *{{web}}/menu*',
+    'review.request':     '🍓 Bonjour {{name}} ! Nous espérons que vous avez apprécié votre commande CarmoCream *#{{order_number}}*.\n\nSi vous avez un instant, laissez-nous un avis :\n👉 {{review}}\n\nÀ bientôt ! 🙏 *{{instagram}}*',
+    'greeting.new':       'Bonjour ! 👋 Bienvenue chez *CarmoCream* 🍓\nDesserts artisanaux 100 % sans lactose · Carmona\n\nJe peux vous aider avec :\n🛒 *"carte"* — Produits et prix\n📋 *"ma commande"* — Suivi en temps réel\n❌ *"annuler"* — Annuler votre commande\n🕐 *"horaires"* — Quand nous sommes ouverts\n💬 *"parler"* — Parler à quelqu\'un\n\nOu commandez directement :\n👉 *{{web}}/menu*',
+
+    'order.start':        '🍓 C\'est parti pour votre commande ! Qu\'est-ce qui vous ferait plaisir ? Tapez le *numéro* ou le nom :\n\n{{catalog}}\n\n_Tapez *annuler* à tout moment pour arrêter. Si vous préférez le site : {{web}}/menu_',
+    'order.suggest':      '🤔 Vous voulez dire *{{name}}* ? Répondez *Oui* ou tapez autre chose.',
+    'order.not_found':    'Je ne trouve pas 😅 Tapez le *numéro* de la carte :\n\n{{catalog}}',
+    'order.size':         '{{emoji}} *{{name}}* — quelle taille ?\n\n{{list}}',
+    'order.size_invalid': 'Répondez avec le numéro de la taille (1–{{max}}) 🙏',
+    'order.size.small':   'Petit',
+    'order.size.medium':  'Moyen',
+    'order.size.large':   'Grand',
+    'order.qty':          'Combien de *{{name}}*{{size}} voulez-vous ? (1–{{max}})',
+    'order.qty_invalid':  'Tapez juste le nombre, de 1 à {{max}} 🙏',
+    'order.cart':         '🛒 *Votre commande :*\n{{lines}}\n*Sous-total : {{subtotal}}*',
+    'order.more':         '{{cart}}\n\nAutre chose ? Tapez un autre numéro ou nom, *retirer 2* pour supprimer une ligne, ou *fini* pour terminer.',
+    'order.min':          '📦 La commande minimum est de *{{min}}* et vous êtes à {{subtotal}}. Il manque *{{missing}}* : ajoutez quelque chose 😊\n\n{{catalog}}',
+    'order.name_last':    'Au nom de *{{name}}* ? Répondez *Oui* ou tapez un autre nom.',
+    'order.name':         '👤 À quel nom est la commande ?',
+    'order.address_last': '📍 On livre à *{{address}}* ? Répondez *Oui* ou tapez l\'adresse (rue, numéro, étage).',
+    'order.address':      '📍 À quelle adresse livrons-nous ? (rue, numéro, étage)',
+    'order.address_outside': '😔 Nous ne livrons pas à *{{address}}*, c\'est hors de notre zone de livraison. Tapez une autre adresse ou *annuler* pour abandonner.',
+    'order.coupon':       '🎟️ Vous avez un code promo ? Tapez-le, ou répondez *non*.',
+    'order.summary':      '📝 *Récapitulatif*\n\n{{cart}}\n{{discount}}🛵 Livraison : {{fee}}\n💰 *Total : {{total}}*\n\n👤 {{name}}\n📍 {{address}}\n💵 Paiement en espèces au livreur\n\nRépondez *Oui* pour confirmer ou *annuler* pour abandonner.',
+    'order.free':         'gratuite',
+    'order.confirm':      'Répondez *Oui* pour confirmer la commande ou *annuler* pour abandonner.',
+    'order.created':      '✅ *Commande #{{order_number}} reçue !*\n\n💰 Total : *{{total}}* (espèces au livreur)\n📍 {{address}}\n⏱️ Arrivée estimée : *{{eta}}*\n\nNous vous prévenons quand elle part 🍓',
+    'order.aborted':      '👌 Commande annulée, rien n\'a été enregistré. À bientôt ! 🍓',
+  },
+}
+
+// Hay texto para esa clave (al menos en español)
+const hasTemplate = (key) => Object.prototype.hasOwnProperty.call(TEMPLATES[DEFAULT_LANG], key)
+
+/**
+ * detectLanguage(n) → 'en' | 'pt' | 'fr' | 'es' | null
+ * n es el texto normalizado. null = no hay pistas suficientes (se mantiene el que hubiera).
+ */
+function detectLanguage(n) {
+  const words  = String(n || '').split(/[^a-z']+/).filter(Boolean)
+  const scores = Object.fromEntries(Object.keys(MARKERS).map(l => [l, 0]))
+  for (const w of words) for (const [lang, list] of Object.entries(MARKERS)) if (list.includes(w)) scores[lang]++
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1])
+  if (!best[1] || best[1] === second[1]) return null
+  return best[0]
+}
+
+// Mensaje que pide cambiar de idioma → código, 'ask' si solo pregunta, null si no es eso
+function languageSwitch(n) {
+  for (const [re, lang] of SWITCH) if (re.test(n)) return lang
+  return ASK_LANGUAGE.test(n) ? 'ask' : null
+}
+
+// Regex extra de una intención en los demás idiomas
+function keywordPatterns(intent) {
+  return Object.values(KEYWORDS[intent] || {})
+}
+
+module.exports = {
+  DEFAULT_LANG, LANGUAGES, TEMPLATES, YES, NO,
+  hasTemplate, detectLanguage, languageSwitch, keywordPatterns,
+}
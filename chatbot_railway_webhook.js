@@ -11,47 +11,96 @@
  *   ✅ REVIEW_URL dinámica — se lee de BD o de ENV, nunca hardcodeada
  *   ✅ Anti-doble-respuesta robusto (2s cooldown)
  *   ✅ Cleanup de conversaciones colgadas cada 10 min
+ *   ✅ notifyAdmin, reseñas y broadcast salen por la cola de salida (message_queue.js)
+ *   ✅ Una instancia por tienda: secreto, admin, web y settings propios (stores.js)
+ *   ✅ Publica mensajes entrantes, escalados y takeovers en el event hub (GET /events)
+ *   ✅ Se monta una vez por tienda: devuelve onMessage y el gateway lo engancha a cada cliente
+ *   ✅ Métricas Prometheus: intención, escalados, fallback, caché y Supabase (metrics.js)
+ *   ✅ Logs JSON sin teléfonos ni textos en claro; un reqId por mensaje entrante (logger.js)
+ *   ✅ Rutas protegidas con claves de API por permiso (requireScope, api_keys.js)
+ *   ✅ Historial completo en chatbot_messages + GET /chatbot/conversations/:phone/messages
+ *   ✅ Bandeja del equipo: escalados abiertos, responder como staff (takeover) y resolver
+ *   ✅ ADMIN_PHONE manda comandos por WhatsApp (/tomar, /soltar, /bot, /estado, /pedido, /pendientes)
+ *   ✅ Horario, festivos, vacaciones y horarios especiales desde settings.business_hours,
+ *      en hora de Madrid aunque el servidor vaya en UTC (business_hours.js)
+ *   ✅ Intenciones como datos con prioridad; se apagan o ajustan desde settings.chatbot_intents
+ *      y las reglas del panel compiten en el mismo registro (intent_registry.js)
+ *   ✅ Productos, combos y palabras clave con faltas ("frsa", "cancelr"); si hay dudas,
+ *      pregunta "¿Te refieres a X?" y espera el sí (fuzzy_match.js)
+ *   ✅ Pedido completo por chat: productos, tamaño, cantidad, dirección, cupón → fila en
+ *      orders como los de la web (chat_ordering.js)
+ *   ✅ Responde en español, inglés, portugués o francés: lo detecta en los primeros mensajes
+ *      o el cliente lo elige escribiendo "english", "português"... (chatbot_i18n.js)
+ *   ✅ Todos los textos (respuestas, avisos al equipo, petición de reseña) son plantillas con
+ *      nombre editables desde settings.chatbot_templates, con vista previa y validación de
+ *      {{variables}}; los de serie quedan de respaldo (message_templates.js)
+ *   ✅ Avisa al cliente cuando su pedido pasa a preparación, en camino o cancelado, una sola
+ *      vez por estado y con cada estado activable en settings.order_notifications
+ *      (order_notifications.js)
+ *   ✅ Pedido nuevo de la web → confirmación por WhatsApp con productos, total con envío,
+ *      dirección, hora estimada y las respuestas rápidas "cancelar" y "hablar"
+ *   ✅ Tiempo de entrega según la cola de cocina, la media reciente de preparación → entrega
+ *      y la hora del día: en "cuánto tarda", en el estado del pedido y al confirmarlo (delivery_eta.js)
+ *   ✅ Zonas de reparto (círculos o polígonos con su envío y su mínimo) en settings.delivery_zones:
+ *      el cliente manda su ubicación o escribe la dirección y le decimos si llegamos (delivery_zones.js)
  * =====================================================
  *
  * VARIABLES DE ENTORNO EN RAILWAY:
  *   SUPABASE_URL             = https://xxxx.supabase.co
  *   SUPABASE_SERVICE_ROLE_KEY = eyJhbGci...  (service_role, no anon)
  *   WA_SECRET                = tu-secreto
- *   ADMIN_PHONE              = 34XXXXXXXXX  (sin + ni espacios)
- *   SHOP_URL                 = https://carmocream.vercel.app
+ *   ADMIN_PHONE              = 34XXXXXXXXX  (sin + ni espacios — o admin_phone por tienda en WA_STORES)
+ *   SHOP_URL                 = https://carmocream.vercel.app  (o shop_url por tienda)
  *   INSTAGRAM_HANDLE         = @carmocream_  (opcional)
  *   REVIEW_URL               = https://... (opcional, se lee de BD si está vacío)
+ *
+ * TABLA chatbot_conversations — columnas que usa la bandeja (/chatbot/inbox):
+ *   alter table chatbot_conversations
+ *     add column if not exists store_id     text default 'carmocream',
+ *     add column if not exists escalated_at timestamptz,
+ *     add column if not exists language     text default 'es';
+ *   Una fila por tienda y teléfono (el mismo cliente puede escribir a dos tiendas):
+ *   update chatbot_conversations set store_id = 'carmocream' where store_id is null;
+ *   alter table chatbot_conversations alter column store_id set not null;
+ *   alter table chatbot_conversations drop constraint if exists chatbot_conversations_phone_key;
+ *   create unique index if not exists chatbot_conversations_store_phone on chatbot_conversations (store_id, phone);
  */
 
-const WEB_URL          = process.env.SHOP_URL          || 'https://carmocream.vercel.app'
-const ADMIN_PHONE      = process.env.ADMIN_PHONE        || ''
+const metrics = require('./metrics')
+const { createLogger, withContext, newRequestId } = require('./logger')
+const { requireScope } = require('./api_keys')
+const businessHours    = require('./business_hours')
+const { createIntentRegistry } = require('./intent_registry')
+const fuzzy            = require('./fuzzy_match')
+const { createChatOrdering } = require('./chat_ordering')
+const i18n             = require('./chatbot_i18n')
+const { createTemplates } = require('./message_templates')
+const { createOrderNotifier } = require('./order_notifications')
+const { createEtaEstimator } = require('./delivery_eta')
+const deliveryZones    = require('./delivery_zones')
+
+const DEFAULT_WEB_URL  = process.env.SHOP_URL          || 'https://carmocream.vercel.app'
 const INSTAGRAM_HANDLE = process.env.INSTAGRAM_HANDLE  || '@carmocream_'
 
-// REVIEW_URL: primero env, luego se actualiza desde BD en loadSettings()
-let REVIEW_URL    = process.env.REVIEW_URL    || `${WEB_URL}/menu`
-let AFFILIATE_URL = process.env.AFFILIATE_URL || `${WEB_URL}/afiliado`
-
 const VERSION = '5.0.0'
 
 const NO_CANCEL_STATES = ['preparing', 'ready', 'delivering', 'delivered']
-const STATE_LABELS = {
-  pending:    '⏳ Recibido, pendiente de confirmar',
-  preparing:  '👨\u200d🍳 En preparación',
-  ready:      '✅ Listo para entregar',
-  delivering: '🛵 En camino hacia ti',
-  delivered:  '🎉 Entregado',
-  cancelled:  '❌ Cancelado',
-}
-const STATE_TIPS = {
-  pending:    'Lo hemos recibido y lo gestionamos en breve. Te avisamos cuando avance 👍',
-  preparing:  '¡Estamos preparándolo ahora mismo! En unos minutos sale 🛵',
-  ready:      'Ya está listo y esperando al repartidor. ¡Enseguida en camino! 🛵',
-  delivering: '¡Tu repartidor ya está en camino! En breve llega a tu puerta 🍓',
-  delivered:  '¡Esperamos que lo hayas disfrutado! Si quieres repetir, ya sabes 😄',
-  cancelled:  'El pedido fue cancelado. Para hacer uno nuevo visita la web 👇',
-}
+// Mensajes del cliente en los que se intenta adivinar el idioma; después se queda fijo
+const DETECT_LANGUAGE_MESSAGES = 3
+
+module.exports = function setupChatbot(router, { store, outbox, events, archive, supabaseUrl, supabaseKey }) {
 
-module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
+  // ── Configuración de la tienda ─────────────────────────────────────────────
+  const WEB_URL     = store.shopUrl || DEFAULT_WEB_URL
+  const ADMIN_PHONE = store.adminPhone || ''
+  const log         = createLogger('Chatbot', { store: store.id })
+
+  // REVIEW_URL: primero env, luego se actualiza desde BD en loadSettings()
+  let REVIEW_URL    = process.env.REVIEW_URL    || `${WEB_URL}/menu`
+  let AFFILIATE_URL = process.env.AFFILIATE_URL || `${WEB_URL}/afiliado`
+
+  // Claves de `settings` de esta tienda ('' para la principal, p.ej. 'sevilla_' para el resto)
+  const settingKey = (key) => `${store.settingsPrefix}${key}`
 
   // ── Estado interno ─────────────────────────────────────────────────────────
   // chatbotEnabled arranca en TRUE para que el bot funcione aunque la BD tarde
@@ -62,14 +111,34 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
   let cacheTs          = 0
   let minOrder         = 0
   let deliveryFee      = 0
+  let hours            = businessHours.parseBusinessHours(businessHours.DEFAULT_HOURS).hours
+  let zones            = { area: '', zones: [] }   // delivery_zones.js; sin zonas → respuesta genérica
   const CACHE_TTL      = 5 * 60 * 1000   // 5 min
 
   const conversations  = new Map()   // phone → { state, ...data, ts }
+  const languages      = new Map()   // phone → { lang, explicit, seen, ts } — sobrevive a los cambios de estado
+  const locations      = new Map()   // phone → { point: [lat, lng], ts } — última ubicación compartida
+  const intents        = createIntentRegistry({ normalize: norm, render: renderTemplate })
+  const templates      = createTemplates()
   const recentReplies  = new Map()   // anti-spam
+  const geocoder       = deliveryZones.createGeocoder({ log })
 
   // ── Supabase helper ────────────────────────────────────────────────────────
   async function sbFetch(path, opts = {}) {
-    const url = `${supabaseUrl}/rest/v1/${path}`
+    const url    = `${supabaseUrl}/rest/v1/${path}`
+    const labels = { store: store.id, table: path.split('?')[0], method: opts.method || 'GET' }
+    const end    = metrics.supabaseDuration.startTimer(labels)
+    try {
+      return await sbRequest(url, opts)
+    } catch (e) {
+      metrics.supabaseErrors.inc(labels)
+      throw e
+    } finally {
+      end()
+    }
+  }
+
+  async function sbRequest(url, opts) {
     const res = await fetch(url, {
       ...opts,
       headers: {
@@ -94,10 +163,14 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
   // ── Cargar settings y reglas de la BD ─────────────────────────────────────
   async function loadSettings() {
     try {
+      const keys = ['chatbot_enabled', 'chatbot_rules', 'review_url', 'affiliate_url', 'min_order', 'delivery_fee',
+        'chatbot_messages_retention_days', 'business_hours', 'chatbot_intents', 'chatbot_templates',
+        'order_notifications', 'delivery_zones']
       const data = await sbFetch(
-        'settings?key=in.(chatbot_enabled,chatbot_rules,review_url,affiliate_url,min_order,delivery_fee)&select=key,value'
+        `settings?key=in.(${keys.map(settingKey).join(',')})&select=key,value`
       )
-      const map = Object.fromEntries((data || []).map(r => [r.key, r.value]))
+      // Quitar el prefijo de la tienda para trabajar siempre con las claves base
+      const map = Object.fromEntries((data || []).map(r => [r.key.slice(store.settingsPrefix.length), r.value]))
 
       // Solo cambiar chatbotEnabled si la BD responde OK
       if (map.chatbot_enabled !== undefined) {
@@ -109,21 +182,69 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
       // Valores operativos
       if (map.min_order)    minOrder    = parseFloat(map.min_order)    || 0
       if (map.delivery_fee) deliveryFee = parseFloat(map.delivery_fee) || 0
+      if (map.chatbot_messages_retention_days !== undefined) archive.setRetentionDays(map.chatbot_messages_retention_days)
+      if (map.business_hours?.trim()) {
+        try {
+          const parsed = businessHours.parseBusinessHours(JSON.parse(map.business_hours))
+          if (parsed.errors.length) log.warn('business_hours con errores (se ignoran esas entradas)', { errors: parsed.errors })
+          hours = parsed.hours
+        } catch (e) {
+          log.error('business_hours no es JSON válido (se mantiene el horario anterior)', { err: e })
+        }
+      }
 
       try {
         const parsed = JSON.parse(map.chatbot_rules || '[]')
         if (Array.isArray(parsed) && parsed.length) chatbotRules = parsed
       } catch {}
+      intents.setRules(chatbotRules)
+      if (map.chatbot_intents !== undefined) {
+        try {
+          const errors = intents.setOverrides(JSON.parse(map.chatbot_intents || '{}'))
+          if (errors.length) log.warn('chatbot_intents con errores (se ignoran esas entradas)', { errors })
+        } catch (e) {
+          log.error('chatbot_intents no es JSON válido (se mantienen los ajustes anteriores)', { err: e })
+        }
+      }
+      if (map.chatbot_templates !== undefined) {
+        try {
+          const errors = templates.setOverrides(JSON.parse(map.chatbot_templates || '{}'))
+          if (errors.length) log.warn('chatbot_templates con errores (se usan los textos de serie)', { errors })
+        } catch (e) {
+          log.error('chatbot_templates no es JSON válido (se mantienen los textos anteriores)', { err: e })
+        }
+      }
+      if (map.delivery_zones !== undefined) {
+        try {
+          const parsed = deliveryZones.parseDeliveryZones(JSON.parse(map.delivery_zones || '[]'), norm)
+          if (parsed.errors.length) log.warn('delivery_zones con errores (se ignoran esas zonas)', { errors: parsed.errors })
+          zones = parsed.config
+        } catch (e) {
+          log.error('delivery_zones no es JSON válido (se mantienen las zonas anteriores)', { err: e })
+        }
+      }
+      if (map.order_notifications !== undefined) {
+        try {
+          const errors = orderNotifier.setStatuses(JSON.parse(map.order_notifications || '{}'))
+          if (errors.length) log.warn('order_notifications con errores (se ignoran esas entradas)', { errors })
+        } catch (e) {
+          log.error('order_notifications no es JSON válido (se mantienen los avisos anteriores)', { err: e })
+        }
+      }
 
-      console.log(`[Chatbot] v${VERSION} — Reglas: ${chatbotRules.length} | Activo: ${chatbotEnabled} | Review: ${REVIEW_URL}`)
+      log.info('Settings cargados', { version: VERSION, rules: chatbotRules.length, enabled: chatbotEnabled, reviewUrl: REVIEW_URL })
     } catch (e) {
-      console.error('[Chatbot] loadSettings FALLO (bot sigue activo con config anterior):', e.message)
+      log.error('loadSettings FALLO (bot sigue activo con config anterior)', { err: e })
     }
   }
 
   // ── Productos y combos activos (cache 5 min) ───────────────────────────────
   async function getActiveProducts() {
-    if (Date.now() - cacheTs < CACHE_TTL && productsCache.length) return productsCache
+    if (Date.now() - cacheTs < CACHE_TTL && productsCache.length) {
+      metrics.productsCacheTotal.inc({ store: store.id, result: 'hit' })
+      return productsCache
+    }
+    metrics.productsCacheTotal.inc({ store: store.id, result: 'miss' })
     try {
       // available=eq.true — columna correcta en el schema de CarmoCream
       const data = await sbFetch(
@@ -134,9 +255,9 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
       )
       productsCache = data || []
       cacheTs = Date.now()
-      console.log(`[Chatbot] Productos cargados: ${productsCache.length}`)
+      log.debug('Productos cargados', { count: productsCache.length })
     } catch (e) {
-      console.error('[Chatbot] getActiveProducts:', e.message)
+      log.error('getActiveProducts', { err: e })
     }
     return productsCache
   }
@@ -151,7 +272,7 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
       )
       combosCache = data || []
     } catch (e) {
-      console.error('[Chatbot] getActiveCombos:', e.message)
+      log.error('getActiveCombos', { err: e })
     }
     return combosCache
   }
@@ -181,24 +302,24 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
       // Intentar filtrar directo en BD (mucho más eficiente)
       try {
         data = await sbFetch(
-          `orders?status=neq.cancelled` +
+          `orders?store_id=eq.${store.id}&status=neq.cancelled` +
           `&customer_phone=ilike.%25${local9}%25` +
           `&order=created_at.desc&limit=5` +
-          `&select=id,order_number,status,total,created_at,items,customer_name,customer_phone,delivery_address`
+          `&select=id,order_number,status,total,created_at,preparing_at,items,customer_name,customer_phone,delivery_address`
         )
         if (!data?.length) {
           data = await sbFetch(
-            `orders?status=neq.cancelled` +
+            `orders?store_id=eq.${store.id}&status=neq.cancelled` +
             `&customer_phone=ilike.%25${full34}%25` +
             `&order=created_at.desc&limit=5` +
-            `&select=id,order_number,status,total,created_at,items,customer_name,customer_phone,delivery_address`
+            `&select=id,order_number,status,total,created_at,preparing_at,items,customer_name,customer_phone,delivery_address`
           )
         }
       } catch {
         // Fallback: traer los últimos 200 y filtrar en memoria
         const fallback = await sbFetch(
-          `orders?status=neq.cancelled&order=created_at.desc&limit=200` +
-          `&select=id,order_number,status,total,created_at,items,customer_name,customer_phone,delivery_address`
+          `orders?store_id=eq.${store.id}&status=neq.cancelled&order=created_at.desc&limit=200` +
+          `&select=id,order_number,status,total,created_at,preparing_at,items,customer_name,customer_phone,delivery_address`
         )
         data = (fallback || []).filter(r => {
           const d = (r.customer_phone || '').replace(/\D/g, '').replace(/^34/, '').slice(-9)
@@ -207,10 +328,10 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
       }
 
       const order = (data || [])[0] || null
-      console.log(`[Chatbot] findLastOrder ${local9}: ${order ? '#' + order.order_number + ' ' + order.status : 'ninguno'}`)
+      log.debug('findLastOrder', { phone: local9, order: order?.order_number ?? null, status: order?.status ?? null })
       return order
     } catch (e) {
-      console.error('[Chatbot] findLastOrder:', e.message)
+      log.error('findLastOrder', { err: e })
       return null
     }
   }
@@ -221,7 +342,7 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
       const raw    = phone.replace('@c.us', '').replace(/\D/g, '')
       const local9 = raw.replace(/^34/, '').slice(-9)
       const data   = await sbFetch(
-        `orders?customer_phone=ilike.%25${local9}%25` +
+        `orders?store_id=eq.${store.id}&customer_phone=ilike.%25${local9}%25` +
         `&select=id,customer_name,total,status,customer_phone,created_at` +
         `&order=created_at.desc&limit=10`
       )
@@ -232,79 +353,334 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
   // ── Cancelar pedido ────────────────────────────────────────────────────────
   async function cancelOrder(orderId) {
     try {
-      await sbFetch(`orders?id=eq.${orderId}`, {
+      // Solo pedidos de esta tienda: si el id es de otra, no se toca nada y se contesta que falló
+      const data = await sbFetch(`orders?id=eq.${orderId}&store_id=eq.${store.id}&select=id`, {
         method:  'PATCH',
-        headers: { Prefer: 'return=minimal' },
+        headers: { Prefer: 'return=representation' },
         body:    JSON.stringify({ status: 'cancelled' }),
       })
-      return true
-    } catch (e) { console.error('[Chatbot] cancelOrder:', e.message); return false }
+      return (data || []).length > 0
+    } catch (e) { log.error('cancelOrder', { orderId, err: e }); return false }
   }
 
   // ── Guardar conversación escalada ─────────────────────────────────────────
   async function saveConversation(phone, state, reason, lastMessage, extra = {}) {
     try {
-      await sbFetch('chatbot_conversations', {
+      await sbFetch('chatbot_conversations?on_conflict=store_id,phone', {
         method:  'POST',
         headers: { Prefer: 'resolution=merge-duplicates' },
         body:    JSON.stringify({
           phone, state, escalation_reason: reason,
           last_message: lastMessage, admin_takeover: false,
           resolved: false, updated_at: new Date().toISOString(),
+          store_id: store.id,
+          language: languages.get(phone)?.lang || i18n.DEFAULT_LANG,
+          ...(state === 'escalated' ? { escalated_at: new Date().toISOString() } : {}),
           ...extra,
         }),
       })
-    } catch (e) { console.error('[Chatbot] saveConversation:', e.message) }
+    } catch (e) { log.error('saveConversation', { phone, err: e }) }
+    if (state === 'escalated') {
+      metrics.escalationsTotal.inc({ store: store.id, reason })
+      events.publish('escalation', { phone, reason, message: lastMessage })
+    }
+  }
+
+  // Cambios de estado desde la bandeja/takeover — solo toca las columnas indicadas y solo
+  // en la conversación de esta tienda; false = esta tienda no tiene conversación con ese teléfono
+  async function patchConversation(phone, patch) {
+    const rows = await sbFetch(`chatbot_conversations?store_id=eq.${store.id}&phone=eq.${encodeURIComponent(phone)}&select=phone`, {
+      method:  'PATCH',
+      headers: { Prefer: 'return=representation' },
+      body:    JSON.stringify({ ...patch, updated_at: new Date().toISOString() }),
+    })
+    return (rows || []).length > 0
+  }
+
+  // Escalados sin resolver (también los que ya lleva el equipo), los más antiguos primero
+  async function openEscalations(limit = 50) {
+    const rows = await sbFetch(
+      `chatbot_conversations?store_id=eq.${store.id}&resolved=eq.false&state=in.(escalated,admin_takeover)` +
+      `&select=phone,state,escalation_reason,last_message,admin_takeover,escalated_at,updated_at` +
+      `&order=escalated_at.asc.nullslast&limit=${limit}`
+    )
+    const now = Date.now()
+    return (rows || []).map(r => {
+      const since = r.escalated_at || r.updated_at
+      return {
+        phone:          r.phone,
+        reason:         r.escalation_reason,
+        last_message:   r.last_message,
+        escalated_at:   since,
+        age_minutes:    since ? Math.floor((now - new Date(since).getTime()) / 60000) : null,
+        // La memoria manda: un takeover reciente aún puede no estar en la BD
+        admin_takeover: conversations.get(r.phone)?.state === 'admin_takeover' || !!r.admin_takeover,
+      }
+    })
+  }
+
+  // ── Takeover: el equipo lleva el chat y el bot calla ─────────────────────
+  function takeOver(phone) {
+    conversations.set(phone, { state: 'admin_takeover', ts: Date.now() })
+    log.info('Admin takeover', { phone })
+    events.publish('takeover', { phone, release: false })
+  }
+
+  function releaseToBot(phone) {
+    conversations.delete(phone)
+    log.info('Bot reactivado', { phone })
+    events.publish('takeover', { phone, release: true })
   }
 
   // ── Notificar al admin ─────────────────────────────────────────────────────
   async function notifyAdmin(text) {
-    if (!ADMIN_PHONE || !client) return
-    try { await client.sendMessage(`${ADMIN_PHONE}@c.us`, text) }
-    catch (e) { console.error('[Chatbot] notifyAdmin:', e.message) }
+    if (!ADMIN_PHONE) return
+    try { await outbox.enqueue({ chatId: `${ADMIN_PHONE}@c.us`, body: text, source: 'notify_admin', priority: 10 }) }
+    catch (e) { log.error('notifyAdmin', { err: e }) }
+  }
+
+  // ── Textos: plantillas de settings o de serie, en el idioma del cliente ────
+  const globalVars = () => ({ web: WEB_URL, instagram: INSTAGRAM_HANDLE, review: REVIEW_URL || `${WEB_URL}/menu`, afiliado: AFFILIATE_URL })
+
+  function say(lang, key, vars = {}) {
+    return templates.t(lang, key, { ...globalVars(), ...vars })
+  }
+
+  // Estados que no están en las plantillas (p.ej. uno nuevo del panel) se muestran tal cual
+  const stateLabel = (lang, status) => i18n.hasTemplate(`state.${status}`) ? say(lang, `state.${status}`) : status
+  const stateTip   = (lang, status) => i18n.hasTemplate(`tip.${status}`) ? say(lang, `tip.${status}`) : ''
+  const money      = (n) => `€${Number(n || 0).toFixed(2)}`
+
+  // Idioma de la conversación: el elegido a mano manda; si no, se detecta en los primeros mensajes
+  function languageFor(phone, n, now) {
+    const entry = languages.get(phone) || { lang: i18n.DEFAULT_LANG, explicit: false, seen: 0 }
+    if (!entry.explicit && entry.seen < DETECT_LANGUAGE_MESSAGES) {
+      entry.lang = i18n.detectLanguage(n) || entry.lang
+      entry.seen++
+    }
+    languages.set(phone, { ...entry, ts: now })
+    return entry.lang
+  }
+
+  function setLanguage(phone, lang, now) {
+    languages.set(phone, { lang, explicit: true, seen: DETECT_LANGUAGE_MESSAGES, ts: now })
+    log.info('Idioma elegido por el cliente', { phone, lang })
+  }
+
+  // ── Tiempo de entrega (delivery_eta.js) ───────────────────────────────────
+  const etaEstimator = createEtaEstimator({ storeId: store.id, sbFetch, timezone: () => hours.timezone, log })
+
+  // "25–35 min, sobre las 20:50" — horquilla de ahora mismo y hora de llegada de ese pedido
+  async function etaText(lang, order) {
+    const [eta, arrival] = await Promise.all([etaEstimator.estimate(), etaEstimator.arrivalFor(order)])
+    return say(lang, 'notify.eta', { from: eta.from, to: eta.to, time: businessHours.formatLocalTime(arrival || eta.arrival, hours) })
+  }
+
+  // "\n🕒 Llega aprox. a las 20:45" para pedidos en marcha; '' si ya está entregado o cancelado
+  async function arrivalText(order, lang) {
+    const arrival = await etaEstimator.arrivalFor(order)
+    return arrival ? say(lang, 'eta.arrival', { time: businessHours.formatLocalTime(arrival, hours) }) : ''
+  }
+
+  // ── Avisos de cambio de estado (order_notifications.js) ───────────────────
+  const orderNotifier = createOrderNotifier({
+    storeId: store.id,
+    sbFetch,
+    send:    (chatId, body) => outbox.enqueue({ chatId, body, source: 'order_status', priority: 5 }),
+    // En el idioma en que nos escribió si aún lo recordamos
+    message: async (order, chatId) => {
+      const lang = languages.get(chatId)?.lang
+      if (order.status === 'pending') return orderConfirmation(order, lang)
+      return say(lang, 'notify.status', {
+        order_number: order.order_number ?? order.id,
+        state:        stateLabel(lang, order.status),
+        arrival:      await arrivalText(order, lang),
+        tip:          stateTip(lang, order.status),
+      })
+    },
+    log,
+  })
+
+  // Confirmación de un pedido nuevo: resumen completo y qué puede responder el cliente
+  async function orderConfirmation(order, lang) {
+    return say(lang, 'notify.confirmation', {
+      order_number: order.order_number ?? order.id,
+      items:        formatOrderItems(order, lang, Infinity),
+      total:        money(order.total),
+      delivery:     deliveryFee > 0 ? say(lang, 'notify.delivery_fee', { fee: money(deliveryFee) }) : say(lang, 'notify.delivery_free'),
+      address:      order.delivery_address || '—',
+      eta:          await etaText(lang, order),
+      // "cancelar" solo mientras el pedido aún se puede cancelar (como la intención cancel)
+      actions:      say(lang, NO_CANCEL_STATES.includes(order.status) ? 'notify.actions' : 'notify.actions_cancel'),
+    })
   }
 
   // ── Formatear items del pedido ─────────────────────────────────────────────
-  function formatOrderItems(order) {
+  // max = cuántas líneas enseñar antes de "y N más" (la confirmación del pedido las enseña todas)
+  function formatOrderItems(order, lang = i18n.DEFAULT_LANG, max = 5) {
     try {
       const items = typeof order.items === 'string'
         ? JSON.parse(order.items)
         : (order.items || [])
       if (!items.length) return ''
-      const lines = items.slice(0, 5).map(it => {
+      const lines = items.slice(0, max).map(it => {
         const name  = it.product_name || it.name || 'Producto'
         const qty   = it.qty || it.quantity || 1
-        const price = it.price ? ` · €${Number(it.price * qty).toFixed(2)}` : ''
+        const price = it.price ? ` · ${money(it.price * qty)}` : ''
         return `  • ${qty}x ${name}${price}`
       })
-      if (items.length > 5) lines.push(`  _...y ${items.length - 5} más_`)
-      return '\n🛒 *Productos:*\n' + lines.join('\n')
+      if (items.length > max) lines.push(say(lang, 'items.more', { count: items.length - max }))
+      return `\n${say(lang, 'items.title')}\n` + lines.join('\n')
     } catch { return '' }
   }
 
   // ── Formatear lista de menú ────────────────────────────────────────────────
-  function formatMenuList(products, combos) {
+  function formatMenuList(products, combos, lang) {
     const lines = []
     if (combos.length) {
-      lines.push('*🎁 Combos:*')
+      lines.push(say(lang, 'menu.combos'))
       combos.slice(0, 4).forEach(c =>
-        lines.push(`  • ${c.emoji || '🎁'} *${c.name}* — €${Number(c.price || 0).toFixed(2)}`)
+        lines.push(`  • ${c.emoji || '🎁'} *${c.name}* — ${money(c.price)}`)
       )
     }
     if (products.length) {
-      lines.push('*🍓 Productos:*')
+      lines.push(say(lang, 'menu.products'))
       products.slice(0, 10).forEach(p => {
         const hasSizes = p.price_medium || p.price_large
-        const priceStr = hasSizes
-          ? `desde €${Number(p.price || 0).toFixed(2)}`
-          : `€${Number(p.price || 0).toFixed(2)}`
+        const priceStr = hasSizes ? say(lang, 'price.from', { price: money(p.price) }) : money(p.price)
         lines.push(`  • ${p.emoji || '🍨'} *${p.name}* — ${priceStr}`)
       })
-      if (products.length > 10) lines.push(`  _...y ${products.length - 10} productos más en la web_`)
+      if (products.length > 10) lines.push(say(lang, 'menu.more', { count: products.length - 10 }))
     }
     return lines.join('\n')
   }
 
+  // ── Textos de horario (business_hours.js) ─────────────────────────────────
+  // Semana tipo + festivos, cierres y horarios especiales de las próximas 2 semanas
+  function hoursText(lang) {
+    const upcoming = businessHours.upcomingExceptions(hours, new Date(), 14, lang)
+    return [...businessHours.weeklyLines(hours, lang), ...(upcoming.length ? ['', say(lang, 'hours.upcoming'), ...upcoming] : [])].join('\n')
+  }
+
+  // " por Vacaciones" si hoy está cerrado por un festivo o un cierre
+  function closedReason(status, lang) {
+    return status.today.kind === 'closed' && status.today.reason ? say(lang, 'closed.reason', { reason: status.today.reason }) : ''
+  }
+
+  // "Ahora estamos cerrados" con el horario y cuándo se vuelve a abrir
+  function closedReply(status, lang) {
+    return say(lang, 'closed.reply', { reason: closedReason(status, lang), hours: hoursText(lang), reopen: reopenText(status, lang) })
+  }
+
+  // Para /estado del admin: siempre en español
+  function openStatusText(status) {
+    return status.open ? `🟢 abierta hasta las ${status.closesAt}` : `🔴 cerrada${closedReason(status, 'es')} · ${reopenText(status, 'es').toLowerCase()}`
+  }
+
+  // status debe venir de openStatus(hours, now, lang) para que "mañana a las" salga en ese idioma
+  function reopenText(status, lang) {
+    return status.nextOpen ? say(lang, 'reopen.at', { when: status.nextOpen.label }) : say(lang, 'reopen.unknown')
+  }
+
+  // {{web}}, {{review}}, {{afiliado}} en respuestas escritas desde el panel
+  function renderTemplate(template) {
+    return template
+      .replace(/\{\{web\}\}/g, WEB_URL)
+      .replace(/\{\{review\}\}/g, REVIEW_URL)
+      .replace(/\{\{afiliado\}\}/g, AFFILIATE_URL)
+  }
+
+  // ── Pedido por chat (chat_ordering.js) ────────────────────────────────────
+  async function insertOrder(row) {
+    const data = await sbFetch('orders', {
+      method:  'POST',
+      headers: { Prefer: 'return=representation' },
+      // store_id: los avisos de estado de este pedido salen del número de esta tienda
+      body:    JSON.stringify({ ...row, store_id: store.id }),
+    })
+    const order = (data || [])[0] || null
+    // El cliente ya tiene la confirmación en el chat: sin la automática de los pedidos nuevos
+    if (order) orderNotifier.markNotified(order.id, order.status || 'pending')
+    return order
+  }
+
+  const ordering = createChatOrdering({
+    getProducts:   getActiveProducts,
+    getCombos:     getActiveCombos,
+    getCoupons:    getActiveCoupons,
+    findLastOrder,
+    insertOrder,
+    // Envío y mínimo de la zona de la dirección del pedido; sin zona, los generales
+    limits:        (conv) => ({ minOrder: conv?.zone?.minOrder ?? minOrder, deliveryFee: conv?.zone?.fee ?? deliveryFee }),
+    zoneFor:       orderZone,
+    isOpen:        () => businessHours.openStatus(hours).open,
+    eta:           etaText,
+    norm,
+    t:             say,
+    log,
+  })
+
+  // ── Productos con faltas de ortografía (fuzzy_match.js) ───────────────────
+  // → { item, score } con el producto o combo que más se parece al mensaje, o null
+  async function matchProduct(n) {
+    const [prods, combos] = await Promise.all([getActiveProducts(), getActiveCombos()])
+    return fuzzy.bestMatch(n, [...prods, ...combos], p => norm(p.name))
+  }
+
+  function priceReply(item, lang) {
+    const hasSizes = item.price_medium || item.price_large
+    const price    = `*${money(item.price)}*`
+    return say(lang, 'price.item', { emoji: item.emoji || '🍨', name: item.name, price: hasSizes ? say(lang, 'price.from', { price }) : price })
+  }
+
+  // suggestion = { kind: 'intent', name, label } | { kind: 'product', item }
+  // Las intenciones de serie tienen su label traducido (label.<name>); las reglas del panel, el suyo
+  function askSuggestion(phone, suggestion, text, now, lang) {
+    conversations.set(phone, { state: 'confirm_suggestion', suggestion, text, ts: now })
+    const label = suggestion.kind === 'product' ? suggestion.item.name
+      : i18n.hasTemplate(`label.${suggestion.name}`) ? say(lang, `label.${suggestion.name}`) : suggestion.label
+    return say(lang, 'suggest.question', { what: `*${label}*` })
+  }
+
+  // ── Zonas de reparto (delivery_zones.js) ──────────────────────────────────
+  // point = [lat, lng] de una ubicación compartida, o el texto con la dirección / el sitio
+  // → { zone } (zone null = fuera de todas), o null si no se ha podido situar
+  async function locateZone({ point = null, text = '' }) {
+    if (!point) {
+      const place = deliveryZones.zoneForPlace(zones, norm(text))
+      if (place) return { zone: place }
+      const found = await geocoder.geocode(deliveryZones.addressIn(text) || text, zones.area)
+      if (!found) return null
+      point = found.point
+    }
+    return { zone: deliveryZones.zoneForPoint(zones, point) }
+  }
+
+  async function zoneReply(lang, { point = null, text = '' }) {
+    const located = await locateZone({ point, text })
+    if (!located) return say(lang, 'zone.not_found')
+    const zone = located.zone
+    if (!zone) return say(lang, 'zone.outside')
+    const fee = zone.fee ?? deliveryFee
+    const min = zone.minOrder ?? minOrder
+    return say(lang, 'zone.inside', {
+      zone:    zone.name,
+      fee:     fee > 0 ? money(fee) : say(lang, 'zone.free'),
+      minimum: min > 0 ? say(lang, 'zone.minimum', { min: money(min) }) : '',
+    })
+  }
+
+  // Zona del pedido por chat: la de la dirección y, si no se encuentra, la de la última
+  // ubicación que compartió. null = sin zonas o sin poder situarla (envío y mínimo generales)
+  async function orderZone(phone, address) {
+    if (!zones.zones.length) return null
+    const shared  = locations.get(phone)
+    const located = await locateZone({ text: address }) || (shared ? await locateZone({ point: shared.point }) : null)
+    if (!located) return null
+    if (!located.zone) return { outside: true }
+    return { name: located.zone.name, fee: located.zone.fee, minOrder: located.zone.minOrder }
+  }
+
   // ── Normalizar texto para matching ────────────────────────────────────────
   function norm(text) {
     return (text || '').toLowerCase()
@@ -315,11 +691,14 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
   // ══════════════════════════════════════════════════════════════════
   //  MÁQUINA DE ESTADOS
   // ══════════════════════════════════════════════════════════════════
-  async function handleMessage(phone, rawText) {
+  // ctx.intent queda con la intención que respondió (para métricas) y ctx.trace con
+  // cómo se eligió (intent_registry.js). ctx.location = { lat, lng } si mandó su ubicación.
+  async function handleMessage(phone, rawText, ctx = {}) {
+    ctx.intent = 'ignored'
     if (!chatbotEnabled) return null
 
     const text = (rawText || '').trim()
-    if (!text) return null
+    if (!text && !ctx.location) return null
     const n    = norm(text)
     const conv = conversations.get(phone) || { state: 'idle' }
     const now  = Date.now()
@@ -332,315 +711,764 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
     if (now - lastReply < 2000) return null
     recentReplies.set(phone, now)
 
-    // Horario
-    const hour   = new Date().getHours()
-    const dayNum = new Date().getDay() // 0=Dom, 1=Lun
-    const isOpen = dayNum !== 1 && hour >= 14 && hour < 21
+    // ── Idioma: "english", "português"... o detectado en los primeros mensajes ──
+    const wanted = i18n.languageSwitch(n)
+    if (wanted === 'ask') {
+      ctx.intent = 'language'
+      return say(languages.get(phone)?.lang, 'language.options')
+    }
+    if (wanted) {
+      ctx.intent = 'language'
+      setLanguage(phone, wanted, now)
+      if (conv.state === 'ordering') conversations.set(phone, { ...conv, lang: wanted, ts: now })
+      return say(wanted, 'language.switched')
+    }
+    // Una ubicación no tiene texto: no gasta uno de los mensajes para detectar el idioma
+    const lang = n ? languageFor(phone, n, now) : (languages.get(phone)?.lang || i18n.DEFAULT_LANG)
+
+    // ── Ubicación compartida: ¿llegamos ahí? ──────────────────────
+    // Un pedido por chat a medias sigue donde estaba
+    if (ctx.location) {
+      ctx.intent = 'delivery_zone'
+      // Se recuerda para el pedido por chat, por si la dirección escrita no se encuentra
+      locations.set(phone, { point: [ctx.location.lat, ctx.location.lng], ts: now })
+      if (conv.state === 'waiting_zone_address') conversations.delete(phone)
+      if (!zones.zones.length) return say(lang, 'delivery_zone.reply')
+      return zoneReply(lang, { point: [ctx.location.lat, ctx.location.lng] })
+    }
 
-    // Fuera de horario + intento de pedir
-    if (!isOpen && /pedir|pedido nuevo|hacer pedido|quiero pedir|quiero uno|ponme|quisiera pedir/.test(n)) {
-      const when = dayNum === 1 ? 'mañana martes' : hour < 14 ? 'hoy a las 14:00' : 'mañana'
-      return `🕐 Ahora mismo estamos cerrados.\n\n*Horario: Martes a Domingo · 14:00 – 21:00*\n\nAbrimos ${when} — puedes ver el menú ya:\n👉 *${WEB_URL}/menu*\n\n¡Hasta pronto! 🍓`
+    // ── Pedido en curso por chat ──────────────────────────────────
+    if (conv.state === 'ordering') {
+      const step = await ordering.handle(phone, { ...conv, lang }, text)
+      if (step.conv) conversations.set(phone, step.conv)
+      else conversations.delete(phone)
+      ctx.intent = step.intent
+      return step.reply
     }
 
     // ── Esperando confirmación de cancelación ─────────────────────
     if (conv.state === 'waiting_cancel_confirm') {
+      ctx.intent = 'cancel_confirm'
       conversations.delete(phone)
-      if (/^(si|sí|s|yes|confirmo|cancela|cancelar|dale|ok|claro|adelante)$/i.test(n)) {
+      if (i18n.YES.test(n) || /^(cancela|cancelar|adelante|cancel|annuler)$/.test(n)) {
         const order = conv.order
-        if (!order) return '❌ No encontré tu pedido. Escribe *"hablar"* y te ayudamos.'
+        if (!order) return say(lang, 'cancel_confirm.not_found')
         // Verificar estado actual antes de cancelar
         let freshStatus = order.status
         try {
-          const d = await sbFetch(`orders?id=eq.${order.id}&select=status&limit=1`)
+          const d = await sbFetch(`orders?id=eq.${order.id}&store_id=eq.${store.id}&select=status&limit=1`)
           freshStatus = (d || [])[0]?.status || order.status
         } catch {}
         if (NO_CANCEL_STATES.includes(freshStatus)) {
-          return `⚠️ *Ya no podemos cancelar el pedido #${order.order_number}.*\n\nEstado actual: *${STATE_LABELS[freshStatus]}*\n${STATE_TIPS[freshStatus]}\n\nSi hay algún problema al recibirlo escribe *"queja"* 🙏`
+          return say(lang, 'cancel_confirm.too_late', { order_number: order.order_number, state: stateLabel(lang, freshStatus), tip: stateTip(lang, freshStatus) })
         }
+        // Antes del PATCH: si el sondeo lo viera cancelado, el cliente recibiría un segundo aviso
+        await orderNotifier.markNotified(order.id, 'cancelled')
         const ok = await cancelOrder(order.id)
-        return ok
-          ? `✅ *Pedido #${order.order_number} cancelado.*\n\nCuando quieras volver, aquí estamos 🍓`
-          : `❌ Hubo un problema al cancelar. Escribe *"hablar"* y lo resolvemos.`
+        return say(lang, ok ? 'cancel_confirm.done' : 'cancel_confirm.failed', { order_number: order.order_number })
+      }
+      if (i18n.NO.test(n) || /^(no cancelar|mantener|keep it|keep|manter|garder)$/.test(n))
+        return say(lang, 'cancel_confirm.kept')
+      return say(lang, 'cancel_confirm.ask')
+    }
+
+    const openNow = businessHours.openStatus(hours, new Date(now), lang)
+
+    // ── Esperando la dirección para mirar la zona de reparto ──────
+    // Solo se busca si parece una dirección o un sitio, o si no es otra cosa que entendamos:
+    // "mi pedido", "carta" o "no" siguen como cualquier otro mensaje (y se olvida la espera)
+    if (conv.state === 'waiting_zone_address') {
+      conversations.delete(phone)
+      const other = i18n.NO.test(n) ? 'no' : intents.match({ phone, text, n, conv: { state: 'idle' }, now, openNow, lang })
+      if (deliveryZones.addressIn(text) || deliveryZones.zoneForPlace(zones, n) || !other || other === 'delivery_zone') {
+        ctx.intent = 'delivery_zone'
+        return zoneReply(lang, { text })
       }
-      if (/^(no|nop|nope|no cancelar|mantener)$/i.test(n))
-        return `✅ ¡Perfecto! Tu pedido sigue activo. ¿En qué más te ayudo? 😊`
-      return `Responde *Sí* para cancelar o *No* para mantener el pedido.`
     }
 
-    // ── Número de pedido específico en el mensaje ─────────────────
-    const numMatch = text.match(/#?(\d{3,6})/)
-    if (numMatch && /pedido|numero|número|ref|referencia/.test(n)) {
+    // ── Esperando el sí a "¿Te refieres a X?" ─────────────────────
+    if (conv.state === 'confirm_suggestion') {
+      conversations.delete(phone)
+      if (i18n.YES.test(n)) {
+        const { suggestion } = conv
+        if (suggestion.kind === 'product') {
+          ctx.intent = 'price'
+          return priceReply(suggestion.item, lang)
+        }
+        // Se responde como si hubiera escrito bien el mensaje original
+        const confirmed = await intents.run(suggestion.name, { phone, text: conv.text, n: norm(conv.text), conv: { state: 'idle' }, now, openNow, lang })
+        ctx.trace = confirmed.trace
+        if (confirmed.reply) {
+          ctx.intent = confirmed.intent
+          return confirmed.reply
+        }
+      } else if (i18n.NO.test(n)) {
+        ctx.intent = 'suggestion_rejected'
+        return say(lang, 'suggest.rejected')
+      }
+      // Otra cosa: es un mensaje nuevo, se procesa normal
+    }
+
+    // ── Registro de intenciones (de serie + settings + reglas del panel) ──
+    const result = await intents.resolve({ phone, text, n, conv, now, openNow, lang })
+    ctx.trace = result.trace
+    log.debug('Intención elegida', { winner: result.trace.winner, candidates: result.trace.candidates })
+    if (result.reply) {
+      ctx.intent = result.intent
+      return result.reply
+    }
+
+    // ── Producto o combo sin más ("brwonie", "la de frsa") ────────
+    const product = await matchProduct(n).catch(() => null)
+    if (product && product.score >= fuzzy.ACCEPT) {
+      ctx.intent = 'price'
+      return priceReply(product.item, lang)
+    }
+    if (result.suggestion) {
+      ctx.intent = 'suggestion'
+      return askSuggestion(phone, { kind: 'intent', name: result.suggestion.name, label: result.suggestion.label }, text, now, lang)
+    }
+    if (product && product.score >= fuzzy.SUGGEST) {
+      ctx.intent = 'suggestion'
+      return askSuggestion(phone, { kind: 'product', item: product.item }, text, now, lang)
+    }
+
+    // ── Fallback ──────────────────────────────────────────────────
+    ctx.intent = 'fallback'
+    metrics.fallbackTotal.inc({ store: store.id })
+    return say(lang, 'fallback')
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  //  INTENCIONES DE SERIE
+  // ══════════════════════════════════════════════════════════════════
+  // Mayor prioridad gana; a igual prioridad, el orden de abajo. Un handler que devuelve
+  // null cede el mensaje a la siguiente intención que encaje.
+  // ctx = { phone, text, n, conv, now, openNow, lang }
+  // Los patrones en español van aquí; los de inglés, portugués y francés salen de chatbot_i18n.js
+
+  // Fuera de horario + intento de pedir
+  intents.define({
+    name: 'closed_hours', priority: 100, label: 'hacer un pedido',
+    patterns: [/pedir|pedido nuevo|hacer pedido|quiero pedir|quiero uno|ponme|quisiera pedir/, ...i18n.keywordPatterns('closed_hours')],
+    when: ({ openNow }) => !openNow.open,
+    handler: ({ openNow, lang }) => closedReply(openNow, lang),
+  })
+
+  // Número de pedido específico en el mensaje (si no existe, sigue la siguiente intención)
+  intents.define({
+    name: 'order_lookup', priority: 90, label: 'consultar un pedido',
+    patterns: [/pedido|numero|ref|referencia/, ...i18n.keywordPatterns('order_lookup')],
+    when: ({ text }) => /#?(\d{3,6})/.test(text),
+    handler: async ({ text, lang }) => {
       try {
-        const num  = numMatch[1]
+        const num  = text.match(/#?(\d{3,6})/)[1]
         const data = await sbFetch(
-          `orders?order_number=eq.${num}&select=id,order_number,status,total,created_at,items,customer_name&limit=1`
+          `orders?store_id=eq.${store.id}&order_number=eq.${num}&select=id,order_number,status,total,created_at,preparing_at,items,customer_name&limit=1`
         )
         const found = (data || [])[0]
-        if (found) {
-          return `📋 *Pedido #${found.order_number}*\n\nEstado: *${STATE_LABELS[found.status] || found.status}*\n💰 Total: €${Number(found.total || 0).toFixed(2)}${formatOrderItems(found)}\n\n${STATE_TIPS[found.status] || ''}`
-        }
-      } catch {}
-    }
+        if (!found) return null
+        return say(lang, 'order_lookup.found', {
+          order_number: found.order_number, state: stateLabel(lang, found.status), total: money(found.total),
+          arrival: await arrivalText(found, lang), items: formatOrderItems(found, lang), tip: stateTip(lang, found.status),
+        })
+      } catch { return null }
+    },
+  })
 
-    // ── Nuevo pedido ──────────────────────────────────────────────
-    if (/quiero pedir|hacer un pedido|pedir ahora|ponme un|quiero uno|me pones|me mandas|voy a pedir/.test(n)) {
-      const extra = minOrder > 0 ? `\n\nPedido mínimo: *€${minOrder.toFixed(2)}*` : ''
-      const fee   = deliveryFee > 0 ? ` · Envío: €${deliveryFee.toFixed(2)}` : ' · Envío gratis'
-      return `🍓 ¡Perfecto! Haz tu pedido aquí:\n👉 *${WEB_URL}/menu*\n\nEntrega en *20–35 min*${fee}${extra}\n\n_Pago en efectivo al repartidor._`
-    }
+  // Queja: "mi pedido llegó frío" es una queja, no una consulta de estado
+  intents.define({
+    name: 'complaint', priority: 85, label: 'poner una queja',
+    patterns: [/queja|reclamacion|problema|llego mal|faltaba|estaba mal|no llego|frio|equivocado/, ...i18n.keywordPatterns('complaint')],
+    handler: async ({ phone, text, lang }) => {
+      await saveConversation(phone, 'escalated', 'Queja/problema con pedido', text)
+      await notifyAdmin(say('es', 'admin.complaint', { phone: phone.replace('@c.us', ''), message: text.slice(0, 200) }))
+      return say(lang, 'complaint.reply')
+    },
+  })
+
+  // Modificar pedido: antes que el estado ("cambio de dirección de mi pedido")
+  intents.define({
+    name: 'modify_order', priority: 76, label: 'cambiar tu pedido',
+    patterns: [/cambiar|modificar|cambio|añadir al pedido|anadir al pedido|quitar del pedido|otro sabor|cambiar direc/, ...i18n.keywordPatterns('modify_order')],
+    handler: async ({ phone, text, lang }) => {
+      const order = await findLastOrder(phone)
+      if (!order) return say(lang, 'modify.none')
+      if (NO_CANCEL_STATES.includes(order.status))
+        return say(lang, 'modify.too_late', { order_number: order.order_number, state: stateLabel(lang, order.status) })
+      await saveConversation(phone, 'escalated', 'Solicitud de modificación', text)
+      await notifyAdmin(say('es', 'admin.modify', { phone: phone.replace('@c.us', ''), order_number: order.order_number, message: text.slice(0, 150) }))
+      return say(lang, 'modify.received', { order_number: order.order_number })
+    },
+  })
 
-    // ── Cancelar pedido ───────────────────────────────────────────
-    if (/cancelar|anular|quiero cancelar|cancela|no lo quiero|no quiero el pedido|borra el pedido/.test(n)) {
+  // Nuevo pedido
+  intents.define({
+    name: 'new_order', priority: 74, label: 'hacer un pedido',
+    patterns: [/quiero pedir|hacer un pedido|pedir ahora|ponme un|quiero uno|me pones|me mandas|voy a pedir/, ...i18n.keywordPatterns('new_order')],
+    handler: async ({ phone, openNow, lang }) => {
+      // Pedido por chat; si no hay catálogo (BD caída) se manda a la web como antes
+      const started = await ordering.start(phone, lang)
+      // Cerrado aunque no lo dijera como closed_hours ("me pones...", con faltas)
+      if (started.closed) return closedReply(openNow, lang)
+      if (started.conv) {
+        conversations.set(phone, started.conv)
+        return started.reply
+      }
+      const min = minOrder > 0 ? say(lang, 'new_order.min', { min: money(minOrder) }) : ''
+      const fee = deliveryFee > 0 ? say(lang, 'new_order.fee', { fee: money(deliveryFee) }) : say(lang, 'new_order.free')
+      return say(lang, 'new_order.web', { fee, min })
+    },
+  })
+
+  // Cancelar pedido
+  intents.define({
+    name: 'cancel', priority: 72, label: 'cancelar tu pedido',
+    patterns: [/cancelar|anular|quiero cancelar|cancela|no lo quiero|no quiero el pedido|borra el pedido/, ...i18n.keywordPatterns('cancel')],
+    handler: async ({ phone, now, lang }) => {
       const order = await findLastOrder(phone)
-      if (!order) return `❌ No encontré pedidos activos en tu número.\n\nSi crees que es un error, escribe *"hablar"* 🙏`
-      if (order.status === 'cancelled') return `ℹ️ Tu pedido *#${order.order_number}* ya estaba cancelado.`
+      if (!order) return say(lang, 'cancel.none')
+      if (order.status === 'cancelled') return say(lang, 'cancel.already', { order_number: order.order_number })
       if (NO_CANCEL_STATES.includes(order.status)) {
-        return `⚠️ *Lo sentimos, el pedido #${order.order_number} ya no se puede cancelar.*\n\nEstado: *${STATE_LABELS[order.status]}*\n${STATE_TIPS[order.status]}\n\nSi hay algún problema escribe *"queja"* 🙏`
+        return say(lang, 'cancel.too_late', { order_number: order.order_number, state: stateLabel(lang, order.status), tip: stateTip(lang, order.status) })
       }
       conversations.set(phone, { state: 'waiting_cancel_confirm', order, ts: now })
-      return `⚠️ *¿Seguro que quieres cancelar?*\n\nPedido *#${order.order_number}* · €${Number(order.total || 0).toFixed(2)}\nEstado: ${STATE_LABELS[order.status]}${formatOrderItems(order)}\n\nResponde *Sí* para cancelar o *No* para mantenerlo.`
-    }
+      return say(lang, 'cancel.ask', {
+        order_number: order.order_number, total: money(order.total), state: stateLabel(lang, order.status), items: formatOrderItems(order, lang),
+      })
+    },
+  })
 
-    // ── Estado del pedido ─────────────────────────────────────────
-    if (/estado|donde esta|mi pedido|cuando llega|lo has recibido|confirmado|cuando sale|sigue en pie|han recibido|recibiste|tienes mi pedido/.test(n)) {
+  // Estado del pedido
+  intents.define({
+    name: 'order_status', priority: 70, label: 'ver el estado de tu pedido',
+    patterns: [/estado|donde esta|mi pedido|cuando llega|lo has recibido|confirmado|cuando sale|sigue en pie|han recibido|recibiste|tienes mi pedido/, ...i18n.keywordPatterns('order_status')],
+    handler: async ({ phone, lang }) => {
       const order = await findLastOrder(phone)
-      if (!order) return `📋 No encontré pedidos activos en tu número.\n\nSi acabas de pedir, puede tardar unos segundos. Inténtalo de nuevo en un momento 😊\n\n¿Quieres hacer uno?\n👉 *${WEB_URL}/menu*`
-      const hora = new Date(order.created_at).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })
-      return `📋 *Pedido #${order.order_number}*\n\n🕐 Realizado a las: *${hora}*\n💰 Total: *€${Number(order.total || 0).toFixed(2)}*\n📦 Estado: *${STATE_LABELS[order.status] || order.status}*${formatOrderItems(order)}\n\n${STATE_TIPS[order.status] || ''}\n\n_Si necesitas ayuda escribe *"hablar"* 🙏_`
-    }
+      if (!order) return say(lang, 'status.none')
+      return say(lang, 'status.found', {
+        order_number: order.order_number, time: businessHours.formatLocalTime(order.created_at, hours), total: money(order.total),
+        state: stateLabel(lang, order.status), arrival: await arrivalText(order, lang), items: formatOrderItems(order, lang), tip: stateTip(lang, order.status),
+      })
+    },
+  })
 
-    // ── Modificar pedido ──────────────────────────────────────────
-    if (/cambiar|modificar|cambio|añadir al pedido|quitar del pedido|otro sabor|cambiar direc/.test(n)) {
-      const order = await findLastOrder(phone)
-      if (!order) return `❓ No encontré ningún pedido activo.\n\nPara hacer uno:\n👉 *${WEB_URL}/menu*`
-      if (NO_CANCEL_STATES.includes(order.status))
-        return `⚠️ El pedido *#${order.order_number}* ya está en *${STATE_LABELS[order.status]}* y no se puede modificar.\n\nSi hay un problema al recibirlo escribe *"queja"* 🙏`
-      await saveConversation(phone, 'escalated', 'Solicitud de modificación', text)
-      await notifyAdmin(`✏️ *MODIFICACIÓN — CarmoCream*\n\n📞 ${phone.replace('@c.us', '')} · #${order.order_number}\n💬 "${text.slice(0, 150)}"`)
-      return `✏️ Recibida tu solicitud para el pedido *#${order.order_number}*.\nHemos avisado al equipo. Te confirmamos en breve 🙏`
-    }
+  // Ver menú
+  intents.define({
+    name: 'menu', priority: 60, label: 'ver el menú',
+    patterns: [/menu|carta|que teneis|que tienen|que vendeis|que ofreceis|productos|que hay|que tipos|catalogo|que haceis/, ...i18n.keywordPatterns('menu')],
+    handler: async ({ lang }) => {
+      const [prods, combos] = await Promise.all([getActiveProducts(), getActiveCombos()])
+      if (!prods.length && !combos.length) return say(lang, 'menu.empty')
+      return say(lang, 'menu.reply', { list: formatMenuList(prods, combos, lang) })
+    },
+  })
 
-    // ── Ver menú ──────────────────────────────────────────────────
-    if (/menu|carta|que teneis|que tienen|que vendeis|que ofreceis|productos|que hay|que tipos|catalogo|que haceis/.test(n)) {
+  // Precios
+  intents.define({
+    name: 'price', priority: 58, label: 'saber los precios',
+    patterns: [/cuanto cuesta|cuanto vale|que precio|precio de|cuanto es|cuanto cobr|cuanto valen|a cuanto/, ...i18n.keywordPatterns('price')],
+    handler: async ({ phone, text, n, now, lang }) => {
       const [prods, combos] = await Promise.all([getActiveProducts(), getActiveCombos()])
-      if (!prods.length && !combos.length)
-        return `Puedes ver el menú completo en:\n👉 *${WEB_URL}/menu*`
-      return `🍓 *Menú CarmoCream* — Todo Sin Lactosa\n\n${formatMenuList(prods, combos)}\n\n👉 *${WEB_URL}/menu*\n\n¿Te apetece algo? 😋`
-    }
-
-    // ── Precios ───────────────────────────────────────────────────
-    if (/cuanto cuesta|cuanto vale|que precio|precio de|cuanto es|cuanto cobr|cuanto valen|a cuanto/.test(n)) {
-      const prods = await getActiveProducts()
-      if (!prods.length) return `Todos los precios en:\n👉 *${WEB_URL}/menu*`
-      const match = prods.find(p => n.includes(norm(p.name)))
-      if (match) {
-        const hasSizes = match.price_medium || match.price_large
-        return `💰 ${match.emoji || '🍨'} *${match.name}* — ${hasSizes ? `desde *€${Number(match.price || 0).toFixed(2)}*` : `*€${Number(match.price || 0).toFixed(2)}*`}\n\n👉 *${WEB_URL}/menu*`
-      }
-      const combos = await getActiveCombos()
-      return `💰 *Precios:*\n\n${formatMenuList(prods, combos)}\n\n👉 *${WEB_URL}/menu* 🛒`
-    }
+      if (!prods.length && !combos.length) return say(lang, 'price.empty')
+      const match = await matchProduct(n)
+      if (match?.score >= fuzzy.ACCEPT) return priceReply(match.item, lang)
+      if (match?.score >= fuzzy.SUGGEST) return askSuggestion(phone, { kind: 'product', item: match.item }, text, now, lang)
+      return say(lang, 'price.list', { list: formatMenuList(prods, combos, lang) })
+    },
+  })
 
-    // ── Descuentos / cupones ──────────────────────────────────────
-    if (/descuento|cupon|cupón|codigo|oferta|promo|promocion|rebaja|teneis algo/.test(n)) {
+  // Descuentos / cupones
+  intents.define({
+    name: 'coupons', priority: 56, label: 'ver las promociones',
+    patterns: [/descuento|cupon|codigo|oferta|promo|promocion|rebaja|teneis algo/, ...i18n.keywordPatterns('coupons')],
+    handler: async ({ lang }) => {
       const coupons = await getActiveCoupons()
-      if (!coupons.length)
-        return `Ahora mismo no hay promociones activas 😊\nSíguenos en Instagram:\n👉 *${INSTAGRAM_HANDLE}*\n\n${WEB_URL}/menu`
-      const list = coupons.map(c => {
-        const val = c.discount_type === 'percent' ? `${c.discount_value}%` : `€${Number(c.discount_value || 0).toFixed(2)}`
-        const min = c.min_order ? ` (mín. €${Number(c.min_order).toFixed(2)})` : ''
-        return `🎟️ *${c.code}* — ${val} descuento${min}`
-      }).join('\n')
-      return `🎟️ *Promociones activas:*\n\n${list}\n\nAplícalos al pedir en:\n👉 *${WEB_URL}/menu* 🛒`
-    }
-
-    // ── Horario ───────────────────────────────────────────────────
-    if (/horario|cuando abris|a que hora|cuando estais|cerrado|abierto|dias de la semana/.test(n))
-      return `🕐 *Horario CarmoCream*\n\n📅 Martes a Domingo: 14:00 – 21:00\n❌ Lunes: cerrado\n\n${isOpen ? '🟢 *Ahora estamos abiertos* 🍓' : '🔴 Ahora estamos cerrados.'}\n\n👉 *${WEB_URL}/menu*`
-
-    // ── Zona de reparto ───────────────────────────────────────────
-    if (/zona|repartis|llegais|entregais|domicilio|delivery|reparto|envio|cubris|barrio|llegar a/.test(n))
-      return `🛵 *Zona de reparto:*\n\nRepartimos por *Carmona* y alrededores.\n\nSi no estás seguro/a de si llegamos a tu zona, dinos la dirección y te confirmamos 😊\n\n👉 *${WEB_URL}/menu*`
-
-    // ── Pago ──────────────────────────────────────────────────────
-    if (/pago|pagar|como se paga|bizum|tarjeta|efectivo|transferencia|aceptais/.test(n))
-      return `💵 *Formas de pago:*\n\n💵 Efectivo al repartidor\n📲 Bizum\n💳 Tarjeta\n\n👉 *${WEB_URL}/menu*`
-
-    // ── Alérgenos ─────────────────────────────────────────────────
-    if (/alergeno|lactosa|sin lactosa|intolerante|gluten|vegano|ingredientes|que lleva|que contiene|dieta/.test(n))
-      return `🌿 *CarmoCream — 100% Sin Lactosa*\n\nTodos nuestros productos son sin lactosa.\n\nSi tienes otra alergia específica escribe *"hablar"* 🙏`
-
-    // ── Tiempo de entrega ─────────────────────────────────────────
-    if (/cuanto tarda|tiempo de entrega|tiempo estimado|rapido|en cuanto/.test(n))
-      return `⏱️ Tiempos habituales:\n\n• *Preparación:* 10–15 min\n• *Entrega en Carmona:* 10–20 min\n• *Total estimado: 20–35 min*\n\n👉 *${WEB_URL}/menu*`
-
-    // ── Pedido mínimo ─────────────────────────────────────────────
-    if (/minimo|mínimo|pedido minimo|gastos envio|hay minimo/.test(n)) {
-      const msg = minOrder > 0
-        ? `📦 El pedido mínimo es de *€${minOrder.toFixed(2)}*`
-        : `📦 ¡No tenemos pedido mínimo! 🎉`
-      return `${msg}\n\n👉 *${WEB_URL}/menu*`
-    }
-
-    // ── Queja ─────────────────────────────────────────────────────
-    if (/queja|reclamacion|problema|llego mal|llegó mal|faltaba|estaba mal|no llegó|frio|frío|equivocado/.test(n)) {
-      await saveConversation(phone, 'escalated', 'Queja/problema con pedido', text)
-      await notifyAdmin(`🚨 *QUEJA — CarmoCream*\n\n📞 ${phone.replace('@c.us', '')}\n💬 "${text.slice(0, 200)}"`)
-      return `😔 Sentimos mucho el problema.\n\nHemos notificado al equipo y alguien te contactará *en menos de 30 minutos*.\n\nSi es urgente escribe *"hablar"* 🙏`
-    }
+      if (!coupons.length) return say(lang, 'coupons.none')
+      const list = coupons.map(c => say(lang, 'coupons.line', {
+        code:  c.code,
+        value: c.discount_type === 'percent' ? `${c.discount_value}%` : money(c.discount_value),
+        min:   c.min_order ? say(lang, 'coupons.min', { min: money(c.min_order) }) : '',
+      })).join('\n')
+      return say(lang, 'coupons.reply', { list })
+    },
+  })
+
+  // Horario
+  intents.define({
+    name: 'hours', priority: 54, label: 'nuestro horario',
+    patterns: [/horario|cuando abris|a que hora|cuando estais|cerrado|abierto|dias de la semana/, ...i18n.keywordPatterns('hours')],
+    handler: ({ openNow, lang }) => {
+      const now = openNow.open
+        ? say(lang, 'hours.open_now', { closes: openNow.closesAt })
+        : say(lang, 'hours.closed_now', { reason: closedReason(openNow, lang), reopen: reopenText(openNow, lang) })
+      return say(lang, 'hours.reply', { hours: hoursText(lang), now })
+    },
+  })
+
+  // Zona de reparto
+  intents.define({
+    name: 'delivery_zone', priority: 52, label: 'la zona de reparto',
+    patterns: [/zona|repartis|llegais|entregais|domicilio|delivery|reparto|envio|cubris|barrio|llegar a/, ...i18n.keywordPatterns('delivery_zone')],
+    // Con zonas en settings: si ya trae dirección o sitio se comprueba; si no, se le pide
+    handler: async ({ phone, text, n, now, lang }) => {
+      if (!zones.zones.length) return say(lang, 'delivery_zone.reply')
+      if (deliveryZones.addressIn(text) || deliveryZones.zoneForPlace(zones, n)) return zoneReply(lang, { text })
+      conversations.set(phone, { state: 'waiting_zone_address', ts: now })
+      return say(lang, 'zone.ask')
+    },
+  })
 
-    // ── Hablar con humano ─────────────────────────────────────────
-    if (/hablar|persona|humano|real|agente|encargado|necesito ayuda|ayuda urgente/.test(n)) {
+  // Pago
+  intents.define({
+    name: 'payment', priority: 50, label: 'las formas de pago',
+    patterns: [/pago|pagar|como se paga|bizum|tarjeta|efectivo|transferencia|aceptais/, ...i18n.keywordPatterns('payment')],
+    handler: ({ lang }) => say(lang, 'payment.reply'),
+  })
+
+  // Alérgenos
+  intents.define({
+    name: 'allergens', priority: 48, label: 'alérgenos e ingredientes',
+    patterns: [/alergeno|lactosa|sin lactosa|intolerante|gluten|vegano|ingredientes|que lleva|que contiene|dieta/, ...i18n.keywordPatterns('allergens')],
+    handler: ({ lang }) => say(lang, 'allergens.reply'),
+  })
+
+  // Tiempo de entrega
+  intents.define({
+    name: 'delivery_time', priority: 46, label: 'el tiempo de entrega',
+    patterns: [/cuanto tarda|tiempo de entrega|tiempo estimado|rapido|en cuanto/, ...i18n.keywordPatterns('delivery_time')],
+    handler: async ({ lang }) => {
+      const eta = await etaEstimator.estimate()
+      return say(lang, 'delivery_time.reply', {
+        from: eta.from, to: eta.to, time: businessHours.formatLocalTime(eta.arrival, hours), count: eta.active,
+      })
+    },
+  })
+
+  // Pedido mínimo
+  intents.define({
+    name: 'min_order', priority: 44, label: 'el pedido mínimo',
+    patterns: [/minimo|pedido minimo|gastos envio|hay minimo/, ...i18n.keywordPatterns('min_order')],
+    handler: ({ lang }) => minOrder > 0 ? say(lang, 'min_order.yes', { min: money(minOrder) }) : say(lang, 'min_order.none'),
+  })
+
+  // Hablar con humano
+  intents.define({
+    name: 'human', priority: 42, label: 'hablar con el equipo',
+    patterns: [/hablar|persona|humano|real|agente|encargado|necesito ayuda|ayuda urgente/, ...i18n.keywordPatterns('human')],
+    handler: async ({ phone, text, lang }) => {
       await saveConversation(phone, 'escalated', 'Cliente solicita atención humana', text)
-      await notifyAdmin(`🙋 *ATENCIÓN HUMANA — CarmoCream*\n\n📞 ${phone.replace('@c.us', '')}\n💬 "${text.slice(0, 200)}"`)
-      return `¡Claro! 🙋 He notificado al equipo.\n\nAlguien te responderá en este chat en unos minutos.\n\n¿Hay algo más en lo que pueda ayudarte mientras? 😊`
-    }
+      await notifyAdmin(say('es', 'admin.human', { phone: phone.replace('@c.us', ''), message: text.slice(0, 200) }))
+      return say(lang, 'human.reply')
+    },
+  })
 
-    // ── Agradecimiento ────────────────────────────────────────────
-    if (/gracias|muchas gracias|genial|perfecto|excelente|muy bueno|riquísimo|me encantó|volveré/.test(n)) {
+  // Agradecimiento
+  intents.define({
+    name: 'thanks', priority: 30,
+    patterns: [/gracias|muchas gracias|genial|perfecto|excelente|muy bueno|riquisimo|me encanto|volvere/, ...i18n.keywordPatterns('thanks')],
+    handler: async ({ phone, text, lang }) => {
       try { await saveConversation(phone, 'happy', null, text, { resolved: true }) } catch {}
-      const reviewLink = REVIEW_URL || `${WEB_URL}/menu`
-      return `🍓 ¡Muchísimas gracias! Nos alegra saberlo.\n\nSi tienes un momento, una reseña nos ayuda a crecer:\n👉 ${reviewLink}\n\n¡Hasta pronto! *${INSTAGRAM_HANDLE}*`
-    }
+      return say(lang, 'thanks.reply')
+    },
+  })
 
-    // ── Saludo inicial ────────────────────────────────────────────
-    if (/^(hola|buenas|buenos dias|buenas tardes|hello|hey|saludos|holi)$/i.test(n.trim())) {
-      const history    = await getCustomerHistory(phone)
+  // Saludo inicial
+  intents.define({
+    name: 'greeting', priority: 20,
+    patterns: [/^(hola|buenas|buenos dias|buenas tardes|hello|hey|saludos|holi)$/, ...i18n.keywordPatterns('greeting')],
+    handler: async ({ phone, lang }) => {
+      const history     = await getCustomerHistory(phone)
       const isReturning = history.length > 0
-      const firstName  = history[0]?.customer_name?.split(' ')[0] || ''
-      if (isReturning) {
-        return `¡Hola${firstName ? ` ${firstName}` : ''}! 🍓 ¡Qué alegría verte de nuevo!\n\n¿Hacemos tu pedido de siempre o quieres ver las novedades?\n👉 *${WEB_URL}/menu*\n\nEscríbeme si necesitas cualquier cosa 😊`
-      }
-      return `¡Hola! 👋 Bienvenido/a a *CarmoCream* 🍓\nPostres artesanales 100% Sin Lactosa · Carmona\n\nPuedo ayudarte con:\n🛒 *"menú"* — Ver productos y precios\n📋 *"mi pedido"* — Estado en tiempo real\n❌ *"cancelar"* — Cancelar tu pedido\n🕐 *"horario"* — Cuándo estamos abiertos\n💬 *"hablar"* — Atención personal\n\nO pide directamente:\n👉 *${WEB_URL}/menu*`
-    }
+      const firstName   = history[0]?.customer_name?.split(' ')[0] || ''
+      if (isReturning) return firstName ? say(lang, 'greeting.returning', { name: firstName }) : say(lang, 'greeting.returning_anon')
+      return say(lang, 'greeting.new')
+    },
+  })
 
-    // ── Reglas estáticas del panel admin ─────────────────────────
-    const rule = chatbotRules.find(r => {
-      if (!r.active) return false
-      return r.trigger.split(',')
-        .map(t => norm(t.trim()))
-        .some(kw => kw && n.includes(kw))
+  // ══════════════════════════════════════════════════════════════════
+  //  COMANDOS DEL ADMIN (mensajes desde ADMIN_PHONE)
+  // ══════════════════════════════════════════════════════════════════
+  const ADMIN_HELP =
+    `🛠️ *Comandos CarmoCream*\n\n` +
+    `• */tomar 34600...* — llevas tú el chat, el bot calla\n` +
+    `• */soltar 34600...* — devuelves el chat al bot (queda resuelto)\n` +
+    `• */bot off* · */bot on* — apagar/encender el bot\n` +
+    `• */estado* — resumen del bot\n` +
+    `• */pedido 1234* — ver un pedido\n` +
+    `• */pendientes* — escalados sin resolver`
+
+  const isAdmin = (chatId) => !!ADMIN_PHONE && chatId === `${ADMIN_PHONE}@c.us`
+
+  // Upsert de una clave de settings de esta tienda
+  async function saveSetting(key, value) {
+    await sbFetch('settings?on_conflict=key', {
+      method:  'POST',
+      headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+      body:    JSON.stringify({ key: settingKey(key), value }),
     })
-    if (rule) {
-      return rule.response
-        .replace(/\{\{web\}\}/g, WEB_URL)
-        .replace(/\{\{review\}\}/g, REVIEW_URL)
-        .replace(/\{\{afiliado\}\}/g, AFFILIATE_URL)
-    }
+  }
 
-    // ── Fallback ──────────────────────────────────────────────────
-    return `👋 Soy el asistente de *CarmoCream* 🍓\n\nPara ver el menú y pedir:\n👉 *${WEB_URL}/menu*\n\nTambién puedo ayudarte con:\n• *"menú"* — Productos y precios\n• *"mi pedido"* — Estado en tiempo real\n• *"cancelar"* — Cancelar pedido\n• *"horario"* — Cuándo estamos abiertos\n• *"zona"* — Zona de reparto\n• *"hablar"* — Hablar con el equipo\n\n_CarmoCream · Carmona · Sin Lactosa_ 🍓`
+  // Persiste chatbot_enabled para que el siguiente loadSettings no lo deshaga
+  async function setBotEnabled(enabled) {
+    chatbotEnabled = enabled
+    await saveSetting('chatbot_enabled', String(enabled))
+  }
+
+  async function findOrderByNumber(number) {
+    const data = await sbFetch(
+      `orders?store_id=eq.${store.id}&order_number=eq.${number}&limit=1` +
+      `&select=id,order_number,status,total,created_at,preparing_at,items,customer_name,customer_phone,delivery_address`
+    )
+    return (data || [])[0] || null
+  }
+
+  const ageLabel = (min) => min == null ? '' : min < 60 ? `${min} min` : `${Math.floor(min / 60)} h ${min % 60} min`
+
+  // Devuelve la respuesta para el admin; null = no es un comando (no se contesta)
+  async function handleAdminCommand(rawText) {
+    const text = (rawText || '').trim()
+    if (!text.startsWith('/')) return null
+    const [command, ...args] = text.slice(1).split(/\s+/)
+    const arg = args.join(' ')
+
+    switch (norm(command)) {
+      case 'tomar':
+      case 'soltar': {
+        const phone = chatIdParam(arg)
+        if (!phone) return `⚠️ Falta el teléfono: */${command} 34600000000*`
+        if (norm(command) === 'tomar') {
+          takeOver(phone)
+          await patchConversation(phone, { state: 'admin_takeover', admin_takeover: true })
+            .catch(e => log.error('No se pudo marcar el takeover en la BD', { phone, err: e }))
+          return `✅ Llevas tú el chat con ${phone.replace('@c.us', '')}. El bot no le contestará.\n\nCuando acabes: */soltar ${phone.replace('@c.us', '')}*`
+        }
+        releaseToBot(phone)
+        await patchConversation(phone, { state: 'resolved', resolved: true, admin_takeover: false })
+          .catch(e => log.error('No se pudo resolver la conversación en la BD', { phone, err: e }))
+        return `🤖 El bot vuelve a atender a ${phone.replace('@c.us', '')}.`
+      }
+
+      case 'bot': {
+        const mode = norm(arg)
+        if (mode !== 'on' && mode !== 'off') return `⚠️ Usa */bot on* o */bot off*`
+        try {
+          await setBotEnabled(mode === 'on')
+        } catch (e) {
+          log.error('No se pudo guardar chatbot_enabled', { err: e })
+          return `⚠️ Bot ${mode === 'on' ? 'encendido' : 'apagado'} solo hasta el próximo reinicio (no se pudo guardar en la BD).`
+        }
+        return mode === 'on' ? '🟢 Bot encendido.' : '🔴 Bot apagado. Nadie recibirá respuestas automáticas hasta */bot on*.'
+      }
+
+      case 'estado': {
+        const takeovers = [...conversations.values()].filter(c => c.state === 'admin_takeover').length
+        const pending   = await openEscalations(200).then(l => l.length).catch(() => null)
+        return `📊 *Estado del bot* (v${VERSION})\n\n` +
+          `• Bot: ${chatbotEnabled ? '🟢 encendido' : '🔴 apagado'}\n` +
+          `• Tienda: ${openStatusText(businessHours.openStatus(hours))}\n` +
+          `• Chats que llevas tú: ${takeovers}\n` +
+          `• Escalados sin resolver: ${pending ?? '¿? (BD no responde)'}\n` +
+          `• Conversaciones activas: ${conversations.size}\n` +
+          `• Productos en caché: ${productsCache.length}`
+      }
+
+      case 'pedido': {
+        const number = arg.replace(/\D/g, '')
+        if (!number) return `⚠️ Falta el número: */pedido 1234*`
+        const order = await findOrderByNumber(number)
+        if (!order) return `🔍 No encuentro el pedido #${number}.`
+        const hora = businessHours.formatLocalTime(order.created_at, hours)
+        return `📋 *Pedido #${order.order_number}* · ${hora}\n\n` +
+          `📦 ${stateLabel('es', order.status)}\n` +
+          `👤 ${order.customer_name || '—'} · ${order.customer_phone || '—'}\n` +
+          `📍 ${order.delivery_address || '—'}\n` +
+          `💰 €${Number(order.total || 0).toFixed(2)}${formatOrderItems(order)}`
+      }
+
+      case 'pendientes': {
+        const list = await openEscalations(20)
+        if (!list.length) return '✅ No hay escalados pendientes.'
+        const lines = list.map(c =>
+          `• ${c.admin_takeover ? '🙋' : '⏳'} ${c.phone.replace('@c.us', '')} — ${c.reason || 'sin motivo'} (${ageLabel(c.age_minutes)})`
+        )
+        return `📥 *Pendientes (${list.length})*\n\n${lines.join('\n')}\n\n👉 */tomar <teléfono>* para llevar uno`
+      }
+
+      case 'ayuda':
+      case 'help':
+        return ADMIN_HELP
+
+      default:
+        return `🤔 No conozco */${command}*.\n\n${ADMIN_HELP}`
+    }
   }
 
   // ══════════════════════════════════════════════════════════════════
   //  ESCUCHA DE MENSAJES
   // ══════════════════════════════════════════════════════════════════
-  if (client && typeof client.on === 'function') {
-    client.on('message', async (msg) => {
-      try {
-        const chat = await msg.getChat()
-        if (chat.isGroup || msg.fromMe || msg.type === 'e2e_notification') return
-        const reply = await handleMessage(msg.from, msg.body || '')
-        if (!reply) return
-        await chat.sendStateTyping()
-        await new Promise(r => setTimeout(r, Math.min(1200 + reply.length * 12, 4000)))
-        await chat.clearState()
-        await msg.reply(reply)
-        console.log(`[Chatbot] ✅ ${msg.from.slice(0, 20)}: "${(msg.body || '').slice(0, 40)}" → ${reply.slice(0, 60)}`)
-      } catch (e) { console.error('[Chatbot] Error procesando mensaje:', e.message) }
-    })
-    console.log('[Chatbot] Escucha activada ✅')
+  // El gateway lo engancha con client.on('message', ...) a cada cliente nuevo
+  // Cada mensaje entrante abre su propio reqId: lo heredan los envíos que encole (admin, etc.)
+  function onMessage(msg) {
+    return withContext({ reqId: msg.id?.id || newRequestId() }, () => processMessage(msg))
+  }
+
+  // { latitude, longitude } de whatsapp-web.js → { lat, lng }; null si no son coordenadas
+  function locationOf(loc) {
+    const lat = Number(loc?.latitude)
+    const lng = Number(loc?.longitude)
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null
+  }
+
+  async function processMessage(msg) {
+    try {
+      const chat = await msg.getChat()
+      if (chat.isGroup || msg.fromMe || msg.type === 'e2e_notification') return
+      // El dueño no es un cliente: sus mensajes son comandos y no pasan por el bot ni el historial
+      if (isAdmin(msg.from)) return processAdminMessage(msg)
+      events.publish('message', {
+        wa_id: msg.id?._serialized, phone: msg.from, type: msg.type,
+        body: msg.body || '', has_media: !!msg.hasMedia, timestamp: msg.timestamp,
+      })
+      // Ubicación compartida: el body es la miniatura del mapa, no texto
+      const location = msg.type === 'location' ? locationOf(msg.location) : null
+      const body     = location ? `📍 ${location.lat},${location.lng}` : msg.body || ''
+      const ctx      = { location }
+      const reply    = await handleMessage(msg.from, location ? '' : body, ctx)
+      metrics.inboundTotal.inc({ store: store.id, intent: ctx.intent })
+      log.info('Mensaje recibido', { from: msg.from, type: msg.type, body, intent: ctx.intent })
+      archive.record({
+        chatId: msg.from, direction: 'in', author: 'customer', body: body || null, intent: ctx.intent,
+        mediaType: msg.type === 'chat' ? null : msg.type, waId: msg.id?._serialized,
+        at: msg.timestamp ? new Date(msg.timestamp * 1000).toISOString() : null,
+      })
+      if (!reply) return
+      await chat.sendStateTyping()
+      await new Promise(r => setTimeout(r, Math.min(1200 + reply.length * 12, 4000)))
+      await chat.clearState()
+      const sent = await msg.reply(reply)
+      archive.record({ chatId: msg.from, direction: 'out', author: 'bot', body: reply, intent: ctx.intent, waId: sent?.id?._serialized })
+      log.info('Respondido', { to: msg.from, intent: ctx.intent, length: reply.length })
+    } catch (e) { log.error('Error procesando mensaje', { err: e }) }
+  }
+
+  async function processAdminMessage(msg) {
+    let reply
+    try {
+      reply = await handleAdminCommand(msg.body)
+    } catch (e) {
+      log.error('Error en comando de admin', { err: e })
+      reply = `⚠️ Error: ${e.message}`
+    }
+    if (!reply) return
+    metrics.inboundTotal.inc({ store: store.id, intent: 'admin_command' })
+    log.info('Comando de admin', { command: (msg.body || '').trim().split(/\s+/)[0] })
+    await msg.reply(reply)
   }
 
   // ══════════════════════════════════════════════════════════════════
   //  ENDPOINTS HTTP
   // ══════════════════════════════════════════════════════════════════
 
-  app.get('/chatbot/status', (_, res) =>
-    res.json({ ok: true, enabled: chatbotEnabled, rules: chatbotRules.length, conversations: conversations.size, version: VERSION })
+  router.get('/chatbot/status', (_, res) =>
+    res.json({ ok: true, store: store.id, enabled: chatbotEnabled, rules: chatbotRules.length, conversations: conversations.size, version: VERSION })
   )
 
-  app.post('/chatbot/reload', (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET) return res.status(401).json({ ok: false })
+  router.post('/chatbot/reload', requireScope('admin'), (req, res) => {
     productsCache = []; combosCache = []; cacheTs = 0  // invalida cache
     loadSettings().then(() => res.json({ ok: true, rules: chatbotRules.length, enabled: chatbotEnabled }))
   })
 
-  app.post('/chatbot/test', async (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET) return res.status(401).json({ ok: false })
-    const { message, phone } = req.body || {}
-    const reply = await handleMessage(phone || 'test@c.us', message || '')
-    res.json({ matched: !!reply, reply, enabled: chatbotEnabled })
+  router.post('/chatbot/test', requireScope('admin'), async (req, res) => {
+    // location: { latitude, longitude } para probar una ubicación compartida
+    const { message, phone, location } = req.body || {}
+    const ctx   = { location: location ? locationOf(location) : null }
+    const reply = isAdmin(phone)
+      ? await handleAdminCommand(message || '')
+      : await handleMessage(phone || 'test@c.us', message || '', ctx)
+    res.json({ matched: !!reply, reply, intent: ctx.intent || null, trace: ctx.trace || null, enabled: chatbotEnabled })
+  })
+
+  // Intenciones efectivas (de serie + ajustes de settings + reglas), en orden de prioridad
+  router.get('/chatbot/intents', requireScope('admin'), (_, res) =>
+    res.json({ ok: true, intents: intents.list() })
+  )
+
+  // ── Plantillas de texto (message_templates.js) ───────────────
+  // Todas, con sus variables y el texto vigente por idioma (custom = editado en settings)
+  router.get('/chatbot/templates', requireScope('admin'), (_, res) =>
+    res.json({ ok: true, custom: templates.customCount, templates: templates.list() })
+  )
+
+  // Probar un borrador con datos de ejemplo: { key, lang?, text?, vars? }
+  router.post('/chatbot/templates/preview', requireScope('admin'), (req, res) => {
+    const { key, lang, text, vars } = req.body || {}
+    if (!key) return res.status(400).json({ ok: false, error: 'Falta key' })
+    const out = templates.preview(key, { lang, text, vars: { ...globalVars(), ...vars } })
+    if (out.errors.length) return res.status(400).json({ ok: false, errors: out.errors })
+    res.json({ ok: true, key, lang: lang || i18n.DEFAULT_LANG, text: out.text })
+  })
+
+  // Guardar una plantilla en settings.chatbot_templates: { lang?, text } — text vacío vuelve al de serie
+  router.put('/chatbot/templates/:key', requireScope('admin'), async (req, res) => {
+    const { key } = req.params
+    const { lang = i18n.DEFAULT_LANG, text } = req.body || {}
+    const reset = text == null || text === ''
+    const check = templates.preview(key, { lang, text: reset ? undefined : text })
+    if (check.errors.length) return res.status(400).json({ ok: false, errors: check.errors })
+    try {
+      // Se parte de lo que hay en la BD, no de la memoria: puede haberse editado a mano
+      const rows = await sbFetch(`settings?key=eq.${settingKey('chatbot_templates')}&select=value&limit=1`)
+      let saved
+      try { saved = JSON.parse(rows?.[0]?.value || '{}') } catch {
+        return res.status(409).json({ ok: false, error: 'chatbot_templates en settings no es JSON válido; corrígelo antes de editar' })
+      }
+      const texts = typeof saved[key] === 'string' ? { [i18n.DEFAULT_LANG]: saved[key] } : { ...saved[key] }
+      if (reset) delete texts[lang]
+      else texts[lang] = text
+      if (Object.keys(texts).length) saved[key] = texts
+      else delete saved[key]
+      await saveSetting('chatbot_templates', JSON.stringify(saved))
+      const errors = templates.setOverrides(saved)
+      log.info('Plantilla guardada', { key, lang, reset })
+      res.json({ ok: true, key, lang, custom: !reset, errors })
+    } catch (e) {
+      log.error('No se pudo guardar la plantilla', { key, err: e })
+      res.status(500).json({ ok: false, error: e.message })
+    }
   })
 
   // Diagnóstico de BD (útil desde el panel admin)
-  app.get('/chatbot/ping-db', async (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET && req.query.secret !== process.env.WA_SECRET)
-      return res.status(401).json({ ok: false })
+  router.get('/chatbot/ping-db', requireScope('analytics'), async (req, res) => {
     try {
-      const data = await sbFetch('settings?key=eq.chatbot_enabled&select=key,value&limit=1')
+      const data = await sbFetch(`settings?key=eq.${settingKey('chatbot_enabled')}&select=key,value&limit=1`)
       res.json({ ok: true, db: 'connected', chatbot_enabled: (data || [])[0]?.value })
     } catch (e) {
       res.status(500).json({ ok: false, error: e.message })
     }
   })
 
-  app.post('/chatbot/takeover', (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET) return res.status(401).json({ ok: false })
+  router.post('/chatbot/takeover', requireScope('admin'), (req, res) => {
     const { phone, release } = req.body || {}
-    if (release) {
-      conversations.delete(phone)
-      console.log(`[Chatbot] Bot reactivado: ${phone}`)
-    } else {
-      conversations.set(phone, { state: 'admin_takeover', ts: Date.now() })
-      console.log(`[Chatbot] Admin takeover: ${phone}`)
-    }
+    if (release) releaseToBot(phone)
+    else         takeOver(phone)
     res.json({ ok: true, phone, release })
   })
 
+  // ── Bandeja del equipo ────────────────────────────────────────────────────
+  // :phone admite 612345678, 34612345678 o 34612345678@c.us → id de chat de WhatsApp
+  function chatIdParam(raw) {
+    const digits = String(raw || '').replace(/@.*$/, '').replace(/\D/g, '')
+    if (digits.length < 9 || digits.length > 15) return null
+    return `${digits.length === 9 ? `34${digits}` : digits}@c.us`
+  }
+
+  // Escalados sin resolver (también los que ya lleva el equipo), los más antiguos primero
+  router.get('/chatbot/inbox', requireScope('admin'), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || '50') || 50, 200)
+    try {
+      const items = await openEscalations(limit)
+      res.json({ ok: true, count: items.length, conversations: items })
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message })
+    }
+  })
+
+  // Responder como equipo: sale por la cola y el bot deja de contestar a ese cliente
+  router.post('/chatbot/inbox/:phone/reply', requireScope('admin'), async (req, res) => {
+    const phone   = chatIdParam(req.params.phone)
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : ''
+    if (!phone) return res.status(400).json({ ok: false, error: 'Teléfono inválido' })
+    if (!message || message.length > 2000) return res.status(400).json({ ok: false, error: 'Mensaje vacío o demasiado largo' })
+    try {
+      // Solo conversaciones de esta tienda: la clave de otra no puede contestar por ella
+      if (!await patchConversation(phone, { state: 'admin_takeover', admin_takeover: true }))
+        return res.status(404).json({ ok: false, error: 'Conversación no encontrada' })
+      const job = await outbox.enqueue({ chatId: phone, body: message, source: 'admin_reply', priority: 8 })
+      if (conversations.get(phone)?.state !== 'admin_takeover') takeOver(phone)
+      res.status(202).json({ ok: true, id: job.id, phone, admin_takeover: true })
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message })
+    }
+  })
+
+  // Resolver: cierra el escalado y devuelve el chat al bot
+  router.post('/chatbot/inbox/:phone/resolve', requireScope('admin'), async (req, res) => {
+    const phone = chatIdParam(req.params.phone)
+    if (!phone) return res.status(400).json({ ok: false, error: 'Teléfono inválido' })
+    try {
+      if (!await patchConversation(phone, { state: 'resolved', resolved: true, admin_takeover: false }))
+        return res.status(404).json({ ok: false, error: 'Conversación no encontrada' })
+      releaseToBot(phone)
+      res.json({ ok: true, phone, resolved: true })
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message })
+    }
+  })
+
+  // Historial de una conversación — ?limit=50&before=<id> (más recientes primero)
+  router.get('/chatbot/conversations/:phone/messages', requireScope('admin'), async (req, res) => {
+    const digits = String(req.params.phone).replace(/@.*$/, '').replace(/\D/g, '')
+    if (digits.length < 9) return res.status(400).json({ ok: false, error: 'Teléfono inválido' })
+    const phone  = digits.length === 9 ? `34${digits}` : digits
+    const before = req.query.before ? parseInt(req.query.before) : null
+    if (req.query.before && !Number.isFinite(before)) return res.status(400).json({ ok: false, error: 'before inválido' })
+    try {
+      const page = await archive.conversation(phone, {
+        before, limit: Math.min(parseInt(req.query.limit || '50') || 50, 200),
+      })
+      res.json({ ok: true, phone, count: page.messages.length, ...page })
+    } catch (e) {
+      res.status(500).json({ ok: false, error: e.message })
+    }
+  })
+
+  // Avisos de cambio de estado: qué estados se avisan, hasta dónde se ha leído y cuántos van
+  router.get('/chatbot/order-notifications', requireScope('admin'), (_, res) =>
+    res.json({ ok: true, ...orderNotifier.info() })
+  )
+
   // Solicitud de reseña post-entrega
-  app.post('/chatbot/review-request', async (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET) return res.status(401).json({ ok: false })
+  router.post('/chatbot/review-request', requireScope('send'), async (req, res) => {
     const { phone, customer_name, order_number } = req.body || {}
-    if (!phone || !client) return res.status(400).json({ ok: false, error: 'No phone or client' })
+    if (!phone) return res.status(400).json({ ok: false, error: 'No phone' })
     try {
-      const name = (customer_name || '').split(' ')[0] || 'Cliente'
-      const link = REVIEW_URL || `${WEB_URL}/menu`
-      const msg  = `🍓 ¡Hola ${name}! Esperamos que hayas disfrutado tu pedido *#${order_number}* de CarmoCream.\n\nSi tienes un momento, deja tu valoración:\n👉 ${link}\n\n¡Hasta pronto! 🙏 *${INSTAGRAM_HANDLE}*`
-      await client.sendMessage(`${phone.replace(/\D/g, '')}@c.us`, msg)
-      console.log(`[Chatbot] Review request → ${phone}`)
-      res.json({ ok: true })
+      const chatId = `${phone.replace(/\D/g, '')}@c.us`
+      const name   = (customer_name || '').split(' ')[0] || 'Cliente'
+      // En el idioma en que nos escribió si aún lo recordamos
+      const msg    = say(languages.get(chatId)?.lang, 'review.request', { name, order_number })
+      const job    = await outbox.enqueue({ chatId, body: msg, source: 'review_request' })
+      log.info('Review request', { phone, id: job.id })
+      res.json({ ok: true, id: job.id })
     } catch (e) {
-      console.error('[Chatbot] review-request:', e.message)
+      log.error('review-request', { err: e })
       res.status(500).json({ ok: false, error: e.message })
     }
   })
 
   // Broadcast a lista de teléfonos
-  app.post('/chatbot/broadcast', async (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET) return res.status(401).json({ ok: false })
+  router.post('/chatbot/broadcast', requireScope('broadcast'), async (req, res) => {
     const { phones, message } = req.body || {}
-    if (!phones?.length || !message || !client) return res.status(400).json({ ok: false })
-    let sent = 0, errors = 0
+    if (!phones?.length || !message) return res.status(400).json({ ok: false })
+    // La cola marca el ritmo de envío — aquí solo se encola
+    const ids = []
+    let errors = 0
     for (const phone of phones.slice(0, 50)) {
       try {
-        await client.sendMessage(`${phone.replace(/\D/g, '')}@c.us`, message)
-        sent++
-        await new Promise(r => setTimeout(r, 1500))
+        const job = await outbox.enqueue({ chatId: `${String(phone).replace(/\D/g, '')}@c.us`, body: message, source: 'broadcast' })
+        ids.push(job.id)
       } catch { errors++ }
     }
-    res.json({ ok: true, sent, errors })
+    res.json({ ok: true, queued: ids.length, errors, ids })
   })
 
   // Clientes inactivos
-  app.get('/chatbot/inactive-customers', async (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET) return res.status(401).json({ ok: false })
+  router.get('/chatbot/inactive-customers', requireScope('analytics'), async (req, res) => {
     const days      = parseInt(req.query.days || '7')
     const minOrders = parseInt(req.query.min_orders || '2')
     try {
       const cutoff = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString()
-      const data   = await sbFetch('orders?status=neq.cancelled&select=customer_phone,customer_name,created_at&order=created_at.desc')
+      const data   = await sbFetch(`orders?store_id=eq.${store.id}&status=neq.cancelled&select=customer_phone,customer_name,created_at&order=created_at.desc`)
       const map    = {}
       for (const r of (data || [])) {
         if (!r.customer_phone) continue
@@ -655,11 +1483,10 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
   })
 
   // Clientes VIP
-  app.get('/chatbot/vip-customers', async (req, res) => {
-    if (req.headers['x-secret'] !== process.env.WA_SECRET) return res.status(401).json({ ok: false })
+  router.get('/chatbot/vip-customers', requireScope('analytics'), async (req, res) => {
     const minOrders = parseInt(req.query.min_orders || '3')
     try {
-      const data = await sbFetch('orders?status=neq.cancelled&select=customer_phone,customer_name,total&order=created_at.desc')
+      const data = await sbFetch(`orders?store_id=eq.${store.id}&status=neq.cancelled&select=customer_phone,customer_name,total&order=created_at.desc`)
       const map  = {}
       for (const r of (data || [])) {
         if (!r.customer_phone) continue
@@ -677,7 +1504,12 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
   })
 
   // ── Inicialización ────────────────────────────────────────────
-  loadSettings()
+  // Los avisos esperan a los settings para no mandar estados que la tienda tiene apagados;
+  // la purga del historial, a chatbot_messages_retention_days (Railway reinicia antes de 24 h)
+  loadSettings().then(() => {
+    orderNotifier.start()
+    archive.purge()
+  })
   setInterval(loadSettings, 5 * 60 * 1000)
 
   // Limpiar conversaciones colgadas > 30 min
@@ -688,5 +1520,16 @@ module.exports = function setupChatbot(app, client, supabaseUrl, supabaseKey) {
         conversations.delete(phone)
       }
     }
+    // El idioma y la ubicación se recuerdan un día: si vuelve mañana se detecta de nuevo
+    const langCutoff = Date.now() - 24 * 60 * 60 * 1000
+    for (const [phone, entry] of languages.entries()) {
+      if (entry.ts < langCutoff) languages.delete(phone)
+    }
+    for (const [phone, entry] of locations.entries()) {
+      if (entry.ts < langCutoff) locations.delete(phone)
+    }
   }, 10 * 60 * 1000)
+
+  log.info('Escucha activada')
+  return { onMessage }
 }
@@ -0,0 +1,149 @@
+/**
+ * delivery_eta.js — Cuánto tarda un pedido ahora mismo (no siempre "20–35 min")
+ * =====================================================
+ * El bot prometía lo mismo con la cocina vacía que con quince pedidos esperando.
+ *   ✅ Cola: pedidos en pending + preparing; cada uno por encima de lo que la cocina
+ *      saca a la vez suma unos minutos
+ *   ✅ Media reciente de preparación → entrega (preparing_at → delivered_at, últimos 7 días)
+ *   ✅ Hora del día: si hay muestras suficientes de esa franja (±1 h) manda su media,
+ *      porque la cena del sábado no es la merienda del martes
+ *   ✅ Hora de llegada de un pedido concreto según su estado ("llega aprox. a las 20:45")
+ *   ✅ Sin datos o sin las columnas → DEFAULT_PREP_MINUTES, lo de siempre
+ *   ✅ Cola y tiempos solo de los pedidos de la tienda (orders.store_id, ver order_notifications.js):
+ *      cada tienda tiene su cocina
+ * Los fallos de lectura solo se registran: la estimación nunca rompe una respuesta.
+ * =====================================================
+ *
+ * TABLA orders — momento en que empieza la preparación y en que se entrega:
+ *   alter table orders
+ *     add column if not exists preparing_at timestamptz,
+ *     add column if not exists delivered_at timestamptz;
+ *   create or replace function stamp_order_times() returns trigger as $$
+ *   begin
+ *     if new.status = 'preparing' and old.status is distinct from 'preparing' then new.preparing_at = now(); end if;
+ *     if new.status = 'delivered' and old.status is distinct from 'delivered' then new.delivered_at = now(); end if;
+ *     return new;
+ *   end $$ language plpgsql;
+ *   create trigger orders_stamp_times before update on orders
+ *     for each row execute function stamp_order_times();
+ */
+
+const { localParts } = require('./business_hours')
+
+const ACTIVE_STATUSES      = ['pending', 'preparing']
+const SAMPLE_DAYS          = 7
+const SAMPLE_LIMIT         = 200
+const MIN_SAMPLES          = 5
+const STATS_TTL_MS         = 10 * 60 * 1000
+const QUEUE_TTL_MS         = 60 * 1000
+// Sin historial: 10–15 de preparación + 10–20 de reparto, como decía delivery_time.reply
+const DEFAULT_PREP_MINUTES = 25
+// Hasta que la cocina acepta el pedido
+const CONFIRM_MINUTES      = 5
+// Pedidos que la cocina prepara a la vez sin que se note, y lo que suma cada uno de más
+const KITCHEN_SLOTS        = 2
+const MINUTES_PER_ORDER    = 4
+// Una muestra fuera de este rango es un pedido olvidado en el panel, no un tiempo real
+const SAMPLE_RANGE         = [5, 120]
+// Lo mínimo que le queda a un pedido según su estado (aunque la media diga que ya debería estar)
+const MIN_LEFT_MINUTES     = { pending: 20, preparing: 10, ready: 8, delivering: 5 }
+
+const MINUTE  = 60 * 1000
+const round5  = (n) => Math.round(n / 5) * 5
+const average = (list) => list.reduce((a, b) => a + b, 0) / list.length
+
+/**
+ * createEtaEstimator({ storeId, sbFetch, timezone, log }) → { estimate, arrivalFor }
+ *   timezone() → zona horaria de la tienda (business_hours), para las franjas del día
+ */
+function createEtaEstimator({ storeId, sbFetch, timezone, log }) {
+  let samples = []   // [{ hour, minutes }] de pedidos entregados
+  let statsTs = 0
+  let active  = 0
+  let queueTs = 0
+  let warned  = false
+
+  async function loadSamples(now) {
+    if (now - statsTs < STATS_TTL_MS) return
+    statsTs = now
+    try {
+      const since = new Date(now - SAMPLE_DAYS * 24 * 60 * MINUTE).toISOString()
+      const rows  = await sbFetch(
+        `orders?store_id=eq.${storeId}&status=eq.delivered&delivered_at=gte.${encodeURIComponent(since)}` +
+        `&select=preparing_at,delivered_at&order=delivered_at.desc&limit=${SAMPLE_LIMIT}`
+      )
+      samples = (rows || [])
+        .filter(r => r.preparing_at && r.delivered_at)
+        .map(r => ({
+          hour:    Math.floor(localParts(new Date(r.preparing_at), timezone()).minutes / 60),
+          minutes: (new Date(r.delivered_at) - new Date(r.preparing_at)) / MINUTE,
+        }))
+        .filter(s => s.minutes >= SAMPLE_RANGE[0] && s.minutes <= SAMPLE_RANGE[1])
+      warned = false
+    } catch (e) {
+      // Lo normal si faltan las columnas: se avisa una vez y se usan los valores de serie
+      if (!warned) log.warn('ETA: no se pudieron leer los tiempos de entrega (se usan los de serie)', { err: e })
+      warned = true
+    }
+  }
+
+  async function loadQueue(now) {
+    if (now - queueTs < QUEUE_TTL_MS) return
+    queueTs = now
+    try {
+      const rows = await sbFetch(`orders?store_id=eq.${storeId}&status=in.(${ACTIVE_STATUSES.join(',')})&select=id&limit=100`)
+      active = (rows || []).length
+    } catch (e) {
+      log.error('ETA: no se pudo contar la cola de cocina', { err: e })
+    }
+  }
+
+  // Media de preparación → entrega para esta hora del día (o de todo el historial, o la de serie)
+  function prepMinutes(now) {
+    const hour = Math.floor(localParts(new Date(now), timezone()).minutes / 60)
+    const band = samples.filter(s => Math.abs(s.hour - hour) <= 1)
+    if (band.length >= MIN_SAMPLES) return { minutes: average(band.map(s => s.minutes)), basis: 'hour' }
+    if (samples.length >= MIN_SAMPLES) return { minutes: average(samples.map(s => s.minutes)), basis: 'history' }
+    return { minutes: DEFAULT_PREP_MINUTES, basis: 'default' }
+  }
+
+  const queueMinutes = () => Math.max(0, active - KITCHEN_SLOTS) * MINUTES_PER_ORDER
+
+  /**
+   * estimate(now?) → { minutes, from, to, arrival, active, basis }
+   *   Para un pedido que se hiciera ahora: confirmación + cola + preparación y entrega.
+   *   basis: hour | history | default — de dónde sale la media de preparación
+   */
+  async function estimate(now = Date.now()) {
+    await Promise.all([loadSamples(now), loadQueue(now)])
+    const prep    = prepMinutes(now)
+    const minutes = Math.round(CONFIRM_MINUTES + queueMinutes() + prep.minutes)
+    const from    = Math.max(10, round5(minutes - 5))
+    return {
+      minutes,
+      from,
+      to:      Math.max(from + 5, round5(minutes + 5)),
+      arrival: new Date(now + minutes * MINUTE),
+      active,
+      basis:   prep.basis,
+    }
+  }
+
+  /**
+   * arrivalFor(order, now?) → Date | null (entregado, cancelado o estado desconocido)
+   *   Con preparing_at: desde que empezó la cocina. Si no: desde que se hizo, como uno nuevo.
+   */
+  async function arrivalFor(order, now = Date.now()) {
+    const left = MIN_LEFT_MINUTES[order?.status]
+    if (left == null) return null
+    const eta = await estimate(now)
+    const expected = order.preparing_at
+      ? new Date(order.preparing_at).getTime() + prepMinutes(now).minutes * MINUTE
+      : new Date(order.created_at || now).getTime() + eta.minutes * MINUTE
+    return new Date(Math.max(expected, now + left * MINUTE))
+  }
+
+  return { estimate, arrivalFor }
+}
+
+module.exports = { createEtaEstimator, DEFAULT_PREP_MINUTES }
@@ -0,0 +1,209 @@
+/**
+ * delivery_zones.js — ¿Llegamos a esa dirección? Zonas de reparto con su envío y su mínimo
+ * =====================================================
+ * "zona" solo contestaba "Carmona y alrededores, dinos la dirección" y las ubicaciones
+ * que mandaban los clientes se ignoraban.
+ *   ✅ Zonas en settings.delivery_zones: círculo (centro + radio) o polígono, cada una con
+ *      sus gastos de envío y su pedido mínimo (si no, los generales)
+ *   ✅ Ubicación compartida en WhatsApp → se mira directamente en qué zona cae
+ *   ✅ Dirección escrita → se busca en OpenStreetMap (Nominatim) y se mira igual;
+ *      cada zona puede tener además nombres de sitios ("guadajoz") que valen sin buscar nada
+ *   ✅ Gana la primera zona de la lista que contenga el punto: los anillos, de dentro afuera
+ * =====================================================
+ *
+ * settings.delivery_zones (JSON):
+ *   {
+ *     "area":  "Carmona, Sevilla, España",       (se añade a las direcciones escritas al buscarlas)
+ *     "zones": [
+ *       { "name": "Centro",      "center": [37.4713, -5.6418], "radius_km": 1.5, "fee": 1.5, "min_order": 10 },
+ *       { "name": "Alrededores", "center": [37.4713, -5.6418], "radius_km": 6,   "fee": 3,   "min_order": 20,
+ *         "places": ["guadajoz", "la celada"] },
+ *       { "name": "Polígono",    "polygon": [[37.462, -5.655], [37.468, -5.648], [37.458, -5.640]], "fee": 2 }
+ *     ]
+ *   }
+ * Coordenadas siempre [latitud, longitud]. Sin fee / min_order → delivery_fee / min_order de settings.
+ *
+ * VARIABLES DE ENTORNO:
+ *   GEOCODER_URL = https://nominatim.openstreetmap.org/search   (por defecto; "off" = no buscar direcciones)
+ */
+
+const GEOCODER_URL     = process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org/search'
+const GEOCODER_TIMEOUT = 5000
+const GEOCODE_CACHE    = 500
+// Política de uso de Nominatim: como mucho una consulta por segundo
+const MIN_INTERVAL_MS  = 1000
+// En fila como mucho esto (≈ segundos de espera); más, y no se busca
+const MAX_PENDING      = 10
+const FAILURE_TTL_MS   = 60 * 1000
+const EARTH_RADIUS_KM  = 6371
+
+// Lo que suele empezar una dirección escrita: "calle Real 12", "c/ San Pedro", "avda. de la Feria"...
+const ADDRESS_RE = /\b(calle|c\/|avda\.?|avenida|av\.|plaza|pza\.?|paseo|camino|carretera|ctra\.?|urbanizaci[oó]n|urb\.?|barriada|bda\.?|ronda|traves[ií]a|street|road|avenue|rua|travessa|rue|chemin)\s.+$/i
+
+const isNumber = (n) => typeof n === 'number' && Number.isFinite(n)
+const isPoint  = (p) => Array.isArray(p) && p.length === 2 && isNumber(p[0]) && isNumber(p[1]) &&
+  Math.abs(p[0]) <= 90 && Math.abs(p[1]) <= 180
+
+// ── Geometría ────────────────────────────────────────────────────────────────
+function distanceKm([lat1, lng1], [lat2, lng2]) {
+  const rad  = (d) => d * Math.PI / 180
+  const dLat = rad(lat2 - lat1)
+  const dLng = rad(lng2 - lng1)
+  const a    = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+// Ray casting; a la escala de un pueblo lat/lng se pueden tratar como planas
+function insidePolygon([lat, lng], polygon) {
+  let inside = false
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i]
+    const [latJ, lngJ] = polygon[j]
+    if ((lngI > lng) !== (lngJ > lng) && lat < (latJ - latI) * (lng - lngI) / (lngJ - lngI) + latI) inside = !inside
+  }
+  return inside
+}
+
+// ── Settings ────────────────────────────────────────────────────────────────
+/**
+ * parseDeliveryZones(raw, normalize) → { config: { area, zones }, errors }
+ *   raw: el JSON de settings ya parseado ({ area, zones } o directamente la lista)
+ *   Las zonas con errores se descartan; el resto se usa.
+ */
+function parseDeliveryZones(raw, normalize = (s) => s.toLowerCase()) {
+  const errors = []
+  const list   = Array.isArray(raw) ? raw : raw?.zones
+  const area   = typeof raw?.area === 'string' ? raw.area.trim() : ''
+  if (!Array.isArray(list)) return { config: { area, zones: [] }, errors: ['zones debe ser una lista'] }
+
+  const zones = []
+  list.forEach((z, i) => {
+    const where = `zones[${i}]${z?.name ? ` (${z.name})` : ''}`
+    if (!z || typeof z !== 'object') return errors.push(`${where}: debe ser un objeto`)
+    const zone = { name: String(z.name || `Zona ${i + 1}`), fee: null, minOrder: null, places: [] }
+    if (z.polygon !== undefined) {
+      if (!Array.isArray(z.polygon) || z.polygon.length < 3 || !z.polygon.every(isPoint))
+        return errors.push(`${where}: polygon debe tener al menos 3 puntos [lat, lng]`)
+      zone.polygon = z.polygon
+    } else if (z.center !== undefined || z.radius_km !== undefined) {
+      if (!isPoint(z.center)) return errors.push(`${where}: center debe ser [lat, lng]`)
+      if (!isNumber(z.radius_km) || z.radius_km <= 0) return errors.push(`${where}: radius_km debe ser un número mayor que 0`)
+      zone.center   = z.center
+      zone.radiusKm = z.radius_km
+    } else if (!Array.isArray(z.places) || !z.places.length) {
+      return errors.push(`${where}: necesita polygon, center + radius_km o places`)
+    }
+    for (const [key, field] of [['fee', 'fee'], ['min_order', 'minOrder']]) {
+      if (z[key] === undefined || z[key] === null) continue
+      if (!isNumber(z[key]) || z[key] < 0) { errors.push(`${where}: ${key} debe ser un número ≥ 0 (se usa el general)`); continue }
+      zone[field] = z[key]
+    }
+    if (Array.isArray(z.places)) zone.places = z.places.map(p => normalize(String(p))).filter(Boolean)
+    zones.push(zone)
+  })
+  return { config: { area, zones }, errors }
+}
+
+// ── Búsqueda ────────────────────────────────────────────────────────────────
+// point = [lat, lng] → primera zona que lo contiene, o null
+function zoneForPoint(config, point) {
+  return config.zones.find(z =>
+    (z.polygon && insidePolygon(point, z.polygon)) ||
+    (z.center && distanceKm(point, z.center) <= z.radiusKm)
+  ) || null
+}
+
+// Texto normalizado → zona cuyo nombre de sitio aparece como palabra ("guadajoz"), o null
+function zoneForPlace(config, n) {
+  return config.zones.find(z => z.places.some(p => new RegExp(`(^|\\W)${p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\W|$)`).test(n))) || null
+}
+
+// "¿llegáis a calle Real 12?" → "calle Real 12"; null si no parece una dirección
+function addressIn(text) {
+  const m = String(text || '').match(ADDRESS_RE)
+  return m ? m[0].replace(/[?¿!¡.]+$/, '').trim() : null
+}
+
+/**
+ * createGeocoder({ log }) → { geocode(address, area) → { point: [lat, lng], label } | null }
+ * Nominatim pide un User-Agent propio y como mucho una consulta por segundo: las consultas
+ * van en fila de una en una con un segundo entre ellas, y si hay demasiadas esperando no se
+ * busca (null). Cada dirección se cachea, también las que no existen; un fallo del servicio
+ * solo se recuerda FAILURE_TTL_MS, después se vuelve a intentar.
+ */
+function createGeocoder({ log }) {
+  const cache   = new Map()   // consulta → { result, until } (until = Infinity salvo los fallos)
+  const waiting = new Map()   // consulta → promesa en la fila: dos clientes con la misma dirección, una consulta
+  let queue     = Promise.resolve()
+  let lastAt    = 0
+
+  function cached(query) {
+    const hit = cache.get(query)
+    if (!hit) return undefined
+    if (hit.until > Date.now()) return hit.result
+    cache.delete(query)
+    return undefined
+  }
+
+  function remember(query, result, ttl = Infinity) {
+    if (cache.size >= GEOCODE_CACHE) cache.delete(cache.keys().next().value)
+    cache.set(query, { result, until: Date.now() + ttl })
+  }
+
+  // De una en una y con MIN_INTERVAL_MS desde el final de la anterior
+  function throttled(fn) {
+    const run = queue.then(async () => {
+      const wait = lastAt + MIN_INTERVAL_MS - Date.now()
+      if (wait > 0) await new Promise(r => setTimeout(r, wait))
+      try { return await fn() } finally { lastAt = Date.now() }
+    })
+    queue = run.catch(() => {})
+    return run
+  }
+
+  async function lookup(query, address) {
+    try {
+      const res = await fetch(`${GEOCODER_URL}?format=json&limit=1&q=${encodeURIComponent(query)}`, {
+        headers: { 'User-Agent': 'CarmoCream-WhatsApp/1.0', 'Accept-Language': 'es' },
+        signal:  AbortSignal.timeout(GEOCODER_TIMEOUT),
+      })
+      if (!res.ok) throw new Error(`Geocoder ${res.status}`)
+      const [hit] = await res.json()
+      const result = hit ? { point: [Number(hit.lat), Number(hit.lon)], label: hit.display_name || address } : null
+      remember(query, result)
+      return result
+    } catch (e) {
+      // Un rato sin volver a preguntar lo mismo: si el servicio está caído o nos limita, insistir empeora
+      log.warn('No se pudo buscar la dirección', { err: e })
+      remember(query, null, FAILURE_TTL_MS)
+      return null
+    }
+  }
+
+  async function geocode(address, area = '') {
+    if (GEOCODER_URL === 'off') return null
+    const query = area && !address.toLowerCase().includes(area.split(',')[0].trim().toLowerCase())
+      ? `${address}, ${area}` : address
+    const hit = cached(query)
+    if (hit !== undefined) return hit
+    if (waiting.has(query)) return waiting.get(query)
+    if (waiting.size >= MAX_PENDING) {
+      log.warn('Demasiadas direcciones esperando al geocoder (no se busca)', { pending: waiting.size })
+      return null
+    }
+    const run = throttled(() => lookup(query, address)).finally(() => waiting.delete(query))
+    waiting.set(query, run)
+    return run
+  }
+
+  return { geocode }
+}
+
+module.exports = {
+  parseDeliveryZones,
+  zoneForPoint,
+  zoneForPlace,
+  addressIn,
+  distanceKm,
+  createGeocoder,
+}
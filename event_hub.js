@@ -0,0 +1,44 @@
+/**
+ * event_hub.js — Eventos en vivo de una tienda (conexión y chatbot)
+ * =====================================================
+ * Tipos: qr, authenticated, ready, disconnected, message, ack, escalation, takeover
+ * Además de los SSE, webhooks.js reenvía estos eventos a las URLs registradas.
+ * Cada evento lleva un id creciente; se guardan los últimos para que un
+ * cliente SSE que se reconecta con Last-Event-ID no se pierda nada.
+ * =====================================================
+ */
+
+const { EventEmitter } = require('events')
+
+const HISTORY_SIZE = 200
+
+function createEventHub(storeId) {
+  const emitter = new EventEmitter()
+  emitter.setMaxListeners(0)   // una escucha por cada SSE abierto
+  const history = []
+  let seq = 0
+
+  function publish(type, data = {}) {
+    const event = { id: ++seq, type, store: storeId, at: new Date().toISOString(), data }
+    history.push(event)
+    if (history.length > HISTORY_SIZE) history.shift()
+    emitter.emit(type, { store: storeId, ...data })
+    emitter.emit('*', event)
+    return event
+  }
+
+  // Eventos posteriores a `id` que siguen en memoria
+  function since(id) {
+    const n = parseInt(id)
+    return Number.isFinite(n) ? history.filter(e => e.id > n) : []
+  }
+
+  return {
+    publish,
+    since,
+    on:  (type, fn) => emitter.on(type, fn),
+    off: (type, fn) => emitter.off(type, fn),
+  }
+}
+
+module.exports = { createEventHub }
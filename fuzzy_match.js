@@ -0,0 +1,111 @@
+/**
+ * fuzzy_match.js — Coincidencia tolerante a faltas de ortografía
+ * =====================================================
+ * "cuanto vale el de frsa", "fresas" en plural o "cancelr" no encajaban con
+ * n.includes(nombre) ni con las regex de las intenciones.
+ *   ✅ Distancia de edición con trasposiciones ("anualr" → "anular" es 1 error, no 2)
+ *   ✅ Plurales: "fresas" y "fresa" son la misma palabra
+ *   ✅ Similitud por palabras para nombres de varias palabras ("tarta de queso")
+ *   ✅ Devuelve una confianza 0–1: ≥ ACCEPT se da por buena, entre SUGGEST y ACCEPT
+ *      se pregunta "¿Te refieres a X?"
+ * Trabaja sobre texto ya normalizado (minúsculas, sin tildes: norm() del chatbot).
+ * =====================================================
+ */
+
+const ACCEPT  = 0.8
+const SUGGEST = 0.6
+
+// Palabras de menos letras solo cuentan si coinciden exactas: "te" no es "de"
+const MIN_FUZZY_LENGTH = 4
+// Por debajo, dos palabras no se parecen ("queso" / "quiero")
+const MIN_WORD_SIMILARITY = 0.7
+// Si otra opción queda así de cerca no hay confianza para elegir sola ("tarta" con dos tartas)
+const AMBIGUITY_MARGIN = 0.05
+
+const STOPWORDS = new Set([
+  'de', 'del', 'la', 'las', 'el', 'los', 'un', 'una', 'unos', 'unas', 'con', 'sin', 'y', 'o',
+  'a', 'al', 'en', 'por', 'para', 'que', 'me', 'mi', 'tu', 'te', 'lo', 'le', 'es', 'se',
+])
+
+// Distancia de Damerau-Levenshtein (variante OSA)
+function editDistance(a, b) {
+  if (a === b) return 0
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+  let prev2 = null
+  let prev  = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost)
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prev2[j - 2] + 1)
+      }
+    }
+    prev2 = prev
+    prev  = row
+  }
+  return prev[b.length]
+}
+
+// Plural → singular, lo justo para el menú: "fresas" → "fresa", "limones" → "limon"
+function stem(word) {
+  if (word.length > 4 && /[^aeiou]es$/.test(word)) return word.slice(0, -2)
+  if (word.length > 3 && word.endsWith('s')) return word.slice(0, -1)
+  return word
+}
+
+function tokens(text, { keepStopwords = false } = {}) {
+  return String(text || '').split(/[^a-z0-9ñ]+/).filter(t => t && (keepStopwords || !STOPWORDS.has(t)))
+}
+
+// Similitud 0–1 entre dos palabras
+function wordSimilarity(a, b) {
+  const [x, y] = [stem(a), stem(b)]
+  if (x === y) return 1
+  if (Math.min(x.length, y.length) < MIN_FUZZY_LENGTH) return 0
+  const sim = 1 - editDistance(x, y) / Math.max(x.length, y.length)
+  return sim >= MIN_WORD_SIMILARITY ? sim : 0
+}
+
+/**
+ * phraseScore(text, phrase) → 0–1
+ * Cada palabra de `phrase` busca su mejor pareja en `text`. Cuenta sobre todo la mejor
+ * palabra (el cliente suele escribir solo una: "la de fresa") y algo la cobertura del resto,
+ * para que "tarta queso" gane a "tarta chocolate" si se han escrito las dos.
+ */
+function phraseScore(text, phrase) {
+  const want = tokens(phrase)
+  if (!want.length) return 0
+  const have = tokens(text)
+  if (` ${have.join(' ')} `.includes(` ${want.join(' ')} `)) return 1
+  const per  = want.map(w => Math.max(0, ...have.map(h => wordSimilarity(h, w))))
+  const best = Math.max(...per)
+  const avg  = per.reduce((s, x) => s + x, 0) / per.length
+  return Math.round((best * 0.75 + avg * 0.25) * 1000) / 1000
+}
+
+/**
+ * bestMatch(text, items, getPhrase) → { item, phrase, score, ambiguous } | null
+ * getPhrase(item) puede devolver un texto o varios (nombre + sinónimos).
+ * Si dos opciones distintas empatan, score se queda por debajo de ACCEPT para que se pregunte.
+ */
+function bestMatch(text, items, getPhrase = (x) => x) {
+  const scored = []
+  for (const item of items) {
+    let top = null
+    for (const phrase of [].concat(getPhrase(item) || [])) {
+      const score = phraseScore(text, phrase)
+      if (score > 0 && (!top || score > top.score)) top = { item, phrase, score }
+    }
+    if (top) scored.push(top)
+  }
+  if (!scored.length) return null
+  scored.sort((a, b) => b.score - a.score)
+  const [best, second] = scored
+  const ambiguous = !!second && best.score < 1 && best.score - second.score < AMBIGUITY_MARGIN
+  return { ...best, score: ambiguous ? Math.min(best.score, ACCEPT - 0.01) : best.score, ambiguous }
+}
+
+module.exports = { ACCEPT, SUGGEST, editDistance, wordSimilarity, phraseScore, bestMatch, tokens, stem }
@@ -0,0 +1,203 @@
+/**
+ * gateway.js — Una sesión de WhatsApp por tienda (ver stores.js)
+ * =====================================================
+ * Cada gateway tiene su propio cliente, carpeta de perfil, sesión remota
+ * (RemoteAuth + session_store.js), cola de salida y chatbot. El cliente lo
+ * gestiona supervisor.js (reconexión con backoff y watchdog); el chatbot y sus
+ * rutas se montan una sola vez por tienda. server.js monta las rutas HTTP comunes
+ * sobre `req.gw` y delega /chatbot/* en `gw.chatbotRouter`.
+ * `gw.events` publica los cambios de conexión y los eventos del chatbot (event_hub.js).
+ * `gw.apiKeys` autentica las peticiones de la tienda (api_keys.js).
+ * `gw.webhooks` reenvía esos eventos a las URLs registradas en la tabla webhooks (webhooks.js).
+ * `gw.archive` guarda todos los mensajes de cada conversación (message_archive.js).
+ * =====================================================
+ */
+
+const express                = require('express')
+const { Client, RemoteAuth } = require('whatsapp-web.js')
+const { createMessageQueue, createOutboxStore, ACK_STATUS } = require('./message_queue')
+const { createEventHub } = require('./event_hub')
+const { createSessionStore, createSessionBackend } = require('./session_store')
+const { createSupervisor, withTimeout } = require('./supervisor')
+const { createApiKeys, createKeyStore } = require('./api_keys')
+const { createWebhooks, createWebhookStore } = require('./webhooks')
+const { createMessageArchive, createArchiveStore } = require('./message_archive')
+const setupChatbot = require('./chatbot_railway_webhook')
+const metrics      = require('./metrics')
+const { createLogger } = require('./logger')
+
+const AUTH_PATH         = '/tmp/.wwebjs_auth'
+const SESSION_BACKUP_MS = Math.max(parseInt(process.env.SESSION_BACKUP_MS || String(5 * 60 * 1000)) || 0, 60 * 1000)
+const SHUTDOWN_SAVE_MS  = 8 * 1000
+
+function createGateway({ store, supabase, supabaseUrl, supabaseKey }) {
+  // Nombre que RemoteAuth da a la sesión: RemoteAuth-<clientId>
+  const SESSION_NAME = `RemoteAuth-${store.id}`
+  const sessionStore = createSessionStore({ backend: createSessionBackend(supabase), dataPath: AUTH_PATH })
+  const log          = createLogger('Session', { store: store.id })
+
+  let isReady = false
+  let lastQr  = null
+  let state   = 'starting'   // starting | qr | authenticated | ready | disconnected
+
+  const events   = createEventHub(store.id)
+  const apiKeys  = createApiKeys({ store, keyStore: createKeyStore(supabase, store.id) })
+  const webhooks = createWebhooks({ store, events, webhookStore: createWebhookStore(supabase, store) })
+  const archive  = createMessageArchive({ storeId: store.id, adminPhone: store.adminPhone, archiveStore: createArchiveStore(supabase, store.id) })
+
+  function setState(next, payload = {}) {
+    state = next
+    events.publish(next, payload)
+  }
+  metrics.setReady(store.id, false)
+
+  // Rutas /chatbot/* de esta tienda — las registra setupChatbot
+  const chatbotRouter = express.Router()
+
+  // Cola de salida de este número — un único ritmo de envío por número
+  const outbox = createMessageQueue({
+    storeId:   store.id,
+    store:     createOutboxStore(supabase, store.id),
+    getClient: () => supervisor.client,
+    isReady:   () => isReady,
+    onSent:    (job, waId) => archive.recordOutbox(job, waId),
+  })
+
+  async function deleteSession() {
+    try { await sessionStore.delete({ session: SESSION_NAME }) }
+    catch (e) { log.error('Error eliminando la sesión', { err: e }) }
+  }
+
+  // ── Chatbot: rutas y timers una sola vez; el listener se engancha a cada cliente ──
+  // Pasar SERVICE_ROLE KEY al chatbot para que pueda leer/escribir BD
+  // (usa su propio cliente fetch, necesita la key correcta)
+  const chatbot = setupChatbot(chatbotRouter, { store, outbox, events, archive, supabaseUrl, supabaseKey })
+
+  // ════════════════════════════════════════════════════════════════════════════
+  // CLIENTE WHATSAPP
+  // ════════════════════════════════════════════════════════════════════════════
+
+  function createClient() {
+    return new Client({
+      // RemoteAuth restaura el perfil al arrancar y lo vuelve a subir cada SESSION_BACKUP_MS
+      authStrategy: new RemoteAuth({
+        clientId: store.id, dataPath: AUTH_PATH,
+        store: sessionStore, backupSyncIntervalMs: SESSION_BACKUP_MS,
+      }),
+      puppeteer: {
+        headless: true,
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
+        args: [
+          '--no-sandbox', '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage', '--disable-gpu',
+          '--no-first-run', '--no-zygote',
+          '--disable-extensions', '--disable-software-rasterizer',
+          '--shm-size=512mb',
+        ],
+      },
+    })
+  }
+
+  // Listeners de un cliente concreto — el supervisor los llama una vez por cliente
+  function attach(client, sup) {
+    client.on('qr', (qr) => {
+      lastQr = qr
+      setState('qr', { qr })
+      log.info(`Nuevo QR generado — visita /t/${store.id}/status para escanearlo`)
+    })
+
+    client.on('authenticated', () => {
+      log.info('Autenticado correctamente')
+      lastQr = null
+      setState('authenticated')
+    })
+
+    client.on('auth_failure', (msg) => {
+      log.error('Fallo de autenticación', { err: msg })
+      sup.restart(`auth_failure: ${msg}`)
+    })
+
+    client.on('ready', () => {
+      log.info('WhatsApp conectado y listo')
+      isReady = true
+      lastQr  = null
+      metrics.setReady(store.id, true)
+      sup.markHealthy()
+      setState('ready')
+      outbox.drain()
+    })
+
+    client.on('remote_session_saved', () => {
+      log.info('Primera copia remota guardada — los redeploys ya no piden QR')
+    })
+
+    // Confirmaciones de entrega/lectura de los mensajes enviados por la cola
+    client.on('message_ack', (msg, ack) => {
+      if (!msg?.fromMe) return
+      outbox.recordAck(msg.id?._serialized, ack)
+      if (ACK_STATUS[ack]) events.publish('ack', { wa_id: msg.id?._serialized, phone: msg.to, status: ACK_STATUS[ack] })
+    })
+
+    client.on('message', chatbot.onMessage)
+
+    // Lo que el equipo escribe desde el propio teléfono también va al historial
+    client.on('message_create', (msg) => {
+      if (msg.fromMe) archive.recordOwnMessage(msg)
+    })
+
+    client.on('disconnected', async (reason) => {
+      log.warn('Desconectado', { reason })
+      if (reason === 'LOGOUT') await deleteSession()
+      sup.restart(`disconnected: ${reason}`)
+    })
+  }
+
+  const supervisor = createSupervisor({
+    name: store.id,
+    createClient,
+    attach,
+    isReady: () => isReady,
+    onRestart: (reason) => {
+      isReady = false
+      lastQr  = null
+      // Solo el tipo de motivo (disconnected, watchdog, ...) para no disparar la cardinalidad
+      metrics.reconnectsTotal.inc({ store: store.id, reason: reason.split(':')[0] })
+      metrics.setReady(store.id, false)
+      setState('disconnected', { reason })
+    },
+  })
+
+  async function logout() {
+    await supervisor.client?.logout()
+    await deleteSession()
+  }
+
+  // SIGTERM: última copia de la sesión (solo si está conectada) y cerrar Chromium
+  function stop() {
+    return supervisor.stop({
+      saveSession: (client) => isReady
+        ? withTimeout(client.authStrategy.storeRemoteSession(), SHUTDOWN_SAVE_MS, 'storeRemoteSession')
+        : Promise.resolve(),
+    })
+  }
+
+  return {
+    store,
+    outbox,
+    events,
+    apiKeys,
+    webhooks,
+    archive,
+    chatbotRouter,
+    supervisor,
+    start: () => supervisor.start(),
+    stop,
+    logout,
+    get client()  { return supervisor.client },
+    get isReady() { return isReady },
+    get lastQr()  { return lastQr },
+    get state()   { return state },
+  }
+}
+
+module.exports = { createGateway }
@@ -0,0 +1,223 @@
+/**
+ * intent_registry.js — Intenciones del chatbot como datos (nombre, patrones, prioridad, handler)
+ * =====================================================
+ * handleMessage era una cadena de if con regex: el orden lo decidía todo ("cambio de
+ * dirección de mi pedido" caía en el estado del pedido) y cualquier ajuste pedía redeploy.
+ *   ✅ Cada intención: name, patterns, priority, enabled, handler (y when opcional)
+ *   ✅ Gana la de mayor prioridad que encaje; si su handler devuelve null, prueba la siguiente
+ *   ✅ Las de serie se pueden apagar, repriorizar, cambiar de patrones o de respuesta desde
+ *      settings.chatbot_intents, sin redeploy
+ *   ✅ Las reglas del panel (chatbot_rules) son intenciones más del mismo registro
+ *   ✅ Traza por mensaje: qué intenciones encajaron, con qué patrón y cuál ganó
+ *   ✅ Si ninguna regex encaja, se prueban las palabras clave con tolerancia a faltas
+ *      (fuzzy_match.js): confianza alta responde, media devuelve una sugerencia
+ * =====================================================
+ *
+ * settings.chatbot_intents (JSON) — por nombre de intención, todo opcional:
+ *   {
+ *     "delivery_zone": { "enabled": false },
+ *     "hours":         { "priority": 80, "patterns": ["horario", "abris\\b"] },
+ *     "payment":       { "response": "💵 Solo efectivo y Bizum 👉 {{web}}" },
+ *     "allergens":     { "keywords": ["alergia", "celiaco"] }
+ *   }
+ * Los patrones son expresiones regulares sobre el texto normalizado (minúsculas, sin tildes).
+ * keywords: palabras sueltas para la coincidencia aproximada; si no se dan, salen de las
+ * alternativas de una sola palabra de los patrones (/cancelar|anular/ → cancelar, anular).
+ *
+ * settings.chatbot_rules — cada regla activa pasa a ser la intención rule:<id>:
+ *   [{ "id": 3, "trigger": "tarta, cumpleaños", "response": "...", "active": true, "priority": 50 }]
+ *   priority por defecto 10: por debajo de las de serie, como antes.
+ */
+
+const fuzzy = require('./fuzzy_match')
+
+const DEFAULT_RULE_PRIORITY = 10
+// Palabras clave más cortas no se comparan en aproximado ("pago" ≈ "pato")
+const MIN_KEYWORD_LENGTH    = 5
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Texto o RegExp → RegExp; null si el texto no compila
+function toRegex(pattern) {
+  if (pattern instanceof RegExp) return pattern
+  try { return new RegExp(String(pattern), 'i') } catch { return null }
+}
+
+// /cancelar|anular|no lo quiero/ → ['cancelar', 'anular']
+function keywordsFrom(patterns) {
+  const words = patterns.flatMap(p => p.source.replace(/^\^\(?|\)?\$$/g, '').split('|'))
+  return [...new Set(words.filter(w => /^[a-zñ]+$/.test(w) && w.length >= MIN_KEYWORD_LENGTH))]
+}
+
+/**
+ * createIntentRegistry({ normalize, render? })
+ *   normalize(text) → texto con el que se comparan los patrones de las reglas
+ *   render(template) → sustituye {{web}}, {{review}}... en respuestas fijas
+ */
+function createIntentRegistry({ normalize = (s) => s, render = (s) => s } = {}) {
+  const builtins = new Map()   // name → definición de serie
+  let overrides  = {}
+  let rules      = []
+  let intents    = []          // lista efectiva, ordenada por prioridad
+
+  /**
+   * define({ name, patterns, priority, handler, enabled?, when?, label?, keywords? })
+   *   handler(ctx) → respuesta | null (null = "no es para mí", sigue la siguiente)
+   *   when(ctx)    → condición previa además de los patrones (p.ej. solo si está cerrado)
+   *   label        → cómo se pregunta al cliente: "¿Te refieres a <label>?"
+   */
+  function define(def) {
+    builtins.set(def.name, { enabled: true, when: null, source: 'builtin', ...def, patterns: def.patterns.map(toRegex) })
+    rebuild()
+  }
+
+  // → lista de errores (patrones que no compilan, intenciones que no existen)
+  function setOverrides(json) {
+    const errors = []
+    overrides = {}
+    for (const [name, o] of Object.entries(json || {})) {
+      if (!builtins.has(name)) { errors.push(`${name}: no existe esa intención`); continue }
+      if (!o || typeof o !== 'object') { errors.push(`${name}: debe ser un objeto`); continue }
+      const clean = {}
+      if (typeof o.enabled === 'boolean') clean.enabled = o.enabled
+      if (Number.isFinite(o.priority)) clean.priority = o.priority
+      if (typeof o.response === 'string' && o.response.trim()) clean.response = o.response
+      if (Array.isArray(o.keywords)) clean.keywords = o.keywords.map(k => normalize(String(k))).filter(Boolean)
+      if (Array.isArray(o.patterns)) {
+        const compiled = o.patterns.map(toRegex)
+        const bad      = o.patterns.filter((_, i) => !compiled[i])
+        if (bad.length) errors.push(`${name}: patrones inválidos ${JSON.stringify(bad)}`)
+        if (compiled.some(Boolean)) clean.patterns = compiled.filter(Boolean)
+      }
+      overrides[name] = clean
+    }
+    rebuild()
+    return errors
+  }
+
+  function setRules(list) {
+    rules = (Array.isArray(list) ? list : [])
+      .map((r, i) => {
+        const keywords = String(r?.trigger || '').split(',').map(t => normalize(t.trim())).filter(Boolean)
+        if (!r?.response || !keywords.length) return null
+        return {
+          name:     `rule:${r.id ?? i + 1}`,
+          label:    keywords[0],
+          keywords: keywords.filter(k => /^[a-zñ]+$/.test(k) && k.length >= MIN_KEYWORD_LENGTH),
+          metric:   'rule',
+          source:   'rule',
+          enabled:  !!r.active,
+          priority: Number.isFinite(r.priority) ? r.priority : DEFAULT_RULE_PRIORITY,
+          patterns: keywords.map(k => new RegExp(escapeRegex(k))),
+          when:     null,
+          handler:  () => render(r.response),
+        }
+      })
+      .filter(Boolean)
+    rebuild()
+  }
+
+  function rebuild() {
+    const merged = [...builtins.values()].map(def => {
+      const o = overrides[def.name] || {}
+      const patterns = o.patterns || def.patterns
+      return {
+        ...def, ...o,
+        keywords: o.keywords || def.keywords || keywordsFrom(patterns),
+        handler:  o.response ? () => render(o.response) : def.handler,
+        source:   Object.keys(o).length ? 'builtin+settings' : def.source,
+      }
+    })
+    // A igual prioridad manda el orden de definición (sort es estable)
+    intents = [...merged, ...rules].sort((a, b) => b.priority - a.priority)
+  }
+
+  async function attempt(intent, ctx, entry, trace) {
+    try {
+      const reply = await intent.handler(ctx)
+      if (reply == null) { entry.result = 'declined'; return null }
+      entry.result = 'won'
+      trace.winner = intent.name
+      return { reply, intent: intent.metric || intent.name }
+    } catch (e) {
+      entry.result = 'error'
+      entry.error  = e.message
+      return null
+    }
+  }
+
+  /**
+   * resolve(ctx) → { reply, intent, suggestion, trace }
+   *   ctx.n es el texto normalizado; el resto de ctx llega tal cual a when/handler.
+   *   trace = { winner, candidates: [{ name, priority, source, pattern, score, result }] }
+   *   result: won | declined (handler devolvió null) | skipped (ya había ganadora) | suggested | error
+   *   suggestion = { name, label, score } cuando solo hay una coincidencia aproximada dudosa
+   */
+  async function resolve(ctx) {
+    const trace = { winner: null, candidates: [] }
+    let found   = null
+    for (const intent of intents) {
+      if (!intent.enabled) continue
+      const pattern = intent.patterns.find(p => p.test(ctx.n))
+      if (!pattern || (intent.when && !intent.when(ctx))) continue
+      const entry = { name: intent.name, priority: intent.priority, source: intent.source, pattern: pattern.source, score: 1, result: 'skipped' }
+      trace.candidates.push(entry)
+      if (!found) found = await attempt(intent, ctx, entry, trace)
+    }
+    if (found) return { ...found, suggestion: null, trace }
+
+    // Ninguna regex: palabras clave con faltas ("cancelr", "orario")
+    const pool  = intents.filter(i => i.enabled && i.keywords.length && (!i.when || i.when(ctx)))
+    const match = fuzzy.bestMatch(ctx.n, pool, i => i.keywords)
+    if (match && match.score >= fuzzy.SUGGEST) {
+      const intent = match.item
+      const entry  = { name: intent.name, priority: intent.priority, source: intent.source, pattern: `~${match.phrase}`, score: match.score, result: 'suggested' }
+      trace.candidates.push(entry)
+      if (match.score >= fuzzy.ACCEPT) {
+        found = await attempt(intent, ctx, entry, trace)
+        if (found) return { ...found, suggestion: null, trace }
+      } else if (intent.label) {
+        // Sin label (saludo, gracias) no tiene sentido preguntar "¿te refieres a...?"
+        return { reply: null, intent: null, suggestion: { name: intent.name, label: intent.label, score: match.score }, trace }
+      }
+    }
+    return { reply: null, intent: null, suggestion: null, trace }
+  }
+
+  // Nombre de la intención que se llevaría el mensaje, sin ejecutar nada (regex o palabra
+  // clave con faltas segura); null si no encaja ninguna
+  function match(ctx) {
+    const hit = intents.find(i => i.enabled && i.patterns.some(p => p.test(ctx.n)) && (!i.when || i.when(ctx)))
+    if (hit) return hit.name
+    const pool  = intents.filter(i => i.enabled && i.keywords.length && (!i.when || i.when(ctx)))
+    const fuzzyHit = fuzzy.bestMatch(ctx.n, pool, i => i.keywords)
+    return fuzzyHit && fuzzyHit.score >= fuzzy.ACCEPT ? fuzzyHit.item.name : null
+  }
+
+  // Ejecuta una intención concreta (el cliente ha confirmado la sugerencia)
+  async function run(name, ctx) {
+    const trace  = { winner: null, candidates: [] }
+    const intent = intents.find(i => i.name === name && i.enabled)
+    if (!intent) return { reply: null, intent: null, trace }
+    const entry = { name, priority: intent.priority, source: intent.source, pattern: 'confirmado', score: 1, result: 'skipped' }
+    trace.candidates.push(entry)
+    const found = await attempt(intent, ctx, entry, trace)
+    return { reply: found?.reply ?? null, intent: found?.intent ?? null, trace }
+  }
+
+  // Para GET /chatbot/intents
+  function list() {
+    return intents.map(i => ({
+      name: i.name, priority: i.priority, enabled: i.enabled, source: i.source,
+      patterns: i.patterns.map(p => p.source), keywords: i.keywords, conditional: !!i.when,
+    }))
+  }
+
+  return {
+    define, setOverrides, setRules, resolve, run, match, list,
+    get size() { return intents.length },
+    get ruleCount() { return rules.length },
+  }
+}
+
+module.exports = { createIntentRegistry, DEFAULT_RULE_PRIORITY }
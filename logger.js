@@ -0,0 +1,111 @@
+/**
+ * logger.js — Logs estructurados (una línea JSON por evento)
+ * =====================================================
+ * Sustituye a los console.log con emoji, que imprimían teléfonos completos y
+ * trozos de mensajes (RGPD) y no había forma de filtrarlos.
+ *   ✅ Nivel, componente (Send, Session, Chatbot, Auth, ...) y tienda en cada línea
+ *   ✅ Teléfonos y textos de mensajes enmascarados por defecto; también los teléfonos y
+ *      las claves que traen los mensajes de error (whatsapp-web.js, Supabase)
+ *   ✅ reqId: sigue a un mensaje desde la petición HTTP o el mensaje de WhatsApp
+ *      hasta la respuesta (AsyncLocalStorage + columna req_id de la cola)
+ * =====================================================
+ *
+ * VARIABLES DE ENTORNO:
+ *   LOG_LEVEL  = debug | info | warn | error   (info por defecto)
+ *   LOG_REDACT = false   → teléfonos y textos en claro (solo para depurar en local)
+ *
+ * Ejemplo:
+ *   {"ts":"...","level":"info","component":"Send","store":"carmocream","reqId":"9f1c...","msg":"Encolado","phone":"34*******78","body":"[42 chars]"}
+ */
+
+const crypto                = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+
+const LEVELS    = { debug: 10, info: 20, warn: 30, error: 40 }
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info
+const REDACT    = process.env.LOG_REDACT !== 'false'
+
+// Campos que llevan un teléfono / un texto escrito por el cliente
+const PHONE_KEYS = new Set(['phone', 'chatId', 'chat_id', 'from', 'to', 'admin'])
+const TEXT_KEYS  = new Set(['body', 'message', 'text', 'reply', 'caption'])
+
+const context = new AsyncLocalStorage()
+
+// ── Enmascarado ─────────────────────────────────────────────────────────────
+// 34612345678@c.us → 34*******78@c.us
+function maskPhone(value) {
+  return String(value).replace(/\d{7,}/g, d => d.slice(0, 2) + '*'.repeat(d.length - 4) + d.slice(-2))
+}
+
+// Claves de API (ck_xxx.<secreto>), "Bearer ..." y JWT (service_role de Supabase)
+function maskSecrets(value) {
+  return String(value)
+    .replace(/\b(ck_[0-9a-f]{12})\.[\w-]+/g, '$1.***')
+    .replace(/\b(Bearer\s+)[\w.~+/=-]+/gi, '$1***')
+    .replace(/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '***')
+}
+
+// Texto libre (mensajes de log y de error): teléfonos y claves fuera
+const maskText = (value) => maskPhone(maskSecrets(value))
+
+function redactValue(key, value) {
+  if (value == null) return value
+  // El mensaje de un error no es de fiar: "send to 34612345678@c.us failed"
+  if (value instanceof Error) return REDACT ? maskText(value.message) : value.message
+  if (!REDACT) return value
+  if (PHONE_KEYS.has(key)) return maskPhone(value)
+  if (TEXT_KEYS.has(key))  return `[${String(value).length} chars]`
+  return typeof value === 'string' ? maskText(value) : value
+}
+
+// ── Contexto por petición / mensaje ──────────────────────────────────────────
+function newRequestId() {
+  return crypto.randomUUID()
+}
+
+// Todo lo que se ejecute dentro de fn (await incluidos) hereda reqId y demás campos
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn)
+}
+
+function currentRequestId() {
+  return context.getStore()?.reqId || null
+}
+
+// Express: respeta X-Request-Id si llega (Railway, otro servicio) y lo devuelve
+function requestId() {
+  return (req, res, next) => {
+    const incoming = String(req.headers['x-request-id'] || '')
+    req.id = /^[\w.-]{8,64}$/.test(incoming) ? incoming : newRequestId()
+    res.set('X-Request-Id', req.id)
+    withContext({ reqId: req.id }, next)
+  }
+}
+
+// ── Logger ──────────────────────────────────────────────────────────────────
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return
+  const line = { ts: new Date().toISOString(), level, ...bindings, ...context.getStore() }
+  for (const [k, v] of Object.entries(fields || {})) line[k] = redactValue(k, v)
+  // El texto libre también puede traer un número (p.ej. un error de whatsapp-web.js)
+  line.msg = REDACT ? maskText(msg) : msg
+  const out = level === 'error' || level === 'warn' ? process.stderr : process.stdout
+  out.write(JSON.stringify(line) + '\n')
+}
+
+/**
+ * createLogger('Send')                   → { debug, info, warn, error, child }
+ * log.child({ store: 'carmocream' })     → mismo logger con campos fijos añadidos
+ */
+function createLogger(component, bindings = {}) {
+  const base = { component, ...bindings }
+  return {
+    debug: (msg, fields) => write('debug', base, msg, fields),
+    info:  (msg, fields) => write('info',  base, msg, fields),
+    warn:  (msg, fields) => write('warn',  base, msg, fields),
+    error: (msg, fields) => write('error', base, msg, fields),
+    child: (extra) => createLogger(component, { ...bindings, ...extra }),
+  }
+}
+
+module.exports = { createLogger, requestId, withContext, currentRequestId, newRequestId, maskPhone }
@@ -0,0 +1,134 @@
+/**
+ * media.js — Adjuntos para /send (recibos, flyers del menú, fotos de producto)
+ * =====================================================
+ * Tres formas de mandar un adjunto:
+ *   • multipart/form-data con el fichero en el campo `media`
+ *   • JSON  { media: { data: '<base64 o data:URL>', mimetype, filename } }
+ *   • JSON  { media_url: 'https://...' }  — solo hosts de la lista permitida
+ * El texto de `message` se usa como pie de foto (opcional).
+ * =====================================================
+ *
+ * VARIABLES DE ENTORNO:
+ *   MEDIA_MAX_BYTES      = 5242880  (5 MB)
+ *   MEDIA_URL_ALLOWLIST  = cdn.carmocream.com,xxxx.supabase.co  (por defecto: hosts de SUPABASE_URL y SHOP_URL)
+ */
+
+const { MessageMedia } = require('whatsapp-web.js')
+
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(5 * 1024 * 1024))
+const FETCH_TIMEOUT   = 15 * 1000
+const TOO_LARGE       = `Archivo demasiado grande (máx. ${Math.round(MEDIA_MAX_BYTES / 1024 / 1024)} MB)`
+
+const ALLOWED_TYPES = {
+  'image/jpeg':      'jpg',
+  'image/png':       'png',
+  'image/webp':      'webp',
+  'application/pdf': 'pdf',
+}
+
+// Cabeceras mágicas — el MIME declarado tiene que coincidir con el contenido real
+const MAGIC = {
+  'image/jpeg':      buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  'image/png':       buf => buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp':      buf => buf.slice(0, 4).toString('latin1') === 'RIFF' && buf.slice(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': buf => buf.slice(0, 5).toString('latin1') === '%PDF-',
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname } catch { return null }
+}
+
+const URL_ALLOWLIST = (process.env.MEDIA_URL_ALLOWLIST || '')
+  .split(',').map(h => h.trim().toLowerCase()).filter(Boolean)
+
+if (URL_ALLOWLIST.length === 0) {
+  URL_ALLOWLIST.push(...[process.env.SUPABASE_URL, process.env.SHOP_URL || 'https://carmocream.vercel.app']
+    .map(hostOf).filter(Boolean))
+}
+
+// ── Validación común ────────────────────────────────────────────────────────
+function validateMedia(buffer, mimetype, filename) {
+  const type = String(mimetype || '').split(';')[0].trim().toLowerCase()
+  if (!ALLOWED_TYPES[type]) return { error: `Tipo de archivo no permitido (${type || 'desconocido'})` }
+  if (!buffer?.length)      return { error: 'Archivo vacío' }
+  if (buffer.length > MEDIA_MAX_BYTES) return { error: TOO_LARGE }
+  if (!MAGIC[type](buffer)) return { error: 'El contenido no coincide con el tipo de archivo' }
+  const safeName = String(filename || '').replace(/[^\w.\- ]/g, '').slice(0, 100)
+  return {
+    media: {
+      mimetype: type,
+      data:     buffer.toString('base64'),
+      filename: safeName || `adjunto.${ALLOWED_TYPES[type]}`,
+    },
+  }
+}
+
+// Cuerpo de la respuesta leído por trozos; null (y descarga cortada) en cuanto pasa de
+// MEDIA_MAX_BYTES — content-length puede faltar (chunked) o mentir
+async function readLimited(res, controller) {
+  const chunks = []
+  let size     = 0
+  for await (const chunk of res.body) {
+    size += chunk.length
+    if (size > MEDIA_MAX_BYTES) {
+      controller.abort()
+      return null
+    }
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks, size)
+}
+
+async function fetchAllowedUrl(url) {
+  let parsed
+  try { parsed = new URL(url) } catch { return { error: 'URL inválida' } }
+  if (parsed.protocol !== 'https:') return { error: 'Solo se admiten URLs https' }
+  if (!URL_ALLOWLIST.includes(parsed.hostname.toLowerCase())) return { error: `Host no permitido: ${parsed.hostname}` }
+
+  const controller = new AbortController()
+  try {
+    const res = await fetch(parsed, {
+      redirect: 'error',
+      signal:   AbortSignal.any([controller.signal, AbortSignal.timeout(FETCH_TIMEOUT)]),
+    })
+    if (!res.ok) return { error: `No se pudo descargar el archivo (${res.status})` }
+    if (Number(res.headers.get('content-length') || 0) > MEDIA_MAX_BYTES) {
+      controller.abort()
+      return { error: TOO_LARGE }
+    }
+    const buffer = await readLimited(res, controller)
+    if (!buffer) return { error: TOO_LARGE }
+    const filename = decodeURIComponent(parsed.pathname.split('/').pop() || '')
+    return validateMedia(buffer, res.headers.get('content-type'), filename)
+  } catch (e) {
+    return { error: `No se pudo descargar el archivo: ${e.message}` }
+  }
+}
+
+// ── Extraer el adjunto de la petición ─────────────────────────────────────
+// Devuelve { media } si hay adjunto válido, { error } si es inválido, o {} si no hay adjunto
+async function mediaFromRequest(req) {
+  const body = req.body || {}
+
+  if (req.file) return validateMedia(req.file.buffer, req.file.mimetype, req.file.originalname)
+
+  const url = body.media_url || body.media?.url
+  if (url) return fetchAllowedUrl(String(url))
+
+  if (body.media?.data) {
+    let data     = String(body.media.data)
+    let mimetype = body.media.mimetype
+    const dataUrl = data.match(/^data:([^;,]+);base64,(.*)$/s)
+    if (dataUrl) { mimetype = mimetype || dataUrl[1]; data = dataUrl[2] }
+    if (!/^[A-Za-z0-9+/=\s]+$/.test(data)) return { error: 'Base64 inválido' }
+    return validateMedia(Buffer.from(data, 'base64'), mimetype, body.media.filename)
+  }
+
+  return {}
+}
+
+function toMessageMedia(media) {
+  return new MessageMedia(media.mimetype, media.data, media.filename)
+}
+
+module.exports = { mediaFromRequest, toMessageMedia, MEDIA_MAX_BYTES, ALLOWED_TYPES }
@@ -0,0 +1,196 @@
+/**
+ * message_archive.js — Historial completo de cada conversación (chatbot_messages)
+ * =====================================================
+ * saveConversation solo guarda una fila resumen por escalado (last_message), así
+ * que quien tomaba el control de un chat no veía lo que el bot ya había dicho.
+ *   ✅ Cada mensaje entrante y cada respuesta (bot, equipo, cola de salida)
+ *   ✅ Dirección, autor, intención detectada, tipo de adjunto y fecha
+ *   ✅ Lectura paginada por teléfono (GET /chatbot/conversations/:phone/messages)
+ *   ✅ Retención configurable: lo más antiguo se borra una vez al día
+ *   ✅ El chat con ADMIN_PHONE no se archiva: son comandos y sus respuestas (bandeja con
+ *      teléfonos de clientes, pedidos), no una conversación con un cliente
+ * Guardar nunca bloquea ni rompe una respuesta: los fallos solo se registran.
+ * =====================================================
+ *
+ * TABLA EN SUPABASE:
+ *   create table chatbot_messages (
+ *     id          bigint generated always as identity primary key,
+ *     store_id    text not null default 'carmocream',
+ *     phone       text not null,           -- 34XXXXXXXXX (sin @c.us)
+ *     direction   text not null,           -- in | out
+ *     author      text not null,           -- customer | bot | admin | system
+ *     body        text,
+ *     intent      text,                    -- intención detectada (entrantes) / que generó la respuesta
+ *     media_type  text,                    -- image | audio | document | location | ... (null = texto)
+ *     source      text,                    -- origen en la cola de salida (send, broadcast, ...)
+ *     wa_id       text,
+ *     created_at  timestamptz default now()
+ *   );
+ *   create index on chatbot_messages (store_id, phone, id desc);
+ *   create index on chatbot_messages (store_id, created_at);
+ *
+ * SETTINGS:
+ *   chatbot_messages_retention_days = 90   (0 = no borrar nunca)
+ *
+ * VARIABLES DE ENTORNO:
+ *   ARCHIVE_STORE = supabase | memory   (memory para pruebas en local)
+ */
+
+const { createLogger } = require('./logger')
+
+const TABLE                  = 'chatbot_messages'
+const DEFAULT_RETENTION_DAYS = 90
+const PURGE_INTERVAL_MS      = 24 * 3600 * 1000
+const OWN_MESSAGE_DELAY_MS   = 5 * 1000
+const KNOWN_IDS_MAX          = 1000
+
+// Origen en la cola de salida → autor en el historial (notify_admin no es de ningún cliente)
+const SOURCE_AUTHOR = { admin_reply: 'admin', notify_admin: null }
+
+// 34612345678@c.us → 34612345678
+const phoneKey = (chatId) => String(chatId || '').split('@')[0]
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ALMACENAMIENTO
+// ══════════════════════════════════════════════════════════════════════════════
+
+function createSupabaseArchiveStore(supabase, storeId) {
+  async function run(query) {
+    const { data, error } = await query
+    if (error) throw new Error(`Archivo Supabase: ${error.message}`)
+    return data
+  }
+  return {
+    async insert(row) {
+      await run(supabase.from(TABLE).insert({ ...row, store_id: storeId }))
+    },
+    // Más recientes primero; `before` = id del último mensaje de la página anterior
+    async page(phone, { before, limit }) {
+      let q = supabase.from(TABLE)
+        .select('id,direction,author,body,intent,media_type,source,wa_id,created_at')
+        .eq('store_id', storeId).eq('phone', phone)
+      if (before) q = q.lt('id', before)
+      return run(q.order('id', { ascending: false }).limit(limit))
+    },
+    async purge(beforeIso) {
+      await run(supabase.from(TABLE).delete().eq('store_id', storeId).lt('created_at', beforeIso))
+    },
+  }
+}
+
+function createMemoryArchiveStore() {
+  const rows = []
+  let seq = 0
+  return {
+    async insert(row) { rows.push({ id: ++seq, created_at: new Date().toISOString(), ...row }) },
+    async page(phone, { before, limit }) {
+      return rows
+        .filter(r => r.phone === phone && (!before || r.id < before))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(({ phone: _, ...r }) => ({ ...r }))
+    },
+    async purge(beforeIso) {
+      for (let i = rows.length - 1; i >= 0; i--) if (rows[i].created_at < beforeIso) rows.splice(i, 1)
+    },
+  }
+}
+
+function createArchiveStore(supabase, storeId) {
+  if (process.env.ARCHIVE_STORE === 'memory') {
+    createLogger('Chatbot', { store: storeId }).warn('Historial de conversaciones en memoria — se pierde al reiniciar')
+    return createMemoryArchiveStore()
+  }
+  return createSupabaseArchiveStore(supabase, storeId)
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ARCHIVO
+// ══════════════════════════════════════════════════════════════════════════════
+
+// adminPhone: 34XXXXXXXXX de la tienda (stores.js); lo que se le escribe no va al historial
+function createMessageArchive({ storeId, archiveStore, adminPhone = '' }) {
+  const log      = createLogger('Chatbot', { store: storeId })
+  const knownIds = new Set()   // wa_id ya archivados por el bot o la cola
+  let retentionDays = DEFAULT_RETENTION_DAYS
+
+  function remember(waId) {
+    if (!waId) return
+    if (knownIds.size >= KNOWN_IDS_MAX) knownIds.delete(knownIds.values().next().value)
+    knownIds.add(waId)
+  }
+
+  /**
+   * record({ chatId, direction: 'in'|'out', author, body, intent?, mediaType?, source?, waId?, at? })
+   * No lanza nunca: el historial no puede tumbar una respuesta.
+   */
+  function record({ chatId, direction, author, body = null, intent = null, mediaType = null, source = null, waId = null, at = null }) {
+    remember(waId)
+    const row = {
+      phone: phoneKey(chatId), direction, author, body, intent,
+      media_type: mediaType, source, wa_id: waId,
+      ...(at ? { created_at: at } : {}),
+    }
+    return archiveStore.insert(row).catch(e => log.error('No se pudo archivar el mensaje', { phone: row.phone, direction, err: e }))
+  }
+
+  // Mensaje enviado por la cola de salida (message_queue.js → onSent)
+  function recordOutbox(job, waId) {
+    const author = job.source in SOURCE_AUTHOR ? SOURCE_AUTHOR[job.source] : 'system'
+    if (!author) return remember(waId)
+    return record({
+      chatId: job.chat_id, direction: 'out', author, body: job.body,
+      mediaType: job.media_type ? job.media_type.split('/')[0] : null, source: job.source, waId,
+    })
+  }
+
+  // message_create con fromMe: lo que no haya mandado ni el bot ni la cola lo ha escrito
+  // el equipo desde el propio teléfono. Se espera un poco porque el evento llega antes
+  // de que sendMessage/reply devuelvan el id.
+  function recordOwnMessage(msg) {
+    const waId = msg.id?._serialized
+    if (!/@c\.us$/.test(msg.to || '')) return
+    if (adminPhone && phoneKey(msg.to) === adminPhone) return
+    setTimeout(() => {
+      if (knownIds.has(waId)) return
+      record({
+        chatId: msg.to, direction: 'out', author: 'admin', body: msg.body || null,
+        mediaType: msg.type === 'chat' ? null : msg.type, source: 'phone', waId,
+        at: msg.timestamp ? new Date(msg.timestamp * 1000).toISOString() : null,
+      })
+    }, OWN_MESSAGE_DELAY_MS)
+  }
+
+  // → { messages (más recientes primero), next_before (null si no hay más) }
+  async function conversation(chatId, { before = null, limit = 50 } = {}) {
+    const messages = await archiveStore.page(phoneKey(chatId), { before, limit })
+    return { messages, next_before: messages.length === limit ? messages[messages.length - 1].id : null }
+  }
+
+  // Lo llama loadSettings del chatbot con el valor de settings
+  function setRetentionDays(days) {
+    const n = parseInt(days)
+    if (Number.isFinite(n) && n >= 0) retentionDays = n
+  }
+
+  async function purge() {
+    if (!retentionDays) return
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 3600 * 1000).toISOString()
+    try {
+      await archiveStore.purge(cutoff)
+      log.info('Historial purgado', { retentionDays, before: cutoff })
+    } catch (e) {
+      log.error('purge del historial', { err: e })
+    }
+  }
+
+  // La primera la lanza el chatbot al cargar settings (con los días de la tienda)
+  setInterval(purge, PURGE_INTERVAL_MS).unref()
+
+  return {
+    record, recordOutbox, recordOwnMessage, conversation, setRetentionDays, purge,
+    get retentionDays() { return retentionDays },
+  }
+}
+
+module.exports = { createMessageArchive, createArchiveStore, createMemoryArchiveStore, createSupabaseArchiveStore, phoneKey }
@@ -0,0 +1,337 @@
+/**
+ * message_queue.js — Cola de salida persistente de CarmoCream
+ * =====================================================
+ * Todo lo que se envía por WhatsApp (/send, notifyAdmin, reseñas, broadcast)
+ * pasa por aquí:
+ *   ✅ Persistente en Supabase — un redeploy o un crash de Puppeteer no pierde mensajes
+ *   ✅ Reintentos con backoff exponencial (errores permanentes no se reintentan)
+ *   ✅ Se vacía sola cuando el cliente vuelve a estar `ready`
+ *   ✅ Un único ritmo de envío por número (anti-ban): intervalo mínimo + máx. por minuto
+ *   ✅ Confirmaciones de WhatsApp (message_ack): enviado → entregado → leído / fallido
+ *   ✅ Adjuntos (imagen/PDF) en base64 — ver media.js
+ *   ✅ req_id: el envío se registra con el mismo reqId que la petición que lo encoló (logger.js)
+ *   ✅ onSent(job, waId) tras cada envío (historial de conversaciones, message_archive.js)
+ * =====================================================
+ *
+ * TABLA EN SUPABASE:
+ *   create table whatsapp_outbox (
+ *     id              text primary key,
+ *     store_id        text not null default 'carmocream', -- tienda (ver stores.js)
+ *     chat_id         text not null,
+ *     body            text,                             -- texto o pie de foto
+ *     media           jsonb,                            -- { mimetype, data (base64), filename }
+ *     media_type      text,
+ *     source          text,
+ *     priority        int  default 0,
+ *     status          text not null default 'queued',   -- queued | sending | sent | delivered | read | failed
+ *     attempts        int  default 0,
+ *     next_attempt_at timestamptz default now(),
+ *     last_error      text,
+ *     wa_id           text,                             -- id._serialized del mensaje en WhatsApp
+ *     req_id          text,                             -- reqId de la petición/mensaje que lo encoló
+ *     created_at      timestamptz default now(),
+ *     updated_at      timestamptz,
+ *     sent_at         timestamptz,
+ *     delivered_at    timestamptz,
+ *     read_at         timestamptz,
+ *     failed_at       timestamptz
+ *   );
+ *   create index on whatsapp_outbox (wa_id);
+ *   create index on whatsapp_outbox (store_id, status, created_at);
+ *
+ * VARIABLES DE ENTORNO:
+ *   OUTBOX_STORE          = supabase | memory   (memory para pruebas en local)
+ *   SEND_MIN_INTERVAL_MS  = 3000   (pausa mínima entre dos envíos)
+ *   SEND_MAX_PER_MINUTE   = 20
+ *   SEND_MAX_ATTEMPTS     = 5
+ */
+
+const crypto = require('crypto')
+const { toMessageMedia } = require('./media')
+const metrics = require('./metrics')
+const { createLogger, withContext, currentRequestId } = require('./logger')
+
+const TABLE            = 'whatsapp_outbox'
+const MIN_INTERVAL_MS  = parseInt(process.env.SEND_MIN_INTERVAL_MS || '3000')
+const MAX_PER_MINUTE   = parseInt(process.env.SEND_MAX_PER_MINUTE  || '20')
+const MAX_ATTEMPTS     = parseInt(process.env.SEND_MAX_ATTEMPTS    || '5')
+const RETRY_BASE_MS    = 10 * 1000
+const RETRY_MAX_MS     = 10 * 60 * 1000
+const POLL_MS          = 5 * 1000
+
+// Todo menos `media`: los listados no arrastran el base64 de los adjuntos
+const LIST_COLUMNS = 'id,store_id,chat_id,body,media_type,source,priority,status,attempts,next_attempt_at,last_error,wa_id,req_id,' +
+  'created_at,updated_at,sent_at,delivered_at,read_at,failed_at'
+
+// Orden de los estados: un ack atrasado nunca hace retroceder un mensaje
+const STATUS_RANK = { queued: 0, sending: 1, sent: 2, delivered: 3, read: 4 }
+
+// whatsapp-web.js MessageAck → estado de la cola
+const ACK_STATUS = { '-1': 'failed', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'read' }
+const STATUS_TS  = { sent: 'sent_at', delivered: 'delivered_at', read: 'read_at', failed: 'failed_at' }
+
+// Errores que no se arreglan reintentando
+function isPermanentError(msg) {
+  return /No LID|invalid wid|wid error|not a valid/i.test(msg || '')
+}
+
+function friendlyError(msg) {
+  return msg?.includes('No LID') ? 'El número no tiene WhatsApp activo' : msg
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ALMACENAMIENTO
+// ══════════════════════════════════════════════════════════════════════════════
+
+// Cada tienda solo ve sus propias filas
+function createSupabaseStore(supabase, storeId) {
+  async function run(query) {
+    const { data, error } = await query
+    if (error) throw new Error(`Outbox Supabase: ${error.message}`)
+    return data
+  }
+  const rows = (columns = '*') => supabase.from(TABLE).select(columns).eq('store_id', storeId)
+  return {
+    async insert(job) {
+      return run(supabase.from(TABLE).insert({ ...job, store_id: storeId }).select(LIST_COLUMNS).single())
+    },
+    async update(id, patch) {
+      await run(supabase.from(TABLE).update(patch).eq('id', id).eq('store_id', storeId))
+    },
+    async get(id) {
+      return run(rows().eq('id', id).maybeSingle())
+    },
+    async findByWaId(waId) {
+      return run(rows().eq('wa_id', waId).maybeSingle())
+    },
+    async list({ status, chatId, source, since, until, limit = 50 } = {}) {
+      let q = rows(LIST_COLUMNS)
+      if (status?.length) q = q.in('status', status)
+      if (chatId)         q = q.eq('chat_id', chatId)
+      if (source)         q = q.eq('source', source)
+      if (since)          q = q.gte('created_at', since)
+      if (until)          q = q.lte('created_at', until)
+      return run(q.order('created_at', { ascending: false }).limit(limit))
+    },
+    async due(nowIso, limit) {
+      return run(rows()
+        .eq('status', 'queued')
+        .lte('next_attempt_at', nowIso)
+        .order('priority', { ascending: false })
+        .order('created_at')
+        .limit(limit))
+    },
+    // Un crash a mitad de envío deja filas en `sending`: se vuelven a encolar
+    async recover() {
+      await run(supabase.from(TABLE).update({ status: 'queued' }).eq('store_id', storeId).eq('status', 'sending'))
+    },
+  }
+}
+
+function createMemoryStore() {
+  const rows = new Map()
+  return {
+    async insert(job) { rows.set(job.id, { ...job }); return { ...job } },
+    async update(id, patch) { if (rows.has(id)) rows.set(id, { ...rows.get(id), ...patch }) },
+    async get(id) { return rows.has(id) ? { ...rows.get(id) } : null },
+    async findByWaId(waId) {
+      const row = [...rows.values()].find(r => r.wa_id === waId)
+      return row ? { ...row } : null
+    },
+    async list({ status, chatId, source, since, until, limit = 50 } = {}) {
+      return [...rows.values()]
+        .filter(r => (!status?.length || status.includes(r.status)) &&
+          (!chatId || r.chat_id === chatId) && (!source || r.source === source) &&
+          (!since || r.created_at >= since) && (!until || r.created_at <= until))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit)
+        .map(r => ({ ...r }))
+    },
+    async due(nowIso, limit) {
+      return [...rows.values()]
+        .filter(r => r.status === 'queued' && r.next_attempt_at <= nowIso)
+        .sort((a, b) => (b.priority - a.priority) || a.created_at.localeCompare(b.created_at))
+        .slice(0, limit)
+        .map(r => ({ ...r }))
+    },
+    async recover() {
+      for (const r of rows.values()) if (r.status === 'sending') r.status = 'queued'
+    },
+  }
+}
+
+function createOutboxStore(supabase, storeId) {
+  if (process.env.OUTBOX_STORE === 'memory') {
+    createLogger('Send', { store: storeId }).warn('Cola en memoria — los mensajes no sobreviven a un reinicio')
+    return createMemoryStore()
+  }
+  return createSupabaseStore(supabase, storeId)
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// COLA
+// ══════════════════════════════════════════════════════════════════════════════
+
+function createMessageQueue({ storeId, store, getClient, isReady, onSent }) {
+  const log       = createLogger('Send', { store: storeId })
+  const waiters   = new Map()   // id → [resolve]
+  const sentTimes = []          // timestamps de los envíos del último minuto
+  const earlyAcks = new Map()   // wa_id → ack que llegó antes de guardar el wa_id
+  let lastSentAt  = 0
+  let busy        = false
+  let timer       = null
+
+  function settle(job) {
+    const list = waiters.get(job.id)
+    if (!list) return
+    waiters.delete(job.id)
+    list.forEach(resolve => resolve(job))
+  }
+
+  function schedule(ms) {
+    if (timer) clearTimeout(timer)
+    timer = setTimeout(() => { timer = null; tick() }, Math.max(ms, 0))
+  }
+
+  // Cuánto hay que esperar para no pasarse del ritmo global
+  function pacingDelay(now) {
+    while (sentTimes.length && sentTimes[0] <= now - 60 * 1000) sentTimes.shift()
+    const byMinute   = sentTimes.length >= MAX_PER_MINUTE ? sentTimes[0] + 60 * 1000 - now : 0
+    // Jitter para que los envíos no tengan un ritmo perfectamente regular
+    const byInterval = lastSentAt + MIN_INTERVAL_MS + Math.floor(Math.random() * 1000) - now
+    return Math.max(byMinute, byInterval, 0)
+  }
+
+  // El worker corre fuera de la petición: recupera el reqId guardado en la fila
+  function deliver(job) {
+    return withContext({ reqId: job.req_id || undefined }, () => deliverJob(job))
+  }
+
+  async function deliverJob(job) {
+    const attempts = (job.attempts || 0) + 1
+    await store.update(job.id, { status: 'sending', attempts, updated_at: new Date().toISOString() })
+    const endTimer = metrics.sendDuration.startTimer({ store: storeId, source: job.source })
+    try {
+      const sent = job.media
+        ? await getClient().sendMessage(job.chat_id, toMessageMedia(job.media), { caption: job.body || undefined })
+        : await getClient().sendMessage(job.chat_id, job.body)
+      endTimer()
+      metrics.messagesTotal.inc({ store: storeId, source: job.source, result: 'sent' })
+      const now = Date.now()
+      lastSentAt = now
+      sentTimes.push(now)
+      const waId  = sent?.id?._serialized || null
+      const patch = { status: 'sent', wa_id: waId, sent_at: new Date(now).toISOString(), updated_at: new Date(now).toISOString(), last_error: null }
+      await store.update(job.id, patch)
+      log.info('Enviado', { id: job.id, source: job.source, chatId: job.chat_id, attempt: attempts })
+      onSent?.(job, waId)
+      settle({ ...job, ...patch, attempts })
+      if (waId && earlyAcks.has(waId)) {
+        const ack = earlyAcks.get(waId)
+        earlyAcks.delete(waId)
+        await recordAck(waId, ack)
+      }
+    } catch (e) {
+      endTimer()
+      lastSentAt = Date.now()
+      const error = friendlyError(e.message)
+      const final = isPermanentError(e.message) || attempts >= MAX_ATTEMPTS
+      metrics.messagesTotal.inc({ store: storeId, source: job.source, result: final ? 'failed' : 'retry' })
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS)
+      const patch = final
+        ? { status: 'failed', last_error: error, updated_at: new Date().toISOString() }
+        : { status: 'queued', last_error: error, next_attempt_at: new Date(Date.now() + delay).toISOString(), updated_at: new Date().toISOString() }
+      await store.update(job.id, patch).catch(err => log.error('Error actualizando la fila', { id: job.id, err }))
+      if (final) {
+        log.error('Descartado', { id: job.id, source: job.source, chatId: job.chat_id, attempt: attempts, err: error })
+        settle({ ...job, ...patch, attempts })
+      } else {
+        log.warn('Envío fallido, se reintentará', { id: job.id, source: job.source, chatId: job.chat_id, attempt: attempts, retryInS: Math.round(delay / 1000), err: error })
+      }
+    }
+  }
+
+  async function tick() {
+    if (busy || !isReady() || !getClient()) return
+    busy = true
+    try {
+      const wait = pacingDelay(Date.now())
+      if (wait > 0) return schedule(wait)
+      const [job] = await store.due(new Date().toISOString(), 1)
+      if (!job) return
+      await deliver(job)
+      schedule(pacingDelay(Date.now()))
+    } catch (e) {
+      log.error('Error en el worker', { err: e })
+    } finally {
+      busy = false
+    }
+  }
+
+  async function enqueue({ chatId, body, media = null, source = 'send', priority = 0 }) {
+    const now = new Date().toISOString()
+    const job = await store.insert({
+      id: crypto.randomUUID(), chat_id: chatId, body, source, priority,
+      media, media_type: media?.mimetype || null,
+      status: 'queued', attempts: 0, next_attempt_at: now,
+      req_id: currentRequestId(),
+      created_at: now, updated_at: now,
+    })
+    log.info('Encolado', { id: job.id, source, chatId, body: body || '', mediaType: media?.mimetype })
+    if (!timer) schedule(0)
+    return job
+  }
+
+  // Espera a que un mensaje se envíe o falle definitivamente (null si se agota el tiempo)
+  function wait(id, timeoutMs) {
+    return new Promise(resolve => {
+      const t = setTimeout(() => {
+        const list = (waiters.get(id) || []).filter(r => r !== done)
+        list.length ? waiters.set(id, list) : waiters.delete(id)
+        resolve(null)
+      }, timeoutMs)
+      function done(job) { clearTimeout(t); resolve(job) }
+      waiters.set(id, [...(waiters.get(id) || []), done])
+    })
+  }
+
+  // Llamar desde client.on('message_ack') — solo avanza, nunca retrocede
+  async function recordAck(waId, ack) {
+    const status = ACK_STATUS[ack]
+    if (!waId || !status) return
+    try {
+      const job = await store.findByWaId(waId)
+      if (!job) {
+        // Ack de un mensaje que no es de la cola, o que llegó antes que el wa_id
+        if (earlyAcks.size > 500) earlyAcks.clear()
+        earlyAcks.set(waId, ack)
+        return
+      }
+      if (job.status === 'failed') return
+      if (status !== 'failed' && (STATUS_RANK[status] ?? 0) <= (STATUS_RANK[job.status] ?? 0)) return
+      const now   = new Date().toISOString()
+      const patch = { status, [STATUS_TS[status]]: now, updated_at: now }
+      if (status === 'failed') patch.last_error = 'WhatsApp rechazó el mensaje (ack error)'
+      await store.update(job.id, patch)
+      log.debug('Ack', { id: job.id, status })
+    } catch (e) {
+      log.error('recordAck', { err: e })
+    }
+  }
+
+  function drain() {
+    log.info('Cliente listo — vaciando cola')
+    schedule(0)
+  }
+
+  store.recover().catch(e => log.error('recover', { err: e }))
+  setInterval(() => { if (!timer) tick() }, POLL_MS)
+
+  return {
+    enqueue, wait, drain, recordAck,
+    get:  id     => store.get(id),
+    list: filter => store.list(filter),
+  }
+}
+
+module.exports = { createMessageQueue, createOutboxStore, createMemoryStore, createSupabaseStore, ACK_STATUS }
@@ -0,0 +1,179 @@
+/**
+ * message_templates.js — Textos del bot editables desde settings.chatbot_templates
+ * =====================================================
+ * Cada respuesta era un template literal en el código: cambiar un consejo de estado,
+ * el tiempo de entrega o las formas de pago pedía redeploy.
+ *   ✅ Todas las respuestas tienen nombre (payment.reply, status.found, admin.complaint...)
+ *      y sus textos de serie (chatbot_i18n.js) se quedan como respaldo
+ *   ✅ settings.chatbot_templates sustituye las que se quieran, por idioma
+ *   ✅ Validación: plantilla o idioma que no existe, {{variable}} que esa plantilla no
+ *      recibe, llaves sin cerrar → se rechaza (y en loadSettings se ignora con aviso)
+ *   ✅ Vista previa con datos de ejemplo antes de guardar
+ * =====================================================
+ *
+ * settings.chatbot_templates (JSON):
+ *   {
+ *     "payment.reply":   "💵 Solo efectivo y Bizum 👉 {{web}}/menu",              (texto suelto = español)
+ *     "tip.preparing":   { "es": "¡Ya está en el horno! 🔥", "en": "It's in the oven! 🔥" },
+ *     "admin.complaint": "🚨 Queja de {{phone}}: {{message}}"
+ *   }
+ * Si un idioma no tiene texto propio se usa, por orden: el de serie de ese idioma, el
+ * editado en español y el de serie en español. Cambiar solo el español no cambia lo que
+ * reciben los clientes en inglés: revisa también los otros idiomas.
+ *
+ * Variables: cada plantilla admite las que usa su texto de serie (en cualquier idioma)
+ * más {{web}}, {{review}}, {{instagram}} y {{afiliado}}. GET /chatbot/templates las lista.
+ */
+
+const { TEMPLATES, DEFAULT_LANG } = require('./chatbot_i18n')
+
+const GLOBAL_VARIABLES = ['web', 'review', 'instagram', 'afiliado']
+const VARIABLE_RE      = /\{\{(\w+)\}\}/g
+
+// Datos de ejemplo para la vista previa (el chatbot añade web, review, instagram y afiliado)
+const SAMPLE = {
+  name:         'María',
+  order_number: '1234',
+  total:        '€18.50',
+  subtotal:     '€16.50',
+  price:        '€3.50',
+  fee:          '€2.00',
+  min:          '€15.00',
+  missing:      '€3.00',
+  discount:     '€1.65',
+  value:        '10%',
+  code:         'VERANO10',
+  time:         '20:15',
+  closes:       '21:00',
+  when:         'mañana a las 14:00',
+  reason:       ' por Vacaciones',
+  reopen:       'Abrimos mañana a las 14:00',
+  now:          '🟢 *Ahora estamos abiertos* hasta las 21:00 🍓',
+  hours:        '❌ Lunes: cerrado\n📅 Martes a Domingo: 14:00 – 21:00',
+  state:        '👨‍🍳 En preparación',
+  tip:          '¡Estamos preparándolo ahora mismo! En unos minutos sale 🛵',
+  from:         '20',
+  to:           '35',
+  eta:          '20–35 min, sobre las 20:50',
+  delivery:     '(envío €2.00 incluido)',
+  arrival:      '\n🕒 Llega aprox. a las *20:45*',
+  zone:         'Centro',
+  minimum:      '\n🛒 Pedido mínimo: *€15.00*',
+  actions:      '¿Necesitas algo? Responde *hablar* y te atiende el equipo 🙋',
+  items:        '\n🛒 *Productos:*\n  • 2x Brownie · €7.00\n  • 1x Tarta de fresa · €4.00',
+  list:         '*🍓 Productos:*\n  • 🍫 *Brownie* — €3.50\n  • 🍓 *Tarta de fresa* — desde €4.00',
+  catalog:      '*1.* 🍫 Brownie — €3.50\n*2.* 🍓 Tarta de fresa — desde €4.00',
+  cart:         '🛒 *Tu pedido:*\n1. 2x Brownie · €7.00\n*Subtotal: €7.00*',
+  lines:        '1. 2x Brownie · €7.00\n2. 1x Tarta de fresa (Mediano) · €6.00',
+  line:         '3',
+  count:        '4',
+  max:          '20',
+  size:         ' (Mediano)',
+  emoji:        '🍫',
+  what:         '*cancelar tu pedido*',
+  address:      'Calle Real 12, 2ºB',
+  phone:        '34600111222',
+  message:      'El pedido llegó frío',
+}
+
+const variablesIn = (text) => [...String(text).matchAll(VARIABLE_RE)].map(m => m[1])
+const fill        = (template, vars) => template.replace(VARIABLE_RE, (_, k) => vars[k] ?? '')
+
+// Variables propias de cada plantilla: las que usan sus textos de serie en cualquier idioma
+const KEYS      = Object.keys(TEMPLATES[DEFAULT_LANG])
+const VARIABLES = Object.fromEntries(KEYS.map(key => {
+  const used = Object.values(TEMPLATES).flatMap(texts => texts[key] ? variablesIn(texts[key]) : [])
+  return [key, [...new Set(used)].filter(v => !GLOBAL_VARIABLES.includes(v))]
+}))
+
+/**
+ * validate(key, text) → lista de problemas ([] = se puede guardar)
+ */
+function validate(key, text) {
+  if (!VARIABLES[key]) return ['no existe esa plantilla']
+  if (typeof text !== 'string' || !text.trim()) return ['el texto no puede estar vacío']
+  const errors  = []
+  const allowed = [...VARIABLES[key], ...GLOBAL_VARIABLES]
+  const unknown = [...new Set(variablesIn(text))].filter(v => !allowed.includes(v))
+  if (unknown.length) {
+    errors.push(`variables desconocidas ${unknown.map(v => `{{${v}}}`).join(', ')} (admite ${allowed.map(v => `{{${v}}}`).join(', ')})`)
+  }
+  const rest = text.replace(VARIABLE_RE, '')
+  if (rest.includes('{{') || rest.includes('}}')) errors.push('hay llaves {{ }} sin cerrar o con espacios')
+  return errors
+}
+
+function createTemplates() {
+  let overrides = {}   // key → { lang: texto }
+
+  // JSON de settings → lista de errores; las entradas con errores se ignoran, el resto se aplica
+  function setOverrides(json) {
+    const errors = []
+    const next   = {}
+    for (const [key, value] of Object.entries(json || {})) {
+      if (!VARIABLES[key]) { errors.push(`${key}: no existe esa plantilla`); continue }
+      const texts = typeof value === 'string' ? { [DEFAULT_LANG]: value } : value
+      if (!texts || typeof texts !== 'object' || Array.isArray(texts)) {
+        errors.push(`${key}: debe ser un texto o { "es": "...", "en": "..." }`)
+        continue
+      }
+      for (const [lang, text] of Object.entries(texts)) {
+        if (!TEMPLATES[lang]) { errors.push(`${key} [${lang}]: idioma desconocido`); continue }
+        const problems = validate(key, text)
+        if (problems.length) { errors.push(...problems.map(p => `${key} [${lang}]: ${p}`)); continue }
+        next[key] = { ...next[key], [lang]: text }
+      }
+    }
+    overrides = next
+    return errors
+  }
+
+  function source(lang, key) {
+    return overrides[key]?.[lang] ?? TEMPLATES[lang]?.[key] ?? overrides[key]?.[DEFAULT_LANG] ?? TEMPLATES[DEFAULT_LANG][key]
+  }
+
+  // t('en', 'status.found', { order_number: 12 }) — clave desconocida → la propia clave
+  function t(lang, key, vars = {}) {
+    const template = source(lang, key)
+    return template == null ? key : fill(template, vars)
+  }
+
+  /**
+   * preview(key, { lang, text, vars }) → { text, errors }
+   *   text: el borrador a probar (si no se da, el texto actual de esa plantilla)
+   *   vars: se mezclan con los datos de ejemplo
+   */
+  function preview(key, { lang = DEFAULT_LANG, text, vars = {} } = {}) {
+    if (!TEMPLATES[lang]) return { text: null, errors: [`idioma desconocido: ${lang}`] }
+    const template = text ?? source(lang, key)
+    const errors   = validate(key, template)
+    if (errors.length) return { text: null, errors }
+    const sample = {
+      ...SAMPLE,
+      state:    t(lang, 'state.preparing'),
+      tip:      t(lang, 'tip.preparing'),
+      eta:      t(lang, 'notify.eta', { from: SAMPLE.from, to: SAMPLE.to, time: '20:50' }),
+      delivery: t(lang, 'notify.delivery_fee', { fee: SAMPLE.fee }),
+      actions:  t(lang, 'notify.actions'),
+      arrival:  t(lang, 'eta.arrival', { time: '20:45' }),
+      minimum:  t(lang, 'zone.minimum', { min: SAMPLE.min }),
+    }
+    return { text: fill(template, { ...sample, ...vars }), errors: [] }
+  }
+
+  // Para GET /chatbot/templates: cada plantilla con sus variables y el texto vigente por idioma
+  function list() {
+    return KEYS.map(key => ({
+      key,
+      variables: [...VARIABLES[key], ...GLOBAL_VARIABLES],
+      texts: Object.fromEntries(Object.keys(TEMPLATES).map(lang => [lang, { text: source(lang, key), custom: !!overrides[key]?.[lang] }])),
+    }))
+  }
+
+  return {
+    t, setOverrides, preview, list,
+    get customCount() { return Object.values(overrides).reduce((n, texts) => n + Object.keys(texts).length, 0) },
+  }
+}
+
+module.exports = { createTemplates, validate, GLOBAL_VARIABLES, SAMPLE }
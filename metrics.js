@@ -0,0 +1,134 @@
+/**
+ * metrics.js — Métricas Prometheus del gateway y del chatbot (GET /metrics)
+ * =====================================================
+ * Un único registro para todo el proceso; cada módulo importa lo que mide.
+ * Todas las métricas de WhatsApp/chatbot llevan la etiqueta `store`.
+ * =====================================================
+ *
+ * VARIABLES DE ENTORNO:
+ *   METRICS_TOKEN = token para `Authorization: Bearer ...` (opcional; sin él, o con otro Bearer,
+ *                   /metrics pide una clave con scope `analytics` de la tienda principal — api_keys.js)
+ */
+
+const client = require('prom-client')
+
+const register = new client.Registry()
+client.collectDefaultMetrics({ register })   // CPU, memoria, event loop del proceso
+
+// ── Envío (message_queue.js) ────────────────────────────────────────────────
+const messagesTotal = new client.Counter({
+  name: 'wa_messages_total',
+  help: 'Mensajes de la cola de salida por origen y resultado (sent | failed | retry)',
+  labelNames: ['store', 'source', 'result'],
+  registers: [register],
+})
+
+const sendDuration = new client.Histogram({
+  name: 'wa_send_duration_seconds',
+  help: 'Latencia de client.sendMessage',
+  labelNames: ['store', 'source'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register],
+})
+
+// ── Conexión (gateway.js / supervisor.js) ─────────────────────────────────
+const reconnectsTotal = new client.Counter({
+  name: 'wa_reconnects_total',
+  help: 'Reinicios del cliente de WhatsApp por motivo',
+  labelNames: ['store', 'reason'],
+  registers: [register],
+})
+
+const readySince = new Map()   // store → timestamp de `ready` (null si caído)
+
+new client.Gauge({
+  name: 'wa_seconds_since_ready',
+  help: 'Segundos desde que el cliente quedó listo (-1 si no está conectado)',
+  labelNames: ['store'],
+  registers: [register],
+  collect() {
+    this.reset()
+    for (const [store, ts] of readySince) this.set({ store }, ts ? (Date.now() - ts) / 1000 : -1)
+  },
+})
+
+function setReady(store, ready) {
+  readySince.set(store, ready ? Date.now() : null)
+}
+
+// ── Chatbot ───────────────────────────────────────────────────────────────
+const inboundTotal = new client.Counter({
+  name: 'chatbot_inbound_messages_total',
+  help: 'Mensajes entrantes por intención detectada',
+  labelNames: ['store', 'intent'],
+  registers: [register],
+})
+
+const escalationsTotal = new client.Counter({
+  name: 'chatbot_escalations_total',
+  help: 'Conversaciones escaladas al equipo',
+  labelNames: ['store', 'reason'],
+  registers: [register],
+})
+
+const fallbackTotal = new client.Counter({
+  name: 'chatbot_fallback_replies_total',
+  help: 'Mensajes que no encajaron en ninguna intención (respuesta genérica)',
+  labelNames: ['store'],
+  registers: [register],
+})
+
+const productsCacheTotal = new client.Counter({
+  name: 'chatbot_products_cache_total',
+  help: 'Lecturas de getActiveProducts servidas desde caché (hit) o desde Supabase (miss)',
+  labelNames: ['store', 'result'],
+  registers: [register],
+})
+
+// ── Supabase (sbFetch) ─────────────────────────────────────────────────────
+const supabaseDuration = new client.Histogram({
+  name: 'supabase_request_duration_seconds',
+  help: 'Latencia de las llamadas REST a Supabase (sbFetch)',
+  labelNames: ['store', 'table', 'method'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5],
+  registers: [register],
+})
+
+const supabaseErrors = new client.Counter({
+  name: 'supabase_request_errors_total',
+  help: 'Errores de las llamadas REST a Supabase (sbFetch)',
+  labelNames: ['store', 'table', 'method'],
+  registers: [register],
+})
+
+// ── Webhooks salientes (webhooks.js) ───────────────────────────────────────
+const webhookDeliveriesTotal = new client.Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Intentos de entrega de webhooks por resultado (delivered | retry | failed)',
+  labelNames: ['store', 'result'],
+  registers: [register],
+})
+
+// ── HTTP ──────────────────────────────────────────────────────────────────
+const rateLimitedTotal = new client.Counter({
+  name: 'http_rate_limited_total',
+  help: 'Peticiones rechazadas por el rate limiter',
+  labelNames: ['limiter'],
+  registers: [register],
+})
+
+module.exports = {
+  register,
+  messagesTotal,
+  sendDuration,
+  reconnectsTotal,
+  setReady,
+  inboundTotal,
+  escalationsTotal,
+  fallbackTotal,
+  productsCacheTotal,
+  supabaseDuration,
+  supabaseErrors,
+  webhookDeliveriesTotal,
+  rateLimitedTotal,
+}
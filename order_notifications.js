@@ -0,0 +1,185 @@
+/**
+ * order_notifications.js — Avisar al cliente por WhatsApp cuando su pedido cambia de estado
+ * =====================================================
+ * El cliente solo se enteraba de que su pedido estaba en preparación o en camino si
+ * escribía "mi pedido". Ahora el bot se lo dice en cuanto la cocina lo cambia:
+ *   ✅ Sondea `orders` cada 20 s con un cursor sobre updated_at (sin Realtime ni websockets)
+ *   ✅ Solo los pedidos de su tienda (orders.store_id): todas comparten la BD y cada aviso
+ *      tiene que salir del número de la tienda donde se pidió
+ *   ✅ Mensaje con el estado y su consejo (plantilla notify.status, state.* y tip.*) en el
+ *      idioma en que nos escribió el cliente
+ *   ✅ Como mucho un aviso por pedido y estado: se reserva en order_status_notifications
+ *      antes de encolarlo, así que ni un reinicio ni dos réplicas lo repiten
+ *   ✅ Pedido nuevo (pending) → confirmación con el resumen: productos, total, dirección,
+ *      hora estimada y qué puede responder (cancelar mientras se pueda, hablar)
+ *   ✅ Cada estado se enciende o se apaga en settings.order_notifications
+ *   ✅ Lo que hace el propio bot (cancelar por chat, crear el pedido) no se avisa dos veces
+ * Si la tabla o la columna no existen se registra el error y no se envía nada.
+ * =====================================================
+ *
+ * TABLAS EN SUPABASE:
+ *   alter table orders
+ *     add column if not exists updated_at timestamptz default now(),
+ *     add column if not exists store_id   text not null default 'carmocream';  -- tienda (ver stores.js)
+ *   create or replace function touch_updated_at() returns trigger as $$
+ *     begin new.updated_at = now(); return new; end $$ language plpgsql;
+ *   create trigger orders_touch before update on orders
+ *     for each row execute function touch_updated_at();
+ *   create index on orders (store_id, updated_at);
+ *   La web de cada tienda guarda su store_id al crear el pedido (sin él cuenta como 'carmocream');
+ *   los pedidos por chat ya lo llevan.
+ *
+ *   create table order_status_notifications (
+ *     order_id   bigint not null,
+ *     status     text not null,
+ *     store_id   text not null default 'carmocream',
+ *     phone      text,                    -- 34XXXXXXXXX (null = no se pudo avisar)
+ *     created_at timestamptz default now(),
+ *     primary key (order_id, status)      -- una fila por pedido y estado aunque haya varias tiendas
+ *   );
+ *
+ * SETTINGS:
+ *   order_notifications = { "preparing": true, "delivering": true, "ready": false, ... }
+ *   Lo que no se indique queda como DEFAULT_STATUSES.
+ */
+
+const TABLE             = 'order_status_notifications'
+const POLL_INTERVAL_MS  = 20 * 1000
+const PAGE_SIZE         = 100
+// Al arrancar se revisa lo que cambió justo antes (el registro evita repetir avisos)
+const START_LOOKBACK_MS = 10 * 60 * 1000
+// Un cambio más antiguo ya no se avisa: si la BD estuvo caída horas, llegaría tarde
+const MAX_AGE_MS        = 2 * 60 * 60 * 1000
+const KNOWN_MAX         = 2000
+
+// pending es la confirmación del pedido; delivered tiene su propia petición de reseña
+const DEFAULT_STATUSES = {
+  pending:    true,
+  preparing:  true,
+  ready:      false,
+  delivering: true,
+  delivered:  false,
+  cancelled:  true,
+}
+
+// "612 34 56 78" / "+34 612..." → 34612345678@c.us; null si no parece un móvil
+function chatIdFor(customerPhone) {
+  const digits = String(customerPhone || '').replace(/\D/g, '').replace(/^00/, '')
+  if (digits.length < 9) return null
+  return `${digits.length === 9 ? `34${digits}` : digits}@c.us`
+}
+
+/**
+ * createOrderNotifier({ storeId, sbFetch, send, message, log }) → { setStatuses, markNotified, poll, start, info }
+ *   sbFetch(path, opts)          → PostgREST del chatbot
+ *   send(chatId, body)           → encola el mensaje (cola de salida)
+ *   message(order, chatId)       → (async) texto del aviso para order.status en el idioma del cliente
+ *                                  (pending = confirmación con el resumen del pedido)
+ */
+function createOrderNotifier({ storeId, sbFetch, send, message, log }) {
+  let statuses = { ...DEFAULT_STATUSES }
+  let cursor   = new Date(Date.now() - START_LOOKBACK_MS).toISOString()
+  let timer    = null
+  let running  = false
+  let failing  = false
+  let sent     = 0
+  const known  = new Set()   // "order_id:status" ya resueltos, para no volver a consultar el registro
+
+  function remember(key) {
+    if (known.size >= KNOWN_MAX) known.delete(known.values().next().value)
+    known.add(key)
+  }
+
+  // JSON de settings → lista de errores; lo que no se indique queda como DEFAULT_STATUSES
+  function setStatuses(json) {
+    const errors = []
+    const next   = { ...DEFAULT_STATUSES }
+    for (const [status, on] of Object.entries(json || {})) {
+      if (!(status in DEFAULT_STATUSES)) { errors.push(`${status}: estado desconocido`); continue }
+      if (typeof on !== 'boolean') { errors.push(`${status}: debe ser true o false`); continue }
+      next[status] = on
+    }
+    statuses = next
+    return errors
+  }
+
+  // Reserva el aviso; true = es nuestro y hay que enviarlo, false = ya estaba avisado
+  async function claim(order, chatId) {
+    const rows = await sbFetch(TABLE, {
+      method:  'POST',
+      headers: { Prefer: 'resolution=ignore-duplicates,return=representation' },
+      body:    JSON.stringify({ order_id: order.id, status: order.status, store_id: storeId, phone: chatId ? chatId.split('@')[0] : null }),
+    })
+    return (rows || []).length > 0
+  }
+
+  // El bot ya se lo ha dicho al cliente (canceló o creó el pedido por chat): que no llegue otro aviso
+  async function markNotified(orderId, status) {
+    const key = `${orderId}:${status}`
+    if (known.has(key)) return
+    try {
+      await claim({ id: orderId, status }, null)
+      remember(key)
+    } catch (e) {
+      log.error('No se pudo registrar el aviso de estado', { orderId, status, err: e })
+    }
+  }
+
+  async function notify(order) {
+    const key = `${order.id}:${order.status}`
+    if (known.has(key)) return
+    const chatId = chatIdFor(order.customer_phone)
+    const stale  = Date.now() - new Date(order.updated_at).getTime() > MAX_AGE_MS
+    if (!chatId || stale) { remember(key); return }
+    if (!await claim(order, chatId)) { remember(key); return }
+    remember(key)
+    try {
+      await send(chatId, await message(order, chatId))
+      sent++
+      log.info('Aviso de estado encolado', { order: order.order_number ?? order.id, status: order.status, phone: chatId })
+    } catch (e) {
+      // Ya está reservado: se pierde este aviso antes que arriesgarse a mandarlo dos veces
+      log.error('Aviso de estado no encolado', { order: order.order_number ?? order.id, status: order.status, err: e })
+    }
+  }
+
+  // Una pasada: cambios desde el cursor, en orden; si uno falla, el cursor se queda ahí
+  async function poll() {
+    const wanted = Object.keys(statuses).filter(s => statuses[s])
+    if (running || !wanted.length) return
+    running = true
+    try {
+      const rows = await sbFetch(
+        `orders?store_id=eq.${storeId}&updated_at=gte.${encodeURIComponent(cursor)}&status=in.(${wanted.join(',')})` +
+        `&select=id,order_number,status,customer_name,customer_phone,delivery_address,items,total,created_at,preparing_at,updated_at` +
+        `&order=updated_at.asc&limit=${PAGE_SIZE}`
+      )
+      for (const order of rows || []) {
+        if (!order.updated_at || !statuses[order.status]) continue
+        await notify(order)
+        cursor = order.updated_at
+      }
+      if (failing) log.info('Avisos de estado recuperados')
+      failing = false
+    } catch (e) {
+      // Cada 20 s el mismo error no aporta nada: solo el primero
+      if (!failing) log.error('Avisos de estado: fallo leyendo pedidos (se reintenta)', { err: e })
+      failing = true
+    } finally {
+      running = false
+    }
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(poll, POLL_INTERVAL_MS)
+    poll()
+  }
+
+  // Para GET /chatbot/order-notifications
+  const info = () => ({ statuses: { ...statuses }, cursor, sent, failing })
+
+  return { setStatuses, markNotified, poll, start, info }
+}
+
+module.exports = { createOrderNotifier, DEFAULT_STATUSES, chatIdFor }
@@ -2,22 +2,45 @@
 // ✅ Fix crítico: service role key tiene prioridad sobre anon key
 // ✅ CORS dinámico desde env ALLOWED_ORIGINS
 // ✅ Rate limiting, validaciones, sin secretos hardcodeados
+// ✅ Cola de salida persistente con reintentos y ritmo anti-ban (message_queue.js)
+// ✅ Seguimiento de entregado/leído por mensaje (GET /messages)
+// ✅ Adjuntos en /send: base64, multipart o URL permitida (media.js)
+// ✅ Varias tiendas, una sesión de WhatsApp por tienda: /t/:store/... (stores.js, gateway.js)
+// ✅ QR generado en el servidor y /status en vivo por SSE (status_page.js)
+// ✅ GET /events: stream SSE de conexión, mensajes, escalados y takeovers
+// ✅ Sesión completa en Supabase Storage con versiones (RemoteAuth + session_store.js)
+// ✅ Supervisor por cliente: backoff, watchdog y apagado limpio en SIGTERM (supervisor.js)
+// ✅ GET /metrics en formato Prometheus (metrics.js)
+// ✅ Logs JSON con teléfonos/textos enmascarados y X-Request-Id por petición (logger.js)
+// ✅ Claves de API con permisos, caducidad, revocación y firma HMAC; sin ?secret= (api_keys.js)
+// ✅ Webhooks salientes firmados con reintentos y registro de entregas (webhooks.js)
 
 const express    = require('express')
-const { Client, LocalAuth } = require('whatsapp-web.js')
 const { createClient }      = require('@supabase/supabase-js')
 const cors       = require('cors')
 const rateLimit  = require('express-rate-limit')
-const fs         = require('fs')
-const path       = require('path')
+const multer     = require('multer')
+const { mediaFromRequest, MEDIA_MAX_BYTES } = require('./media')
+const { loadStores }    = require('./stores')
+const { createGateway } = require('./gateway')
+const { statusSnapshot, streamStatus, renderStatusPage, qrSvg } = require('./status_page')
+const { openSse } = require('./sse')
+const metrics     = require('./metrics')
+const { createLogger, requestId } = require('./logger')
+const { requireScope, checkBodyDigest, safeEqual, SCOPES } = require('./api_keys')
+
+const log     = createLogger('Server')
+const sendLog = createLogger('Send')
 
 const app  = express()
 const PORT = process.env.PORT || 3000
 
-// ── 🔐 Secreto obligatorio ─────────────────────────────────────────────────
-const SECRET = process.env.WA_SECRET
-if (!SECRET) {
-  console.error('❌ FATAL: WA_SECRET no está configurado en Railway.')
+// ── 🔐 Tiendas y secretos obligatorios ─────────────────────────────────────
+let STORES
+try {
+  STORES = loadStores()
+} catch (e) {
+  log.error(`FATAL: ${e.message} — revisa WA_SECRET / WA_STORES en Railway.`)
   process.exit(1)
 }
 
@@ -26,7 +49,7 @@ const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
   .split(',').map(o => o.trim()).filter(Boolean)
 
 if (ALLOWED_ORIGINS.length === 0) {
-  console.warn('⚠️  ALLOWED_ORIGINS no configurado. Usando defaults.')
+  log.warn('ALLOWED_ORIGINS no configurado. Usando defaults.')
   ALLOWED_ORIGINS.push(
     'http://localhost:5173', 'http://localhost:5174',
     'http://localhost:5175', 'http://localhost:5176',
@@ -40,8 +63,12 @@ app.use(cors({
     if (ALLOWED_ORIGINS.includes(origin)) return cb(null, true)
     cb(null, false)
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'x-secret'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'x-api-key', 'x-secret', 'x-request-id',
+    'x-key-id', 'x-timestamp', 'x-signature', 'x-content-sha256',
+  ],
+  exposedHeaders: ['x-request-id'],
 }))
 app.options('*', cors())
 
@@ -50,39 +77,57 @@ app.options('*', cors())
 // Si se usa la anon key, las queries a orders/products fallan por RLS
 const sbKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
 if (!sbKey) {
-  console.error('❌ FATAL: SUPABASE_SERVICE_ROLE_KEY no configurada en Railway.')
+  log.error('FATAL: SUPABASE_SERVICE_ROLE_KEY no configurada en Railway.')
   process.exit(1)
 }
 const supabase = createClient(process.env.SUPABASE_URL, sbKey)
 
-app.use(express.json({ limit: '50kb' }))
+// 50kb para todo salvo /send, que trae su propio parser para adjuntos
+// El cuerpo en crudo se guarda para comprobar las peticiones firmadas (x-content-sha256)
+const TEXT_BODY_LIMIT = 50 * 1024
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf
+  const error = checkBodyDigest(req)
+  if (error) throw Object.assign(new Error(error), { status: 401, expose: true })
+}
+const jsonText  = express.json({ limit: TEXT_BODY_LIMIT, verify: keepRawBody })
+const jsonMedia = express.json({ limit: Math.ceil(MEDIA_MAX_BYTES * 1.4) + TEXT_BODY_LIMIT, verify: keepRawBody })
+const upload    = multer({ storage: multer.memoryStorage(), limits: { fileSize: MEDIA_MAX_BYTES, files: 1 } })
+app.use((req, res, next) => (/^(\/t\/[^/]+)?\/send$/.test(req.path) ? next() : jsonText(req, res, next)))
 app.set('trust proxy', 1)
+app.use(requestId())
 
 // ── Auth middleware ─────────────────────────────────────────────────────────
 function isRailwayInternal(ip) {
   return ip && (ip.startsWith('100.64.') || ip === '::ffff:100.64.0.2' || ip === '::ffff:100.64.0.3')
 }
 
-function auth(req, res, next) {
-  if (isRailwayInternal(req.ip)) return res.status(401).json({ error: 'No autorizado' })
-  const secret = req.headers['x-secret'] || req.query.secret
-  if (!secret || secret !== SECRET) {
-    console.warn(`[Auth] Intento no autorizado desde ${req.ip} — ${req.path}`)
-    return res.status(401).json({ error: 'No autorizado' })
+// Claves de cada tienda (api_keys.js) — req.gw lo resuelve el montaje de rutas
+function auth(...scopes) {
+  const check = requireScope(...scopes)
+  return (req, res, next) => {
+    if (isRailwayInternal(req.ip)) return res.status(401).json({ error: 'No autorizado' })
+    check(req, res, next)
   }
-  next()
 }
 
 // ── Rate limiting ───────────────────────────────────────────────────────────
 const sendLimiter = rateLimit({
   windowMs: 60 * 1000, max: 30, standardHeaders: true, legacyHeaders: false,
   skip: (req) => isRailwayInternal(req.ip),
-  handler: (req, res) => res.status(429).json({ success: false, error: 'Demasiadas peticiones.' }),
+  handler: (req, res) => {
+    metrics.rateLimitedTotal.inc({ limiter: 'send' })
+    res.status(429).json({ success: false, error: 'Demasiadas peticiones.' })
+  },
 })
 
 const globalLimiter = rateLimit({
   windowMs: 60 * 1000, max: 100, standardHeaders: true, legacyHeaders: false,
-  skip: (req) => isRailwayInternal(req.ip),
+  skip: (req) => isRailwayInternal(req.ip) || req.path === '/metrics',
+  handler: (req, res, next, options) => {
+    metrics.rateLimitedTotal.inc({ limiter: 'global' })
+    res.status(options.statusCode).send(options.message)
+  },
 })
 app.use(globalLimiter)
 
@@ -104,207 +149,334 @@ function sanitizeMessage(raw) {
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
-// SESIÓN EN SUPABASE
+// TIENDAS — un gateway (cliente + sesión + cola + chatbot) por tienda
+// ══════════════════════════════════════════════════════════════════════════════
+
+const gateways = new Map(STORES.map(store => [store.id, createGateway({
+  store, supabase, supabaseUrl: process.env.SUPABASE_URL, supabaseKey: sbKey,
+})]))
+const defaultGateway = gateways.get(STORES[0].id)
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ENDPOINTS — comunes a todas las tiendas, sobre req.gw
 // ══════════════════════════════════════════════════════════════════════════════
 
-const SESSION_ID   = 'carmocream'
-const SESSION_KEY  = `wa_session_${SESSION_ID}`
-const AUTH_PATH    = '/tmp/.wwebjs_auth'
-const SESSION_DIR  = path.join(AUTH_PATH, `session-${SESSION_ID}`)
-const SESSION_FILE = path.join(SESSION_DIR, 'session.json')
+const api = express.Router()
 
-async function saveSession() {
+// Health check público — con una clave válida añade el estado de la tienda
+api.get('/', async (req, res) => {
+  const { auth: key } = await req.gw.apiKeys.authenticate(req).catch(() => ({}))
+  if (key) {
+    return res.json({ ok: true, ready: req.gw.isReady, store: req.gw.store.id, service: 'CarmoCream WhatsApp' })
+  }
+  res.json({ ok: true, service: 'CarmoCream WhatsApp' })
+})
+
+// QR / estado de conexión — la página se actualiza sola por SSE
+api.get('/status', auth('admin'), async (req, res) => {
   try {
-    if (!fs.existsSync(SESSION_FILE)) return
-    const data = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'))
-    const { error } = await supabase
-      .from('whatsapp_sessions')
-      .upsert({ id: SESSION_KEY, data, updated_at: new Date().toISOString() })
-    if (error) console.error('[Session] Error guardando:', error.message)
-    else       console.log('[Session] ✅ Guardada en Supabase')
+    res.send(renderStatusPage(await statusSnapshot(req.gw)))
   } catch (e) {
-    console.error('[Session] Excepción al guardar:', e.message)
+    res.status(500).json({ error: e.message })
   }
-}
+})
+
+api.get('/status/stream', auth('admin'), (req, res) => streamStatus(req.gw, req, res))
 
-async function restoreSession() {
+// QR suelto en SVG (p.ej. para incrustarlo en el panel admin)
+api.get('/status/qr.svg', auth('admin'), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('whatsapp_sessions')
-      .select('data')
-      .eq('id', SESSION_KEY)
-      .maybeSingle()
-    if (error || !data?.data) {
-      console.log('[Session] Sin sesión guardada — se generará QR')
-      return false
-    }
-    fs.mkdirSync(SESSION_DIR, { recursive: true })
-    fs.writeFileSync(SESSION_FILE, JSON.stringify(data.data), 'utf8')
-    console.log('[Session] ✅ Restaurada desde Supabase')
-    return true
+    const svg = await qrSvg(req.gw)
+    if (!svg) return res.status(404).json({ error: req.gw.isReady ? 'Ya está conectado' : 'Todavía no hay QR' })
+    res.type('image/svg+xml').set('Cache-Control', 'no-store').send(svg)
   } catch (e) {
-    console.error('[Session] Excepción al restaurar:', e.message)
-    return false
+    res.status(500).json({ error: e.message })
   }
-}
+})
 
-// ══════════════════════════════════════════════════════════════════════════════
-// CLIENTE WHATSAPP
-// ══════════════════════════════════════════════════════════════════════════════
+// Eventos en vivo para el panel admin — ?types=ready,escalation filtra por tipo
+// Al reconectar, EventSource manda Last-Event-ID y se reenvía lo que se perdió
+api.get('/events', auth('analytics'), (req, res) => {
+  const { events } = req.gw
+  const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : null
+  const push  = (ev) => {
+    if (types && !types.includes(ev.type)) return
+    // El QR en crudo es una credencial: el panel lo pide a /status/qr.svg
+    const { qr, ...data } = ev.data
+    stream.send(ev.type, { store: ev.store, at: ev.at, ...data }, ev.id)
+  }
+  const stream = openSse(req, res, () => events.off('*', push))
+  events.since(req.headers['last-event-id'] || req.query.last_event_id).forEach(push)
+  events.on('*', push)
+})
 
-let client  = null
-let isReady = false
-let lastQr  = null
-
-async function initClient() {
-  await restoreSession()
-
-  const setupChatbot = require('./chatbot_railway_webhook')
-
-  client = new Client({
-    authStrategy: new LocalAuth({ clientId: SESSION_ID, dataPath: AUTH_PATH }),
-    puppeteer: {
-      headless: true,
-      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
-      args: [
-        '--no-sandbox', '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage', '--disable-gpu',
-        '--no-first-run', '--no-zygote',
-        '--disable-extensions', '--disable-software-rasterizer',
-        '--shm-size=512mb',
-      ],
-    },
+// Enviar mensaje — se encola; si el cliente está listo esperamos un poco al resultado
+const SEND_WAIT_MS = 10 * 1000
+
+// multipart (campo `media`) o JSON; el límite de 50kb se mantiene si no hay adjunto
+function sendBodyParser(req, res, next) {
+  if (req.is('multipart/form-data')) {
+    return upload.single('media')(req, res, (err) => {
+      if (!err) return next()
+      const tooBig = err.code === 'LIMIT_FILE_SIZE'
+      res.status(tooBig ? 413 : 400).json({ success: false, error: tooBig ? 'Archivo demasiado grande' : err.message })
+    })
+  }
+  jsonMedia(req, res, (err) => {
+    if (!err) return next()
+    res.status(err.status || 400).json({ success: false, error: err.expose ? err.message : 'JSON inválido' })
   })
+}
 
-  client.on('qr', (qr) => {
-    lastQr = qr
-    console.log('[!] Nuevo QR generado — visita /status para escanearlo')
-  })
+api.post('/send', auth('send'), sendLimiter, sendBodyParser, async (req, res) => {
+  const { outbox } = req.gw
+  const body     = req.body || {}
+  const phone    = validatePhone(body.phone)
+  const hasMedia = !!(req.file || body.media || body.media_url)
 
-  client.on('authenticated', async () => {
-    console.log('🔐 Autenticado correctamente')
-    lastQr = null
-    setTimeout(saveSession, 3000)
-  })
+  if (!hasMedia && Number(req.headers['content-length'] || 0) > TEXT_BODY_LIMIT)
+    return res.status(413).json({ success: false, error: 'Petición demasiado grande' })
+  if (!phone) return res.status(400).json({ success: false, error: 'Teléfono inválido' })
 
-  client.on('ready', () => {
-    console.log('✅ WhatsApp conectado y listo')
-    isReady = true
-    lastQr  = null
-    setTimeout(saveSession, 2000)
-  })
+  // Con adjunto el mensaje es el pie de foto y puede ir vacío
+  const message = sanitizeMessage(body.message)
+  if (!message && !(hasMedia && !body.message))
+    return res.status(400).json({ success: false, error: 'Mensaje vacío o demasiado largo' })
 
-  client.on('disconnected', async (reason) => {
-    console.warn('⚠️ Desconectado:', reason)
-    isReady = false
-    if (reason === 'LOGOUT') {
-      await supabase.from('whatsapp_sessions').delete().eq('id', SESSION_KEY)
-      console.log('[Session] Eliminada de Supabase (logout)')
-    }
-    setTimeout(() => {
-      console.log('♻️  Reconectando...')
-      client?.destroy().catch(() => {})
-      initClient()
-    }, 8000)
-  })
+  const { media, error: mediaError } = hasMedia ? await mediaFromRequest(req) : {}
+  if (mediaError) return res.status(400).json({ success: false, error: mediaError })
 
-  setInterval(saveSession, 15 * 60 * 1000)
-
-  // ── Pasar SERVICE_ROLE KEY al chatbot para que pueda leer/escribir BD ──
-  // El chatbot usa su propio cliente fetch, necesita la key correcta
-  setupChatbot(app, client, process.env.SUPABASE_URL, sbKey)
+  const chatId = `${phone}@c.us`
+  try {
+    const job  = await outbox.enqueue({ chatId, body: message, media, source: 'send', priority: 5 })
+    const done = req.gw.isReady ? await outbox.wait(job.id, SEND_WAIT_MS) : null
+    if (done?.status === 'sent')   return res.json({ success: true, id: job.id, status: 'sent' })
+    if (done?.status === 'failed') return res.status(500).json({ success: false, id: job.id, error: done.last_error })
+    // Sin conexión o cola ocupada: se enviará en cuanto toque
+    res.status(202).json({ success: true, id: job.id, status: 'queued' })
+  } catch (err) {
+    sendLog.error('Error en /send', { store: req.gw.store.id, chatId, err })
+    res.status(500).json({ success: false, error: err.message })
+  }
+})
 
-  await client.initialize()
+// Estado de entrega de un mensaje
+function publicMessage(row) {
+  return {
+    id:           row.id,
+    phone:        row.chat_id?.replace('@c.us', ''),
+    source:       row.source,
+    media_type:   row.media_type || null,
+    status:       row.status,
+    attempts:     row.attempts,
+    error:        row.last_error || null,
+    created_at:   row.created_at,
+    sent_at:      row.sent_at      || null,
+    delivered_at: row.delivered_at || null,
+    read_at:      row.read_at      || null,
+    failed_at:    row.failed_at    || null,
+  }
 }
 
-// ══════════════════════════════════════════════════════════════════════════════
-// ENDPOINTS
-// ══════════════════════════════════════════════════════════════════════════════
+api.get('/messages/:id', auth('send', 'analytics'), async (req, res) => {
+  try {
+    const row = await req.gw.outbox.get(req.params.id)
+    if (!row) return res.status(404).json({ success: false, error: 'Mensaje no encontrado' })
+    res.json({ success: true, message: publicMessage(row) })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
 
-// Health check público
-app.get('/', (req, res) => {
-  const secret = req.headers['x-secret'] || req.query.secret
-  if (secret && secret === SECRET) {
-    return res.json({ ok: true, ready: isReady, service: 'CarmoCream WhatsApp' })
+// ?status=sent,delivered&phone=&source=&since=&until=&limit=
+// p.ej. status=sent&until=<hace 1h> → números a los que no les llega nada
+api.get('/messages', auth('send', 'analytics'), async (req, res) => {
+  const { status, phone, source, since, until } = req.query
+  const chatId = phone ? validatePhone(phone) : null
+  if (phone && !chatId) return res.status(400).json({ success: false, error: 'Teléfono inválido' })
+  try {
+    const rows = await req.gw.outbox.list({
+      status: status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : null,
+      chatId: chatId ? `${chatId}@c.us` : null,
+      source: source || null,
+      since:  since  || null,
+      until:  until  || null,
+      limit:  Math.min(parseInt(req.query.limit || '50') || 50, 200),
+    })
+    res.json({ success: true, count: rows.length, messages: rows.map(publicMessage) })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Logout forzado
+api.post('/logout', auth('admin'), async (req, res) => {
+  try {
+    await req.gw.logout()
+    res.json({ success: true, message: 'Sesión cerrada. Reinicia para nuevo QR.' })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// ── Claves de API (admin) ───────────────────────────────────────────────────
+// La clave en claro solo se devuelve aquí, una vez
+api.post('/keys', auth('admin'), async (req, res) => {
+  const { name, scopes, expires_at } = req.body || {}
+  if (!name || typeof name !== 'string') return res.status(400).json({ success: false, error: 'Falta el nombre' })
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !SCOPES.includes(s)))
+    return res.status(400).json({ success: false, error: `scopes debe ser una lista de: ${SCOPES.join(', ')}` })
+  if (expires_at && !(new Date(expires_at).getTime() > Date.now()))
+    return res.status(400).json({ success: false, error: 'expires_at debe ser una fecha futura' })
+  try {
+    const key = await req.gw.apiKeys.create({ name: name.trim().slice(0, 100), scopes, expiresAt: expires_at || null })
+    res.status(201).json({ success: true, ...key })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
   }
-  res.json({ ok: true, service: 'CarmoCream WhatsApp' })
 })
 
-// QR / estado de conexión
-app.get('/status', auth, (req, res) => {
-  if (isReady) {
-    return res.send(`
-      <div style="text-align:center;font-family:sans-serif;padding:40px;">
-        <h1 style="color:#2D6A4F;">✅ WhatsApp Conectado</h1>
-        <p>El cliente está listo para enviar mensajes.</p>
-      </div>
-    `)
+api.get('/keys', auth('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, keys: await req.gw.apiKeys.list() })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
   }
-  if (lastQr) {
-    return res.send(`
-      <div style="text-align:center;font-family:sans-serif;padding:40px;">
-        <h1 style="color:#2D6A4F;">🍦 Vincular CarmoCream</h1>
-        <p>Escanea este código con tu WhatsApp:</p>
-        <div style="background:white;padding:20px;display:inline-block;border:2px solid #2D6A4F;border-radius:15px;">
-          <img src="https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(lastQr)}" />
-        </div>
-        <p style="color:#666;margin-top:20px;">Refresca si el código no carga.</p>
-        <script>setTimeout(()=>location.reload(), 30000)</script>
-      </div>
-    `)
+})
+
+api.post('/keys/:id/revoke', auth('admin'), async (req, res) => {
+  try {
+    if (!await req.gw.apiKeys.revoke(req.params.id)) return res.status(404).json({ success: false, error: 'Clave no encontrada' })
+    res.json({ success: true })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
   }
-  res.send(`
-    <div style="text-align:center;font-family:sans-serif;padding:40px;">
-      <h1 style="color:#888;">⏳ Iniciando...</h1>
-      <p>Espera unos segundos y refresca.</p>
-      <script>setTimeout(()=>location.reload(), 5000)</script>
-    </div>
-  `)
 })
 
-// Enviar mensaje
-app.post('/send', auth, sendLimiter, async (req, res) => {
-  const phone   = validatePhone(req.body.phone)
-  const message = sanitizeMessage(req.body.message)
+// ── Webhooks salientes (admin) ──────────────────────────────────────────────
+api.get('/webhooks', auth('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, webhooks: await req.gw.webhooks.list() })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
 
-  if (!phone)   return res.status(400).json({ success: false, error: 'Teléfono inválido' })
-  if (!message) return res.status(400).json({ success: false, error: 'Mensaje vacío o demasiado largo' })
-  if (!isReady || !client) return res.status(503).json({ success: false, error: 'WhatsApp no está listo' })
+// Alta o edición — { id, url, events: ['message', 'ack', ...] | ['*'], secret?, enabled? }
+// El secreto de firma solo se devuelve al crearlo (o al rotarlo mandando uno nuevo)
+api.post('/webhooks', auth('admin'), async (req, res) => {
+  try {
+    const { hook, secret, error } = await req.gw.webhooks.upsert(req.body || {})
+    if (error) return res.status(400).json({ success: false, error })
+    res.json({ success: true, webhook: hook, secret })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
 
-  const chatId = `${phone}@c.us`
+api.delete('/webhooks/:id', auth('admin'), async (req, res) => {
   try {
-    console.log(`[Send] → ${chatId} (${message.length} chars)`)
-    await client.sendMessage(chatId, message)
-    console.log(`[Send] ✅ Enviado a ${chatId}`)
+    if (!await req.gw.webhooks.remove(req.params.id)) return res.status(404).json({ success: false, error: 'Webhook no encontrado' })
     res.json({ success: true })
-  } catch (err) {
-    console.error('[Send] ❌', err.message)
-    const userMsg = err.message?.includes('No LID')
-      ? 'El número no tiene WhatsApp activo'
-      : err.message
-    res.status(500).json({ success: false, error: userMsg })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
   }
 })
 
-// Logout forzado
-app.post('/logout', auth, async (req, res) => {
+// Evento `ping` solo para ese webhook — sirve para probar la firma en el receptor
+api.post('/webhooks/:id/test', auth('admin'), async (req, res) => {
   try {
-    await client?.logout()
-    await supabase.from('whatsapp_sessions').delete().eq('id', SESSION_KEY)
-    res.json({ success: true, message: 'Sesión cerrada. Reinicia para nuevo QR.' })
+    const [delivery] = await req.gw.webhooks.ping(req.params.id)
+    if (!delivery) return res.status(404).json({ success: false, error: 'Webhook no encontrado' })
+    res.status(202).json({ success: true, delivery })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+// Registro de entregas — ?status=pending,failed&webhook_id=&event=&limit=
+api.get('/webhooks/deliveries', auth('admin', 'analytics'), async (req, res) => {
+  const { status, webhook_id, event } = req.query
+  try {
+    const deliveries = await req.gw.webhooks.deliveries({
+      status:    status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : null,
+      webhookId: webhook_id || null,
+      event:     event || null,
+      limit:     Math.min(parseInt(req.query.limit || '50') || 50, 200),
+    })
+    res.json({ success: true, count: deliveries.length, deliveries })
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message })
+  }
+})
+
+api.post('/webhooks/deliveries/:id/retry', auth('admin'), async (req, res) => {
+  try {
+    const delivery = await req.gw.webhooks.retry(req.params.id)
+    if (!delivery) return res.status(404).json({ success: false, error: 'Entrega no encontrada' })
+    res.status(202).json({ success: true, id: delivery.id, status: delivery.status })
   } catch (e) {
     res.status(500).json({ success: false, error: e.message })
   }
 })
 
+// Token corto para lo que el navegador abre sin cabeceras (/status, EventSource de /events)
+// p.ej. /t/carmocream/status?token=...  — body opcional { scopes: ['analytics'] }
+api.post('/auth/token', auth(...SCOPES), (req, res) => {
+  res.json({ success: true, ...req.gw.apiKeys.issueToken(req.auth, req.body?.scopes) })
+})
+
+// Métricas de todas las tiendas — Bearer METRICS_TOKEN o una clave `analytics` de la tienda principal
+const metricsAuth = auth('analytics')
+app.get('/metrics', (req, res, next) => {
+  const bearer = (req.headers.authorization || '').replace(/^Bearer /, '')
+  if (process.env.METRICS_TOKEN && safeEqual(bearer, process.env.METRICS_TOKEN)) return next()
+  req.gw = defaultGateway
+  metricsAuth(req, res, next)
+}, async (req, res) => {
+  res.type(metrics.register.contentType).send(await metrics.register.metrics())
+})
+
+// ── Montaje: /t/:store/... y, por compatibilidad, sin prefijo → primera tienda ──
+function chatbotRoutes(req, res, next) {
+  req.gw.chatbotRouter(req, res, next)
+}
+
+app.use('/t/:store', (req, res, next) => {
+  req.gw = gateways.get(req.params.store)
+  if (!req.gw) return res.status(404).json({ error: 'Tienda no encontrada' })
+  next()
+}, api, chatbotRoutes)
+
+app.use((req, res, next) => { req.gw = defaultGateway; next() }, api, chatbotRoutes)
+
 // ── Arrancar ──────────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor en puerto ${PORT}`)
-  console.log(`🔐 CORS permitido para: ${ALLOWED_ORIGINS.join(', ')}`)
-  console.log(`🔑 Usando: ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'SERVICE_ROLE KEY ✅' : 'ANON KEY ⚠️'}`)
-  initClient().catch(err => console.error('Error fatal initClient:', err))
+const server = app.listen(PORT, () => {
+  log.info('Servidor arrancado', {
+    port:         Number(PORT),
+    cors:         ALLOWED_ORIGINS,
+    supabaseKey:  process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service_role' : 'anon',
+    stores:       STORES.map(s => s.id),
+    defaultStore: defaultGateway.store.id,
+  })
+  for (const gw of gateways.values()) {
+    gw.start().catch(err => log.error('Error fatal al arrancar', { store: gw.store.id, err }))
+  }
 })
 
+// ── Apagado limpio (Railway manda SIGTERM en cada redeploy) ──────────────────
+let shuttingDown = false
+async function shutdown(signal) {
+  if (shuttingDown) return
+  shuttingDown = true
+  log.info(`${signal} recibido — guardando sesiones y cerrando Chromium`)
+  server.close()
+  await Promise.allSettled([...gateways.values()].map(gw => gw.stop()))
+  process.exit(0)
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT',  () => shutdown('SIGINT'))
+
 // ── Manejo de errores de Puppeteer ────────────────────────────────────────────
 process.on('uncaughtException', (err) => {
   const msg = err?.message || ''
@@ -316,10 +488,10 @@ process.on('uncaughtException', (err) => {
     msg.includes('Navigation') ||
     msg.includes('detached Frame')
   ) {
-    console.warn('[Process] ⚠️ Error controlado Puppeteer:', msg.slice(0, 80))
+    log.warn('Error controlado Puppeteer', { err: msg.slice(0, 80) })
     return
   }
-  console.error('[Process] ❌ Excepción no capturada:', err)
+  log.error('Excepción no capturada', { err: msg, stack: err?.stack })
 })
 
 process.on('unhandledRejection', (reason) => {
@@ -330,8 +502,8 @@ process.on('unhandledRejection', (reason) => {
     msg.includes('Target closed') ||
     msg.includes('Protocol error')
   ) {
-    console.warn('[Process] ⚠️ Promesa rechazada controlada (Puppeteer):', msg.slice(0, 80))
+    log.warn('Promesa rechazada controlada (Puppeteer)', { err: msg.slice(0, 80) })
     return
   }
-  console.error('[Process] ❌ Promesa rechazada no gestionada:', reason)
+  log.error('Promesa rechazada no gestionada', { err: msg, stack: reason?.stack })
 })
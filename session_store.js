@@ -0,0 +1,133 @@
+/**
+ * session_store.js — Almacén remoto de sesiones de WhatsApp para RemoteAuth
+ * =====================================================
+ * LocalAuth guarda un perfil entero de Chromium, no un session.json: copiar ese
+ * fichero no servía y tras cada redeploy había que volver a escanear el QR.
+ * Ahora whatsapp-web.js (RemoteAuth) comprime el perfil en un zip y este módulo
+ * lo guarda con versiones y lo restaura al arrancar.
+ *
+ *   ✅ Backend enchufable: Supabase Storage (producción) o disco local (desarrollo)
+ *   ✅ Versionado: cada copia es un objeto nuevo; se conservan las últimas N
+ * =====================================================
+ *
+ * VARIABLES DE ENTORNO:
+ *   SESSION_STORE      = supabase | local
+ *   SESSION_BUCKET     = whatsapp-sessions   (bucket privado de Supabase Storage)
+ *   SESSION_LOCAL_DIR  = ./.wwebjs_sessions
+ *   SESSION_VERSIONS   = 3
+ *
+ * Estructura: <bucket o carpeta>/<session>/<timestamp>.zip  (session = RemoteAuth-<tienda>)
+ */
+
+const fs   = require('fs')
+const path = require('path')
+const { createLogger } = require('./logger')
+
+const log = createLogger('Session')
+
+const KEEP_VERSIONS = Math.max(parseInt(process.env.SESSION_VERSIONS || '3') || 3, 1)
+
+// ══════════════════════════════════════════════════════════════════════════════
+// BACKENDS — list / put / get / remove por sesión
+// ══════════════════════════════════════════════════════════════════════════════
+
+function createSupabaseBackend(supabase, bucket) {
+  const storage = () => supabase.storage.from(bucket)
+  return {
+    name: `supabase:${bucket}`,
+    async list(session) {
+      const { data, error } = await storage().list(session, { limit: 100, sortBy: { column: 'name', order: 'asc' } })
+      if (error) throw new Error(`Storage list: ${error.message}`)
+      return (data || []).map(f => f.name).filter(n => n.endsWith('.zip')).sort()
+    },
+    async put(session, name, buffer) {
+      const { error } = await storage().upload(`${session}/${name}`, buffer, { contentType: 'application/zip', upsert: true })
+      if (error) throw new Error(`Storage upload: ${error.message}`)
+    },
+    async get(session, name) {
+      const { data, error } = await storage().download(`${session}/${name}`)
+      if (error) throw new Error(`Storage download: ${error.message}`)
+      return Buffer.from(await data.arrayBuffer())
+    },
+    async remove(session, names) {
+      if (!names.length) return
+      const { error } = await storage().remove(names.map(n => `${session}/${n}`))
+      if (error) throw new Error(`Storage remove: ${error.message}`)
+    },
+  }
+}
+
+function createLocalBackend(dir) {
+  const sessionDir = (session) => path.join(dir, session)
+  return {
+    name: `local:${dir}`,
+    async list(session) {
+      try {
+        return (await fs.promises.readdir(sessionDir(session))).filter(n => n.endsWith('.zip')).sort()
+      } catch { return [] }
+    },
+    async put(session, name, buffer) {
+      await fs.promises.mkdir(sessionDir(session), { recursive: true })
+      await fs.promises.writeFile(path.join(sessionDir(session), name), buffer)
+    },
+    async get(session, name) {
+      return fs.promises.readFile(path.join(sessionDir(session), name))
+    },
+    async remove(session, names) {
+      await Promise.all(names.map(n => fs.promises.rm(path.join(sessionDir(session), n), { force: true })))
+    },
+  }
+}
+
+function createSessionBackend(supabase) {
+  if (process.env.SESSION_STORE === 'local') {
+    return createLocalBackend(path.resolve(process.env.SESSION_LOCAL_DIR || './.wwebjs_sessions'))
+  }
+  return createSupabaseBackend(supabase, process.env.SESSION_BUCKET || 'whatsapp-sessions')
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// STORE — la interfaz que espera RemoteAuth
+// ══════════════════════════════════════════════════════════════════════════════
+
+// RemoteAuth deja/espera el zip en <dataPath>/<session>.zip
+function createSessionStore({ backend, dataPath }) {
+  const zipPath = (session) => path.join(dataPath, `${session}.zip`)
+
+  return {
+    async sessionExists({ session }) {
+      try {
+        return (await backend.list(session)).length > 0
+      } catch (e) {
+        // Si el backend no responde arrancamos sin sesión (QR) en vez de quedarnos colgados
+        log.error('sessionExists', { session, backend: backend.name, err: e })
+        return false
+      }
+    },
+
+    async save({ session }) {
+      const buffer = await fs.promises.readFile(zipPath(session))
+      const name   = `${Date.now()}.zip`
+      await backend.put(session, name, buffer)
+      const versions = await backend.list(session)
+      await backend.remove(session, versions.slice(0, Math.max(versions.length - KEEP_VERSIONS, 0)))
+      log.info('Guardada', { session, backend: backend.name, kb: Math.round(buffer.length / 1024) })
+    },
+
+    async extract({ session, path: target }) {
+      const versions = await backend.list(session)
+      const latest   = versions[versions.length - 1]
+      if (!latest) return
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await fs.promises.writeFile(target, await backend.get(session, latest))
+      log.info('Restaurada', { session, backend: backend.name, version: latest })
+    },
+
+    async delete({ session }) {
+      await backend.remove(session, await backend.list(session))
+      log.info('Eliminada', { session, backend: backend.name })
+    },
+  }
+}
+
+module.exports = { createSessionStore, createSessionBackend, createSupabaseBackend, createLocalBackend }
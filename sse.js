@@ -0,0 +1,31 @@
+/**
+ * sse.js — Server-Sent Events mínimos (sin dependencias)
+ * Abre el stream, manda latidos para que Railway no corte la conexión
+ * y limpia al cerrarse.
+ */
+
+const HEARTBEAT_MS = 25 * 1000
+
+function openSse(req, res, onClose) {
+  res.writeHead(200, {
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache, no-transform',
+    Connection:          'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  res.write('retry: 3000\n\n')
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    onClose?.()
+  })
+
+  return {
+    send(event, data, id) {
+      res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    },
+  }
+}
+
+module.exports = { openSse }
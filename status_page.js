@@ -0,0 +1,93 @@
+/**
+ * status_page.js — Página de vinculación (/status) con el QR generado en el servidor
+ * =====================================================
+ *   ✅ El QR se dibuja aquí como SVG — la credencial de emparejamiento ya no viaja
+ *      a api.qrserver.com ni depende de que ese servicio esté arriba
+ *   ✅ La página se actualiza sola por SSE (/status/stream) cuando llega un QR
+ *      nuevo o el cliente queda listo — sin recargas cada 30s
+ *   ✅ Desde el navegador se abre con ?token= (POST /auth/token, api_keys.js): el
+ *      stream reutiliza la misma query
+ * =====================================================
+ */
+
+const QRCode      = require('qrcode')
+const { openSse } = require('./sse')
+const { createLogger } = require('./logger')
+
+const log = createLogger('Status')
+
+const GW_EVENTS = ['qr', 'authenticated', 'ready', 'disconnected']
+
+// Estado actual de la tienda, listo para pintar
+async function statusSnapshot(gw) {
+  const state = gw.isReady ? 'ready' : (gw.lastQr ? 'qr' : gw.state)
+  const qrSvg = state === 'qr'
+    ? await QRCode.toString(gw.lastQr, { type: 'svg', margin: 1, width: 300 })
+    : null
+  return { store: gw.store.id, name: gw.store.name, state, qr_svg: qrSvg }
+}
+
+function qrSvg(gw) {
+  return gw.lastQr ? QRCode.toString(gw.lastQr, { type: 'svg', margin: 1, width: 300 }) : null
+}
+
+// ── SSE: empuja un snapshot nuevo en cada cambio de conexión ───────────────
+function streamStatus(gw, req, res) {
+  const push = async () => {
+    try {
+      stream.send('status', await statusSnapshot(gw))
+    } catch (e) {
+      log.error('Error generando QR', { store: gw.store.id, err: e })
+    }
+  }
+  const stream = openSse(req, res, () => GW_EVENTS.forEach(ev => gw.events.off(ev, push)))
+  GW_EVENTS.forEach(ev => gw.events.on(ev, push))
+  push()
+}
+
+// ── HTML ────────────────────────────────────────────────────────────────────
+function renderStatusPage(snapshot) {
+  // JSON dentro de <script>: escapar "<" para que nada pueda cerrar la etiqueta
+  const initial = JSON.stringify(snapshot).replace(/</g, '\\u003c')
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>WhatsApp · ${snapshot.name}</title>
+</head>
+<body>
+  <div id="status" style="text-align:center;font-family:sans-serif;padding:40px;"></div>
+  <script>
+    const VIEWS = {
+      ready: () => \`
+        <h1 style="color:#2D6A4F;">✅ WhatsApp Conectado</h1>
+        <p>El cliente está listo para enviar mensajes.</p>\`,
+      qr: (s) => \`
+        <h1 style="color:#2D6A4F;">🍦 Vincular \${s.name} (\${s.store})</h1>
+        <p>Escanea este código con tu WhatsApp:</p>
+        <div style="background:white;padding:20px;display:inline-block;border:2px solid #2D6A4F;border-radius:15px;width:300px;height:300px;">
+          \${s.qr_svg}
+        </div>
+        <p style="color:#666;margin-top:20px;">El código se actualiza solo.</p>\`,
+      authenticated: () => \`
+        <h1 style="color:#2D6A4F;">🔐 Autenticado</h1>
+        <p>Cargando WhatsApp...</p>\`,
+      disconnected: () => \`
+        <h1 style="color:#B7791F;">⚠️ Desconectado</h1>
+        <p>Reconectando, espera unos segundos.</p>\`,
+      starting: () => \`
+        <h1 style="color:#888;">⏳ Iniciando...</h1>
+        <p>Espera unos segundos.</p>\`,
+    }
+    const box = document.getElementById('status')
+    function render(s) { box.innerHTML = (VIEWS[s.state] || VIEWS.starting)(s) }
+    render(${initial})
+    const stream = new EventSource('status/stream' + location.search)
+    stream.addEventListener('status', (e) => render(JSON.parse(e.data)))
+  </script>
+</body>
+</html>`
+}
+
+module.exports = { statusSnapshot, streamStatus, renderStatusPage, qrSvg }
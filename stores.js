@@ -0,0 +1,71 @@
+/**
+ * stores.js — Tiendas servidas por este despliegue (una sesión de WhatsApp por tienda)
+ * =====================================================
+ * Cada tienda tiene su propio número, sesión RemoteAuth (RemoteAuth-<id>, guardada en zip
+ * por session_store.js en Supabase Storage), secreto, teléfono de admin y settings del chatbot.
+ * Rutas:  /t/:store/send, /t/:store/status, /t/:store/chatbot/*, ...
+ * Las rutas sin prefijo (/send, /status, ...) van a la primera tienda de la lista.
+ * =====================================================
+ *
+ * VARIABLES DE ENTORNO:
+ *   WA_STORES = [
+ *     { "id": "carmocream", "secret_env": "WA_SECRET", "admin_phone": "34XXXXXXXXX" },
+ *     { "id": "sevilla", "name": "CarmoCream Sevilla", "secret_env": "WA_SECRET_SEVILLA",
+ *       "admin_phone": "34YYYYYYYYY", "shop_url": "https://...", "settings_prefix": "sevilla_" }
+ *   ]
+ *   Sin WA_STORES → una única tienda 'carmocream' con WA_SECRET y ADMIN_PHONE (como hasta ahora).
+ *
+ * Campos:
+ *   id               slug [a-z0-9_-] — se usa en la URL y en la clave de sesión
+ *   secret / secret_env   secreto de la tienda (mejor secret_env: nombre de la variable que lo guarda)
+ *   admin_phone      teléfono que recibe avisos del chatbot
+ *   settings_prefix  prefijo de las claves en `settings` ('' para la primera tienda, `<id>_` para el resto)
+ *   name, shop_url   opcionales
+ */
+
+const STORE_ID_RE = /^[a-z0-9_-]{2,32}$/
+
+function normalizeStore(raw, index) {
+  const id = String(raw?.id || '').trim().toLowerCase()
+  if (!STORE_ID_RE.test(id)) throw new Error(`id de tienda inválido: "${raw?.id}"`)
+
+  const secret = raw.secret_env ? process.env[raw.secret_env] : raw.secret
+  if (!secret) throw new Error(`La tienda "${id}" no tiene secreto (${raw.secret_env || 'secret'})`)
+
+  return {
+    id,
+    name:           raw.name || 'CarmoCream',
+    secret,
+    adminPhone:     String(raw.admin_phone || '').replace(/\D/g, ''),
+    shopUrl:        raw.shop_url || null,
+    settingsPrefix: raw.settings_prefix ?? (index === 0 ? '' : `${id}_`),
+  }
+}
+
+// Devuelve la lista de tiendas; lanza si la configuración es inválida
+function loadStores() {
+  if (!process.env.WA_STORES) {
+    return [normalizeStore({
+      id:          'carmocream',
+      secret_env:  'WA_SECRET',
+      admin_phone: process.env.ADMIN_PHONE,
+      shop_url:    process.env.SHOP_URL,
+    }, 0)]
+  }
+
+  let list
+  try { list = JSON.parse(process.env.WA_STORES) } catch (e) {
+    throw new Error(`WA_STORES no es JSON válido: ${e.message}`)
+  }
+  if (!Array.isArray(list) || !list.length) throw new Error('WA_STORES debe ser una lista con al menos una tienda')
+
+  const stores = list.map(normalizeStore)
+  const ids    = new Set()
+  for (const s of stores) {
+    if (ids.has(s.id)) throw new Error(`id de tienda duplicado: "${s.id}"`)
+    ids.add(s.id)
+  }
+  return stores
+}
+
+module.exports = { loadStores }
@@ -0,0 +1,138 @@
+/**
+ * supervisor.js — Ciclo de vida del cliente de WhatsApp
+ * =====================================================
+ * Antes cada `disconnected` llamaba otra vez a initClient(): listeners y rutas
+ * duplicados, intervalos acumulados y reconexión fija a los 8s. Ahora:
+ *   ✅ Un único dueño del cliente: se destruye limpio antes de crear otro
+ *   ✅ Los listeners se enganchan una vez por cliente (attach)
+ *   ✅ Reconexión con backoff exponencial con tope (+ jitter)
+ *   ✅ Watchdog: si la página de Puppeteer no contesta a getState(), se reinicia
+ *   ✅ stop() para SIGTERM: guarda la sesión y cierra Chromium
+ * =====================================================
+ *
+ * VARIABLES DE ENTORNO:
+ *   RECONNECT_BASE_MS    = 5000
+ *   RECONNECT_MAX_MS     = 300000  (5 min)
+ *   WATCHDOG_INTERVAL_MS = 60000
+ *   WATCHDOG_TIMEOUT_MS  = 20000
+ */
+
+const { createLogger } = require('./logger')
+
+const RECONNECT_BASE_MS    = parseInt(process.env.RECONNECT_BASE_MS    || '5000')
+const RECONNECT_MAX_MS     = parseInt(process.env.RECONNECT_MAX_MS     || String(5 * 60 * 1000))
+const WATCHDOG_INTERVAL_MS = parseInt(process.env.WATCHDOG_INTERVAL_MS || '60000')
+const WATCHDOG_TIMEOUT_MS  = parseInt(process.env.WATCHDOG_TIMEOUT_MS  || '20000')
+const WATCHDOG_MAX_MISSES  = 2
+const DESTROY_TIMEOUT_MS   = 15 * 1000
+
+function withTimeout(promise, ms, label) {
+  let t
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { t = setTimeout(() => reject(new Error(`${label}: sin respuesta en ${ms}ms`)), ms) }),
+  ]).finally(() => clearTimeout(t))
+}
+
+/**
+ * createClient()          → cliente nuevo sin inicializar
+ * attach(client, sup)     → engancha los listeners de ESE cliente (una vez)
+ * isReady()               → true si el cliente actual está listo (para el watchdog)
+ * onRestart(reason)       → aviso al gateway para marcar el estado como caído
+ */
+function createSupervisor({ name, createClient, attach, isReady, onRestart }) {
+  const log        = createLogger('Supervisor', { store: name })
+  let client       = null
+  let failures     = 0       // reinicios seguidos sin llegar a `ready`
+  let restarts     = 0
+  let misses       = 0
+  let restartTimer = null
+  let restarting   = false
+  let stopping     = false
+  let watchdog     = null
+
+  async function teardown() {
+    const old = client
+    client = null
+    misses = 0
+    if (!old) return
+    old.removeAllListeners()
+    await withTimeout(old.destroy(), DESTROY_TIMEOUT_MS, 'destroy')
+      .catch(e => log.warn('destroy', { err: e }))
+  }
+
+  async function connect() {
+    if (stopping) return
+    const c = createClient()
+    client = c
+    attach(c, api)
+    try {
+      await c.initialize()
+    } catch (e) {
+      // Si otro reinicio ya sustituyó a este cliente, el error no es nuestro
+      if (client === c) restart(`initialize: ${e.message}`)
+    }
+  }
+
+  async function restart(reason) {
+    if (stopping || restarting || restartTimer) return
+    restarting = true
+    restarts++
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** failures, RECONNECT_MAX_MS) + Math.floor(Math.random() * 1000)
+    failures++
+    log.warn('Reinicio del cliente', { restart: restarts, reason, retryInS: Math.round(delay / 1000) })
+    try {
+      onRestart?.(reason)
+      await teardown()
+    } finally {
+      restarting = false
+    }
+    if (stopping) return
+    restartTimer = setTimeout(() => { restartTimer = null; connect() }, delay)
+  }
+
+  // El cliente llegó a `ready`: el siguiente fallo vuelve a empezar el backoff desde abajo
+  function markHealthy() {
+    failures = 0
+    misses   = 0
+  }
+
+  async function checkHealth() {
+    if (!client || restartTimer || restarting || !isReady()) return
+    try {
+      const state = await withTimeout(client.getState(), WATCHDOG_TIMEOUT_MS, 'getState')
+      misses = 0
+      if (state !== 'CONNECTED') log.warn('Estado de WhatsApp inesperado', { state })
+    } catch (e) {
+      misses++
+      log.warn('Watchdog sin respuesta', { misses, max: WATCHDOG_MAX_MISSES, err: e })
+      if (misses >= WATCHDOG_MAX_MISSES) restart('watchdog: página de Puppeteer colgada')
+    }
+  }
+
+  function start() {
+    if (!watchdog) watchdog = setInterval(checkHealth, WATCHDOG_INTERVAL_MS)
+    return connect()
+  }
+
+  // SIGTERM: copia final de la sesión (si hay) y cerrar Chromium
+  async function stop({ saveSession } = {}) {
+    stopping = true
+    clearInterval(watchdog)
+    clearTimeout(restartTimer)
+    if (client && saveSession) {
+      await saveSession(client).catch(e => log.warn('Error guardando la sesión', { err: e }))
+    }
+    await teardown()
+    log.info('Detenido')
+  }
+
+  const api = {
+    start, restart, stop, markHealthy,
+    get client()   { return client },
+    get restarts() { return restarts },
+  }
+  return api
+}
+
+module.exports = { createSupervisor, withTimeout }
@@ -0,0 +1,399 @@
+/**
+ * webhooks.js — Webhooks salientes con los eventos de una tienda
+ * =====================================================
+ * Hasta ahora solo el chatbot veía los mensajes entrantes. Con esto cualquier
+ * servicio (backend de pedidos, n8n/Zapier, ...) recibe el tráfico de WhatsApp
+ * sin tocar chatbot_railway_webhook.js:
+ *   ✅ URLs registradas en la tabla `webhooks`, una fila por webhook y tienda. No van en
+ *      `settings`: la web la lee desde el navegador y con el secreto se falsifica la firma
+ *   ✅ Eventos: message (entrante), ack, escalation, takeover, connection  ('*' = todos)
+ *   ✅ POST JSON firmado con HMAC-SHA256 (secreto propio por webhook)
+ *   ✅ Reintentos con backoff exponencial y registro de entregas (webhook_deliveries)
+ * =====================================================
+ *
+ * TABLAS EN SUPABASE:
+ *   create table webhooks (
+ *     store_id   text not null,
+ *     id         text not null,                          -- [a-zA-Z0-9_-], lo elige quien lo registra
+ *     url        text not null,
+ *     secret     text not null,                          -- clave HMAC de la firma
+ *     events     text[] not null,                        -- ["message", "ack"] o ["*"]
+ *     enabled    boolean not null default true,
+ *     created_at timestamptz default now(),
+ *     updated_at timestamptz,
+ *     primary key (store_id, id)
+ *   );
+ *   -- RLS sin políticas: solo la service_role (este servidor) la lee; ni anon ni la web
+ *   alter table webhooks enable row level security;
+ *
+ *   -- Los que estaban en settings.webhooks (tienda principal; las demás con su prefijo y su id):
+ *   insert into webhooks (store_id, id, url, secret, events, enabled)
+ *     select 'carmocream', h->>'id', h->>'url', h->>'secret',
+ *            array(select jsonb_array_elements_text(h->'events')), coalesce((h->>'enabled')::boolean, true)
+ *     from settings, jsonb_array_elements(value::jsonb) h where key = 'webhooks';
+ *   delete from settings where key = 'webhooks';
+ *
+ *   create table webhook_deliveries (
+ *     id              text primary key,
+ *     store_id        text not null,
+ *     webhook_id      text not null,
+ *     event           text not null,
+ *     payload         jsonb not null,                    -- el cuerpo exacto que se envía
+ *     status          text not null default 'pending',   -- pending | delivered | failed
+ *     attempts        int  default 0,
+ *     next_attempt_at timestamptz default now(),
+ *     response_status int,
+ *     last_error      text,
+ *     created_at      timestamptz default now(),
+ *     updated_at      timestamptz,
+ *     delivered_at    timestamptz
+ *   );
+ *   create index on webhook_deliveries (store_id, status, next_attempt_at);
+ *
+ * PETICIÓN:
+ *   POST <url>  Content-Type: application/json
+ *   X-Webhook-Id:        id de la entrega (el mismo en cada reintento → idempotencia)
+ *   X-Webhook-Event:     message | ack | escalation | takeover | connection | ping
+ *   X-Webhook-Signature: t=<unix s>,v1=<hex(HMAC-SHA256(secret, `${t}.${cuerpo}`))>
+ *   Cuerpo: { id, event, store, at, data }
+ *   Cualquier 2xx cuenta como entregado.
+ *
+ * VARIABLES DE ENTORNO:
+ *   WEBHOOK_STORE         = supabase | memory   (memory para pruebas en local)
+ *   WEBHOOK_MAX_ATTEMPTS  = 8
+ *   WEBHOOK_TIMEOUT_MS    = 10000
+ *   WEBHOOK_LOG_DAYS      = 14   (entregas más antiguas se borran)
+ *   WEBHOOK_ALLOW_HTTP    = true → acepta URLs http:// (solo para desarrollo)
+ */
+
+const crypto           = require('crypto')
+const metrics          = require('./metrics')
+const { createLogger } = require('./logger')
+
+const TABLE          = 'webhook_deliveries'
+const CONFIG_TABLE   = 'webhooks'
+const EVENTS         = ['message', 'ack', 'escalation', 'takeover', 'connection']
+const MAX_ATTEMPTS   = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8')
+const TIMEOUT_MS     = parseInt(process.env.WEBHOOK_TIMEOUT_MS   || '10000')
+const LOG_DAYS       = parseInt(process.env.WEBHOOK_LOG_DAYS     || '14')
+const ALLOW_HTTP     = process.env.WEBHOOK_ALLOW_HTTP === 'true'
+const RETRY_BASE_MS  = 15 * 1000
+const RETRY_MAX_MS   = 60 * 60 * 1000
+const POLL_MS        = 5 * 1000
+const CONFIG_TTL_MS  = 5 * 60 * 1000
+const BATCH          = 10
+
+// Eventos del hub (event_hub.js) → evento del webhook
+const HUB_EVENTS = {
+  message:       'message',
+  ack:           'ack',
+  escalation:    'escalation',
+  takeover:      'takeover',
+  qr:            'connection',
+  authenticated: 'connection',
+  ready:         'connection',
+  disconnected:  'connection',
+}
+
+const LIST_COLUMNS = 'id,webhook_id,event,status,attempts,next_attempt_at,response_status,last_error,created_at,updated_at,delivered_at'
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+// Devuelve el error o null
+function validateWebhook(hook) {
+  if (!hook || typeof hook !== 'object') return 'Webhook inválido'
+  if (!/^[\w-]{1,40}$/.test(hook.id || '')) return 'id inválido ([a-zA-Z0-9_-], máx. 40)'
+  let url
+  try { url = new URL(hook.url) } catch { return 'url inválida' }
+  if (url.protocol !== 'https:' && !(ALLOW_HTTP && url.protocol === 'http:')) return 'La url debe ser https://'
+  if (!Array.isArray(hook.events) || !hook.events.length) return 'events debe ser una lista'
+  const unknown = hook.events.filter(e => e !== '*' && !EVENTS.includes(e))
+  if (unknown.length) return `Eventos desconocidos: ${unknown.join(', ')} (válidos: ${EVENTS.join(', ')}, *)`
+  return null
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ALMACENAMIENTO — configuración (tabla webhooks) y registro de entregas
+// ══════════════════════════════════════════════════════════════════════════════
+
+function createSupabaseWebhookStore(supabase, store) {
+  async function run(query) {
+    const { data, error } = await query
+    if (error) throw new Error(`Webhooks Supabase: ${error.message}`)
+    return data
+  }
+  const rows = (columns = '*') => supabase.from(TABLE).select(columns).eq('store_id', store.id)
+  return {
+    async loadConfig() {
+      const list = await run(supabase.from(CONFIG_TABLE).select('id,url,secret,events,enabled').eq('store_id', store.id).order('created_at'))
+      return list || []
+    },
+    // Deja en la tabla exactamente la lista recibida: upsert de las que hay y fuera las demás
+    async saveConfig(hooks) {
+      const updatedAt = new Date().toISOString()
+      if (hooks.length) {
+        await run(supabase.from(CONFIG_TABLE).upsert(hooks.map(h => ({
+          store_id: store.id, id: h.id, url: h.url, secret: h.secret, events: h.events, enabled: h.enabled !== false, updated_at: updatedAt,
+        })), { onConflict: 'store_id,id' }))
+      }
+      let stale = supabase.from(CONFIG_TABLE).delete().eq('store_id', store.id)
+      if (hooks.length) stale = stale.not('id', 'in', `(${hooks.map(h => h.id).join(',')})`)
+      await run(stale)
+    },
+    async insert(delivery) {
+      return run(supabase.from(TABLE).insert({ ...delivery, store_id: store.id }).select(LIST_COLUMNS).single())
+    },
+    async update(id, patch) {
+      await run(supabase.from(TABLE).update(patch).eq('id', id).eq('store_id', store.id))
+    },
+    async get(id) {
+      return run(rows().eq('id', id).maybeSingle())
+    },
+    async list({ status, webhookId, event, limit = 50 } = {}) {
+      let q = rows(LIST_COLUMNS)
+      if (status?.length) q = q.in('status', status)
+      if (webhookId)      q = q.eq('webhook_id', webhookId)
+      if (event)          q = q.eq('event', event)
+      return run(q.order('created_at', { ascending: false }).limit(limit))
+    },
+    async due(nowIso, limit) {
+      return run(rows().eq('status', 'pending').lte('next_attempt_at', nowIso).order('created_at').limit(limit))
+    },
+    async purge(beforeIso) {
+      await run(supabase.from(TABLE).delete().eq('store_id', store.id).neq('status', 'pending').lt('created_at', beforeIso))
+    },
+  }
+}
+
+function createMemoryWebhookStore() {
+  let config = []
+  const rows = new Map()
+  const pick = ({ payload, ...r }) => r
+  return {
+    async loadConfig() { return config.map(h => ({ ...h })) },
+    async saveConfig(hooks) { config = hooks.map(h => ({ ...h })) },
+    async insert(d) { rows.set(d.id, { ...d }); return pick(d) },
+    async update(id, patch) { if (rows.has(id)) rows.set(id, { ...rows.get(id), ...patch }) },
+    async get(id) { return rows.has(id) ? { ...rows.get(id) } : null },
+    async list({ status, webhookId, event, limit = 50 } = {}) {
+      return [...rows.values()]
+        .filter(r => (!status?.length || status.includes(r.status)) &&
+          (!webhookId || r.webhook_id === webhookId) && (!event || r.event === event))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit)
+        .map(pick)
+    },
+    async due(nowIso, limit) {
+      return [...rows.values()]
+        .filter(r => r.status === 'pending' && r.next_attempt_at <= nowIso)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .slice(0, limit)
+        .map(r => ({ ...r }))
+    },
+    async purge(beforeIso) {
+      for (const [id, r] of rows) if (r.status !== 'pending' && r.created_at < beforeIso) rows.delete(id)
+    },
+  }
+}
+
+function createWebhookStore(supabase, store) {
+  if (process.env.WEBHOOK_STORE === 'memory') {
+    createLogger('Webhooks', { store: store.id }).warn('Webhooks en memoria — configuración y registro se pierden al reiniciar')
+    return createMemoryWebhookStore()
+  }
+  return createSupabaseWebhookStore(supabase, store)
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ENTREGAS
+// ══════════════════════════════════════════════════════════════════════════════
+
+function createWebhooks({ store, events, webhookStore }) {
+  const log    = createLogger('Webhooks', { store: store.id })
+  let hooks    = []
+  let loadedAt = 0
+  let busy     = false
+  let timer    = null
+
+  async function getHooks() {
+    if (Date.now() - loadedAt < CONFIG_TTL_MS) return hooks
+    try {
+      const list = await webhookStore.loadConfig()
+      hooks = Array.isArray(list) ? list : []
+      loadedAt = Date.now()
+    } catch (e) {
+      // Seguimos con la última configuración conocida
+      log.error('No se pudo cargar la tabla webhooks', { err: e })
+    }
+    return hooks
+  }
+
+  const subscribed = (hook, event) => hook.enabled !== false && (hook.events.includes('*') || hook.events.includes(event))
+
+  function schedule(ms) {
+    if (timer) clearTimeout(timer)
+    timer = setTimeout(() => { timer = null; tick() }, Math.max(ms, 0))
+  }
+
+  // Una fila por webhook suscrito; el worker las envía
+  async function dispatch(event, data, only = null) {
+    const at      = new Date().toISOString()
+    const targets = (await getHooks()).filter(h => (only ? h.id === only : subscribed(h, event)))
+    const created = []
+    for (const hook of targets) {
+      const id = crypto.randomUUID()
+      try {
+        created.push(await webhookStore.insert({
+          id, webhook_id: hook.id, event,
+          payload: { id, event, store: store.id, at, data },
+          status: 'pending', attempts: 0, next_attempt_at: at,
+          created_at: at, updated_at: at,
+        }))
+      } catch (e) {
+        log.error('No se pudo registrar la entrega', { webhookId: hook.id, event, err: e })
+      }
+    }
+    if (created.length) schedule(0)
+    return created
+  }
+
+  async function deliver(row) {
+    const hook     = hooks.find(h => h.id === row.webhook_id)
+    const attempts = (row.attempts || 0) + 1
+    const now      = () => new Date().toISOString()
+    if (!hook) {
+      await webhookStore.update(row.id, { status: 'failed', last_error: 'Webhook eliminado', updated_at: now() })
+      return
+    }
+
+    const body      = JSON.stringify(row.payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    let status = null
+    let error  = null
+    try {
+      const res = await fetch(hook.url, {
+        method:  'POST',
+        headers: {
+          'Content-Type':        'application/json',
+          'User-Agent':          'CarmoCream-Webhooks/1.0',
+          'X-Webhook-Id':        row.id,
+          'X-Webhook-Event':     row.event,
+          'X-Webhook-Signature': `t=${timestamp},v1=${sign(hook.secret, timestamp, body)}`,
+        },
+        body,
+        redirect: 'manual',
+        signal:   AbortSignal.timeout(TIMEOUT_MS),
+      })
+      status = res.status
+      if (!res.ok) error = `HTTP ${res.status}`
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? `Sin respuesta en ${TIMEOUT_MS}ms` : e.message
+    }
+
+    if (!error) {
+      metrics.webhookDeliveriesTotal.inc({ store: store.id, result: 'delivered' })
+      await webhookStore.update(row.id, { status: 'delivered', attempts, response_status: status, last_error: null, delivered_at: now(), updated_at: now() })
+      log.debug('Entregado', { id: row.id, webhookId: hook.id, event: row.event, attempt: attempts })
+      return
+    }
+
+    const final = attempts >= MAX_ATTEMPTS
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS)
+    metrics.webhookDeliveriesTotal.inc({ store: store.id, result: final ? 'failed' : 'retry' })
+    await webhookStore.update(row.id, final
+      ? { status: 'failed', attempts, response_status: status, last_error: error, updated_at: now() }
+      : { attempts, response_status: status, last_error: error, next_attempt_at: new Date(Date.now() + delay).toISOString(), updated_at: now() })
+    if (final) log.error('Entrega descartada', { id: row.id, webhookId: hook.id, event: row.event, attempt: attempts, err: error })
+    else       log.warn('Entrega fallida, se reintentará', { id: row.id, webhookId: hook.id, event: row.event, attempt: attempts, retryInS: Math.round(delay / 1000), err: error })
+  }
+
+  async function tick() {
+    if (busy) return
+    busy = true
+    try {
+      await getHooks()
+      const rows = await webhookStore.due(new Date().toISOString(), BATCH)
+      for (const row of rows) await deliver(row)
+      if (rows.length === BATCH) schedule(0)
+    } catch (e) {
+      log.error('Error en el worker', { err: e })
+    } finally {
+      busy = false
+    }
+  }
+
+  // ── Eventos del hub ─────────────────────────────────────────────────────────
+  events.on('*', (ev) => {
+    const event = HUB_EVENTS[ev.type]
+    if (!event) return
+    // El QR en crudo es una credencial: solo se avisa del cambio de estado
+    const { qr, ...data } = ev.data
+    const payload = event === 'connection' ? { state: ev.type, ...data } : data
+    dispatch(event, payload).catch(e => log.error('dispatch', { event, err: e }))
+  })
+
+  // ── Configuración ──────────────────────────────────────────────────────────
+  async function save(list) {
+    await webhookStore.saveConfig(list)
+    hooks    = list
+    loadedAt = Date.now()
+  }
+
+  // El secreto solo se devuelve al crear el webhook
+  const publicHook = ({ secret, ...h }) => ({ ...h, enabled: h.enabled !== false })
+
+  async function list() {
+    loadedAt = 0
+    return (await getHooks()).map(publicHook)
+  }
+
+  // → { hook, secret }  o  { error }
+  async function upsert({ id, url, events: subscribedTo, secret, enabled = true }) {
+    const hook  = { id, url, events: subscribedTo, enabled: enabled !== false, secret: secret || crypto.randomBytes(24).toString('hex') }
+    const error = validateWebhook(hook)
+    if (error) return { error }
+    loadedAt = 0
+    const current = await getHooks()
+    const prev    = current.find(h => h.id === id)
+    if (prev && !secret) hook.secret = prev.secret   // editar no rota el secreto salvo que se pida
+    await save([...current.filter(h => h.id !== id), hook])
+    log.info(prev ? 'Webhook actualizado' : 'Webhook registrado', { webhookId: id, events: hook.events })
+    return { hook: publicHook(hook), secret: prev && !secret ? undefined : hook.secret }
+  }
+
+  async function remove(id) {
+    loadedAt = 0
+    const current = await getHooks()
+    if (!current.some(h => h.id === id)) return false
+    await save(current.filter(h => h.id !== id))
+    log.info('Webhook eliminado', { webhookId: id })
+    return true
+  }
+
+  async function retry(id) {
+    const row = await webhookStore.get(id)
+    if (!row) return null
+    await webhookStore.update(id, { status: 'pending', next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    schedule(0)
+    return { ...row, status: 'pending' }
+  }
+
+  setInterval(() => { if (!timer) tick() }, POLL_MS)
+  function purge() {
+    webhookStore.purge(new Date(Date.now() - LOG_DAYS * 24 * 3600 * 1000).toISOString())
+      .catch(e => log.error('purge', { err: e }))
+  }
+  // Una al arrancar: Railway reinicia más a menudo que cada 24 h
+  purge()
+  setInterval(purge, 24 * 3600 * 1000).unref()
+
+  return {
+    list, upsert, remove, retry,
+    ping:       (id) => dispatch('ping', { message: 'Prueba de webhook' }, id),
+    deliveries: (filter) => webhookStore.list(filter),
+  }
+}
+
+module.exports = { createWebhooks, createWebhookStore, createMemoryWebhookStore, createSupabaseWebhookStore, sign, EVENTS }